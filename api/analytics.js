@@ -5,7 +5,7 @@ import { getEnv } from '../utils/env.js';
 // Validation schema for analytics queries
 const analyticsSchema = {
   timeRange: ['1h', '24h', '7d', '30d', '90d'],
-  metrics: ['usage', 'users', 'requests', 'errors', 'latency', 'revenue'],
+  metrics: ['usage', 'users', 'requests', 'errors', 'latency', 'revenue', 'experiments'],
   groupBy: ['hour', 'day', 'week', 'month']
 };
 
@@ -169,6 +169,43 @@ export default async function handler(req, res) {
       analyticsData.errors = errorResult.rows;
     }
 
+    // Experiment Analytics: variants side by side (optionally one experiment via ?experiment=)
+    if (metricsArray.includes('experiments')) {
+      // Transcript replays are left out and client disconnects (499) are not errors;
+      // latency and tokens cover successful calls
+      const experimentQuery = `
+        SELECT 
+          e.key as experiment,
+          e.value as variant,
+          COUNT(*) as request_count,
+          COUNT(DISTINCT ak.user_id) as unique_users,
+          AVG(au.response_time) FILTER (WHERE au.status_code < 400) as avg_latency_ms,
+          PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY au.response_time) FILTER (WHERE au.status_code < 400) as p95_latency_ms,
+          AVG(au.input_tokens) FILTER (WHERE au.status_code < 400) as avg_input_tokens,
+          AVG(au.output_tokens) FILTER (WHERE au.status_code < 400) as avg_output_tokens,
+          SUM(au.total_tokens) as total_tokens,
+          COUNT(*) FILTER (WHERE au.status_code >= 400 AND au.status_code <> 499) * 100.0 / COUNT(*) as error_rate,
+          COUNT(f.request_id) as feedback_count,
+          AVG(f.rating) as avg_rating,
+          COUNT(*) FILTER (WHERE f.rating > 0) * 100.0 / NULLIF(COUNT(f.request_id), 0) as positive_feedback_rate
+        FROM api_usage au
+        JOIN api_keys ak ON au.api_key_id = ak.id
+        JOIN users u ON ak.user_id = u.id
+        CROSS JOIN LATERAL jsonb_each_text(au.metadata->'experiments') e
+        LEFT JOIN (
+          SELECT request_id, AVG(rating) as rating FROM response_feedback GROUP BY request_id
+        ) f ON f.request_id = au.request_id
+        WHERE au.created_at >= NOW() - INTERVAL '${interval}' ${orgFilter}
+        AND au.metadata ? 'experiments' AND NOT au.metadata ? 'replay_of'
+        AND ($1::text IS NULL OR e.key = $1)
+        GROUP BY e.key, e.value
+        ORDER BY e.key, e.value
+      `;
+
+      const experimentResult = await nile.db.query(experimentQuery, [req.query.experiment || null]);
+      analyticsData.experiments = experimentResult.rows;
+    }
+
     // Revenue Analytics (for admin/billing users)
     if (metricsArray.includes('revenue') && ['admin', 'billing'].includes(userData.role)) {
       const revenueQuery = `
@@ -0,0 +1,425 @@
+// api/batches.js - Asynchronous Batch Completions for /api/lynxa requests
+import getNile from '../utils/nile.js';
+import multer from 'multer';
+import {
+  BATCH_MAX_ITEMS,
+  BATCH_DISCOUNT,
+  parseJsonl,
+  parseBatchRequests,
+  processBatches,
+  toOutputLine
+} from '../utils/batches.js';
+import { checkQuota, releaseQuota, setQuotaHeaders } from '../utils/quotas.js';
+
+// Vercel rejects request bodies over 4.5 MB, multipart overhead included
+const MAX_FILE_BYTES = parseInt(process.env.LYNXA_BATCH_MAX_FILE_BYTES || String(4 * 1024 * 1024));
+
+// How long one cron invocation keeps working on queued items before leaving the rest to the next run
+const PROCESS_TIME_BUDGET_MS = parseInt(process.env.LYNXA_BATCH_TIME_BUDGET_MS || '50000');
+
+const INSERT_CHUNK_SIZE = 500;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, files: 1 } });
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const nile = await getNile();
+
+    // Scheduled worker (Vercel Cron) authenticates with CRON_SECRET instead of an API key
+    if (req.query.action === 'process') {
+      return await handleProcessBatches(req, res, nile);
+    }
+
+    // Extract API key from headers
+    const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'API key required',
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    // Validate API key and get user info
+    const userResult = await nile.db.query(
+      `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id,
+              o.settings as organization_settings, p.limits as plan_limits
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       LEFT JOIN organizations o ON u.organization_id = o.id
+       LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [apiKey]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid or expired API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    const userData = userResult.rows[0];
+    const { action } = req.query;
+
+    switch (req.method) {
+      case 'GET':
+        if (action === 'results') {
+          return await handleGetResults(req, res, nile, userData);
+        } else if (action === 'output') {
+          return await handleDownloadOutput(req, res, nile, userData);
+        }
+        return await handleGetBatches(req, res, nile, userData);
+      case 'POST':
+        if (action === 'cancel') {
+          return await handleCancelBatch(req, res, nile, userData);
+        }
+        return await handleCreateBatch(req, res, nile, userData);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Batches API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+}
+
+// Batches are private to the user that created them
+async function findBatch(nile, batchId, userData) {
+  const result = await nile.db.query(
+    `SELECT id, status, total_items, completed_items, failed_items, discount, metadata,
+            started_at, completed_at, created_at, updated_at
+     FROM batch_jobs
+     WHERE id = $1 AND user_id = $2`,
+    [batchId, userData.user_id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Read request entries from a multipart JSONL upload (field "file") or a JSON body
+async function readBatchEntries(req, res) {
+  if (req.headers['content-type']?.startsWith('multipart/form-data')) {
+    await new Promise((resolve, reject) => {
+      upload.single('file')(req, res, error => (error ? reject(error) : resolve()));
+    });
+
+    if (!req.file) {
+      return { errors: [{ message: 'Upload a JSONL file in the "file" field' }] };
+    }
+
+    const { entries, errors } = parseJsonl(req.file.buffer.toString('utf8'));
+    return { entries, errors, metadata: req.body?.metadata ? JSON.parse(req.body.metadata) : {} };
+  }
+
+  const body = req.body || {};
+  const entries = Array.isArray(body) ? body : body.requests;
+  if (!Array.isArray(entries)) {
+    return { errors: [{ message: 'Send a JSON array of requests, {"requests": [...]}, or a JSONL file upload' }] };
+  }
+
+  return { entries, errors: [], metadata: Array.isArray(body) ? {} : body.metadata || {} };
+}
+
+// Create a batch job and start processing it
+async function handleCreateBatch(req, res, nile, userData) {
+  let parsedBody;
+  try {
+    parsedBody = await readBatchEntries(req, res);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.code === 'LIMIT_FILE_SIZE' ? `File exceeds ${MAX_FILE_BYTES} bytes` : `Invalid batch input: ${error.message}`,
+      code: 'INVALID_BATCH'
+    });
+  }
+
+  const { entries = [], metadata } = parsedBody;
+  if (parsedBody.errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid batch input',
+      code: 'INVALID_BATCH',
+      details: parsedBody.errors.slice(0, 20)
+    });
+  }
+
+  if (entries.length === 0 || entries.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({
+      error: `A batch must contain between 1 and ${BATCH_MAX_ITEMS} requests`,
+      code: 'INVALID_BATCH'
+    });
+  }
+
+  const { items, errors } = parseBatchRequests(entries);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: `${errors.length} request(s) in the batch are invalid`,
+      code: 'INVALID_BATCH',
+      details: errors.slice(0, 20)
+    });
+  }
+
+  let quota;
+  try {
+    // Every item counts as a request; the whole batch must fit in the monthly quota.
+    // The hold is kept on the job and given back item by item as the worker meters
+    // them, so concurrent uploads and requests cannot fit the same remaining quota.
+    quota = await checkQuota(nile, userData, { requests: items.length });
+    setQuotaHeaders(res, quota);
+    if (quota.error) {
+      return res.status(quota.error.status).json(quota.error.body);
+    }
+
+    const jobResult = await nile.db.query(
+      `INSERT INTO batch_jobs (user_id, organization_id, api_key_id, total_items, discount, quota_holds, metadata, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING id, status, total_items, completed_items, failed_items, discount, metadata, created_at`,
+      [userData.user_id, userData.organization_id, userData.id, items.length, BATCH_DISCOUNT, JSON.stringify(quota.holds), JSON.stringify(metadata)]
+    );
+    const job = jobResult.rows[0];
+
+    for (let start = 0; start < items.length; start += INSERT_CHUNK_SIZE) {
+      const chunk = items.slice(start, start + INSERT_CHUNK_SIZE);
+      const params = [job.id];
+      const values = chunk.map((item, i) => {
+        params.push(start + i, item.custom_id, JSON.stringify(item.request));
+        const p = params.length;
+        return `($1, $${p - 2}, $${p - 1}, $${p})`;
+      });
+
+      await nile.db.query(
+        `INSERT INTO batch_items (batch_id, item_index, custom_id, request) VALUES ${values.join(', ')}`,
+        params
+      );
+    }
+
+    // Log batch creation
+    await nile.db.query(
+      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
+       VALUES ($1, $2, 'batch_created', 'batch_job', $3, $4, NOW())`,
+      [userData.user_id, userData.organization_id, job.id, JSON.stringify({ total_items: items.length })]
+    );
+
+    // Serverless functions are frozen once they respond, so the cron worker does the processing
+    return res.status(202).json({
+      success: true,
+      message: 'Batch queued',
+      batch: job
+    });
+
+  } catch (error) {
+    console.error('Create batch error:', error);
+    await releaseQuota(nile, quota);
+    return res.status(500).json({
+      error: 'Failed to create batch',
+      code: 'CREATE_ERROR'
+    });
+  }
+}
+
+// List batches, or fetch one batch's status
+async function handleGetBatches(req, res, nile, userData) {
+  const { batch_id, limit = 20, offset = 0 } = req.query;
+
+  try {
+    if (batch_id) {
+      const batch = await findBatch(nile, batch_id, userData);
+
+      if (!batch) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          code: 'BATCH_NOT_FOUND'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        batch
+      });
+    }
+
+    const result = await nile.db.query(
+      `SELECT id, status, total_items, completed_items, failed_items, discount, metadata,
+              started_at, completed_at, created_at
+       FROM batch_jobs
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userData.user_id, Math.min(parseInt(limit) || 20, 100), parseInt(offset) || 0]
+    );
+
+    return res.status(200).json({
+      success: true,
+      batches: result.rows,
+      total: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Get batches error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch batches',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Per-item results of a batch, paginated
+async function handleGetResults(req, res, nile, userData) {
+  const { batch_id, status, limit = 100, offset = 0 } = req.query;
+
+  try {
+    const batch = batch_id && await findBatch(nile, batch_id, userData);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    const result = await nile.db.query(
+      `SELECT id, item_index, custom_id, status, response, error, attempts, completed_at
+       FROM batch_items
+       WHERE batch_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY item_index ASC
+       LIMIT $3 OFFSET $4`,
+      [batch_id, status || null, Math.min(parseInt(limit) || 100, 1000), parseInt(offset) || 0]
+    );
+
+    return res.status(200).json({
+      success: true,
+      batch,
+      results: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get batch results error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch batch results',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Download all finished items as JSONL
+async function handleDownloadOutput(req, res, nile, userData) {
+  const { batch_id } = req.query;
+
+  try {
+    const batch = batch_id && await findBatch(nile, batch_id, userData);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    const result = await nile.db.query(
+      `SELECT id, custom_id, status, response, error
+       FROM batch_items
+       WHERE batch_id = $1 AND status IN ('succeeded', 'failed', 'cancelled')
+       ORDER BY item_index ASC`,
+      [batch_id]
+    );
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="batch_${batch_id}_output.jsonl"`);
+    return res.status(200).send(result.rows.map(toOutputLine).join('\n') + (result.rows.length > 0 ? '\n' : ''));
+
+  } catch (error) {
+    console.error('Download batch output error:', error);
+    return res.status(500).json({
+      error: 'Failed to download batch output',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Cancel a batch: pending items are skipped, finished ones keep their results
+async function handleCancelBatch(req, res, nile, userData) {
+  const { batch_id } = req.query;
+
+  try {
+    const batch = batch_id && await findBatch(nile, batch_id, userData);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    if (!['queued', 'in_progress'].includes(batch.status)) {
+      return res.status(409).json({
+        error: `Batch is already ${batch.status}`,
+        code: 'BATCH_NOT_CANCELLABLE'
+      });
+    }
+
+    const job = await nile.db.query(
+      `UPDATE batch_jobs SET status = 'cancelled', completed_at = NOW() WHERE id = $1 RETURNING quota_holds`,
+      [batch_id]
+    );
+    const cancelled = await nile.db.query(
+      `UPDATE batch_items SET status = 'cancelled', completed_at = NOW()
+       WHERE batch_id = $1 AND status = 'pending'`,
+      [batch_id]
+    );
+
+    // Cancelled items never run, so their share of the creation hold is given back now
+    if (cancelled.rowCount > 0) {
+      await releaseQuota(nile, { holds: job.rows[0].quota_holds }, { requests: cancelled.rowCount });
+    }
+
+    // Log batch cancellation
+    await nile.db.query(
+      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
+       VALUES ($1, $2, 'batch_cancelled', 'batch_job', $3, $4, NOW())`,
+      [userData.user_id, userData.organization_id, batch_id, JSON.stringify({ cancelled_items: cancelled.rowCount })]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Batch cancelled',
+      cancelled_items: cancelled.rowCount
+    });
+
+  } catch (error) {
+    console.error('Cancel batch error:', error);
+    return res.status(500).json({
+      error: 'Failed to cancel batch',
+      code: 'CANCEL_ERROR'
+    });
+  }
+}
+
+// Cron entry point: drain queued items from all batches within the time budget
+async function handleProcessBatches(req, res, nile) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({
+      error: 'Invalid cron secret',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  const stats = await processBatches(nile, { deadline: Date.now() + PROCESS_TIME_BUDGET_MS });
+
+  return res.status(200).json({
+    success: true,
+    ...stats
+  });
+}
@@ -2,6 +2,8 @@
 import getNile from '../utils/nile.js';
 import { getEnv } from '../utils/env.js';
 import Stripe from 'stripe';
+import { withIdempotency } from '../utils/idempotency.js';
+import { hashKey } from '../utils/cache.js';
 
 // Initialize Stripe (in production, this would use actual Stripe keys)
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key', {
@@ -12,7 +14,7 @@ export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -69,7 +71,10 @@ export default async function handler(req, res) {
         if (action === 'create-subscription') {
           return await handleCreateSubscription(req, res, nile, userData);
         } else if (action === 'create-checkout') {
-          return await handleCreateCheckout(req, res, nile, userData);
+          // Retried checkouts replay the first session instead of opening another
+          return await withIdempotency(nile, req, res, { apiKeyId: userData.id, endpoint: '/api/billing?action=create-checkout' }, (trackedRes) => (
+            handleCreateCheckout(req, trackedRes, nile, userData)
+          ));
         } else if (action === 'webhook') {
           return await handleStripeWebhook(req, res, nile);
         } else {
@@ -369,7 +374,8 @@ async function handleCreateCheckout(req, res, nile, userData) {
       );
     }
 
-    // Create checkout session
+    // Create checkout session; Stripe deduplicates on our Idempotency-Key too
+    const idempotencyKey = req.headers['idempotency-key'];
     const session = await stripe.checkout.sessions.create({
       customer: customerId,
       payment_method_types: ['card'],
@@ -395,7 +401,7 @@ async function handleCreateCheckout(req, res, nile, userData) {
         plan_id: plan_id,
         user_id: userData.user_id
       }
-    });
+    }, idempotencyKey ? { idempotencyKey: hashKey('checkout', { api_key_id: userData.id, key: idempotencyKey }) } : undefined);
 
     // Log checkout session creation
     await nile.db.query(
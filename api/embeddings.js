@@ -0,0 +1,190 @@
+// api/embeddings.js - OpenAI-compatible embeddings with usage metering
+import getNile from '../utils/nile.js';
+import { dispatchEmbeddings, resolveEmbeddingModel, mapUpstreamError } from '../utils/providers.js';
+import { estimateTokens } from '../utils/tokens.js';
+import { recordUsage } from '../utils/usage.js';
+import { checkQuota, releaseQuota, setQuotaHeaders } from '../utils/quotas.js';
+import { randomBytes } from 'crypto';
+
+const MAX_INPUTS = 2048;
+const MAX_INPUT_TOKENS = 8192;
+
+// Inputs must be a non-empty string or a non-empty array of non-empty strings
+function validateInput(input) {
+  const inputs = Array.isArray(input) ? input : [input];
+
+  if (inputs.length === 0 || inputs.length > MAX_INPUTS) {
+    return `"input" must contain between 1 and ${MAX_INPUTS} strings`;
+  }
+
+  for (const [index, text] of inputs.entries()) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return `"input[${index}]" must be a non-empty string`;
+    }
+    if (estimateTokens(text) > MAX_INPUT_TOKENS) {
+      return `"input[${index}]" exceeds ${MAX_INPUT_TOKENS} tokens`;
+    }
+  }
+
+  return null;
+}
+
+// Little-endian float32 bytes, as returned by OpenAI for encoding_format "base64"
+function toBase64(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // 🔐 Validate API Key
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'NEXARIQ_API_KEY required: Authorization: Bearer <key>' });
+  }
+
+  const providedKey = authHeader.substring(7);
+  let userData;
+
+  try {
+    const nile = await getNile();
+    const result = await nile.db.query(
+      `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id,
+              o.settings as organization_settings, p.limits as plan_limits
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       LEFT JOIN organizations o ON u.organization_id = o.id
+       LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [providedKey]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid, expired, or revoked NEXARIQ_API_KEY',
+        message: 'Generate a key at /api/keys/generate'
+      });
+    }
+
+    userData = result.rows[0];
+  } catch (err) {
+    console.error('API Key verification failed:', err.message);
+    return res.status(500).json({ error: 'Database error during authentication' });
+  }
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ error: 'Request body must be a JSON object', code: 'INVALID_INPUT' });
+  }
+
+  const { input, model = 'lynxa-embed', encoding_format = 'float', dimensions } = req.body;
+
+  const inputError = validateInput(input);
+  if (inputError) {
+    return res.status(400).json({ error: inputError, code: 'INVALID_INPUT' });
+  }
+
+  if (!resolveEmbeddingModel(model)) {
+    return res.status(400).json({ error: `Unknown embedding model: ${model}`, code: 'UNKNOWN_MODEL' });
+  }
+
+  if (!['float', 'base64'].includes(encoding_format)) {
+    return res.status(400).json({ error: '"encoding_format" must be "float" or "base64"', code: 'INVALID_INPUT' });
+  }
+
+  if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+    return res.status(400).json({ error: '"dimensions" must be a positive integer', code: 'INVALID_INPUT' });
+  }
+
+  // 📊 Embeddings count against the same monthly quotas as completions; the
+  // request is held against them until it has been metered
+  let nile;
+  let quota;
+  try {
+    nile = await getNile();
+    quota = await checkQuota(nile, userData);
+  } catch (err) {
+    console.error('Quota check failed:', err.message);
+    return res.status(500).json({ error: 'Database error while checking quota' });
+  }
+
+  setQuotaHeaders(res, quota);
+  if (quota.error) {
+    return res.status(quota.error.status).json(quota.error.body);
+  }
+
+  const inputs = Array.isArray(input) ? input : [input];
+  const requestId = `emb_${randomBytes(16).toString('hex')}`;
+  const startTime = Date.now();
+
+  try {
+    // Vectors are always requested as floats; base64 is encoded here so every provider supports it
+    const { response, provider } = await dispatchEmbeddings(model, {
+      input: inputs,
+      ...(dimensions && { dimensions })
+    });
+
+    res.setHeader('X-Lynxa-Provider', provider);
+
+    if (!response.ok) {
+      const upstreamError = await mapUpstreamError(response);
+      console.error(`Upstream embeddings error (${provider}, ${response.status}):`, upstreamError.details);
+      if (upstreamError.retryAfter) res.setHeader('Retry-After', upstreamError.retryAfter);
+      return res.status(upstreamError.status).json({
+        error: upstreamError.message,
+        code: upstreamError.code,
+        details: upstreamError.details,
+        provider
+      });
+    }
+
+    const data = await response.json();
+    const promptTokens = data.usage?.prompt_tokens
+      ?? inputs.reduce((sum, text) => sum + estimateTokens(text), 0);
+
+    await recordUsage(userData, providedKey, {
+      endpoint: '/api/embeddings',
+      promptTokens,
+      completionTokens: 0,
+      responseTime: Date.now() - startTime,
+      requestId,
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null,
+      metadata: {
+        model,
+        provider,
+        inputs: inputs.length,
+        dimensions: data.data[0]?.embedding.length,
+        ...(quota.overage && { quota_overage: true }),
+        usage_source: data.usage ? 'upstream' : 'estimate'
+      }
+    });
+
+    res.status(200).json({
+      object: 'list',
+      data: data.data.map(item => ({
+        object: 'embedding',
+        index: item.index,
+        embedding: encoding_format === 'base64' ? toBase64(item.embedding) : item.embedding
+      })),
+      model,
+      provider,
+      usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+    });
+  } catch (error) {
+    console.error('Unexpected error in embeddings:', error);
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
+      error: {
+        type: error.status === 503 ? 'upstream_unavailable' : 'internal_error',
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.retryAfter && { retry_after: error.retryAfter }),
+        ...(error.attempts && { attempts: error.attempts })
+      }
+    });
+  } finally {
+    await releaseQuota(nile, quota);
+  }
+}
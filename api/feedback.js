@@ -0,0 +1,172 @@
+// api/feedback.js - Thumbs up/down ratings of /api/lynxa responses
+import getNile from '../utils/nile.js';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const nile = await getNile();
+
+    // Extract API key from headers
+    const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'API key required',
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    // Validate API key and get user info
+    const userResult = await nile.db.query(
+      `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [apiKey]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid or expired API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    const userData = userResult.rows[0];
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGetFeedback(req, res, nile, userData);
+      case 'POST':
+        return await handleSubmitFeedback(req, res, nile, userData);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Feedback API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+}
+
+// Responses made with the caller's keys or their organization's can be rated
+async function canRateResponse(nile, requestId, userData) {
+  const result = await nile.db.query(
+    `SELECT 1 FROM api_usage au
+     JOIN api_keys ak ON au.api_key_id = ak.id
+     JOIN users u ON ak.user_id = u.id
+     WHERE au.request_id = $1 AND (ak.user_id = $2 OR u.organization_id = $3)
+     LIMIT 1`,
+    [requestId, userData.user_id, userData.organization_id]
+  );
+  return result.rows.length > 0;
+}
+
+// The caller's rating of a response
+async function handleGetFeedback(req, res, nile, userData) {
+  const { request_id } = req.query;
+
+  if (!request_id) {
+    return res.status(400).json({
+      error: 'request_id is required',
+      code: 'MISSING_REQUEST_ID'
+    });
+  }
+
+  try {
+    const result = await nile.db.query(
+      `SELECT request_id, rating, comment, created_at, updated_at
+       FROM response_feedback
+       WHERE request_id = $1 AND user_id = $2`,
+      [request_id, userData.user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Feedback not found',
+        code: 'FEEDBACK_NOT_FOUND'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      feedback: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Get feedback error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch feedback',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Rate a response (1 or -1); rating it again replaces the earlier rating
+async function handleSubmitFeedback(req, res, nile, userData) {
+  const { request_id, rating, comment } = req.body || {};
+
+  if (typeof request_id !== 'string' || request_id.length === 0) {
+    return res.status(400).json({
+      error: 'request_id is required',
+      code: 'MISSING_REQUEST_ID'
+    });
+  }
+
+  if (rating !== 1 && rating !== -1) {
+    return res.status(400).json({
+      error: 'rating must be 1 (helpful) or -1 (not helpful)',
+      code: 'INVALID_RATING'
+    });
+  }
+
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return res.status(400).json({
+      error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`,
+      code: 'INVALID_COMMENT'
+    });
+  }
+
+  try {
+    if (!await canRateResponse(nile, request_id, userData)) {
+      return res.status(404).json({
+        error: 'Response not found',
+        code: 'RESPONSE_NOT_FOUND'
+      });
+    }
+
+    const result = await nile.db.query(
+      `INSERT INTO response_feedback (request_id, user_id, api_key_id, rating, comment, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       ON CONFLICT (request_id, user_id) DO UPDATE
+         SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, api_key_id = EXCLUDED.api_key_id
+       RETURNING request_id, rating, comment, created_at, updated_at`,
+      [request_id, userData.user_id, userData.id, rating, comment ?? null]
+    );
+
+    return res.status(200).json({
+      success: true,
+      feedback: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Submit feedback error:', error);
+    return res.status(500).json({
+      error: 'Failed to save feedback',
+      code: 'SAVE_ERROR'
+    });
+  }
+}
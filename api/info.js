@@ -13,6 +13,15 @@ export default async function handler(req, res) {
         { path: '/api/keys/generate', method: 'POST', description: 'Generate a new API key' },
         { path: '/api/keys/revoke', method: 'POST', description: 'Revoke an API key' },
         { path: '/api/lynxa', method: 'POST', description: 'Chat with Lynxa Pro AI' },
+        { path: '/v1/chat/completions', method: 'POST', description: 'OpenAI Chat Completions-compatible chat' },
+        { path: '/api/models', method: 'GET', description: 'List models available on your plan' },
+        { path: '/v1/models', method: 'GET', description: 'OpenAI-compatible model list' },
+        { path: '/v1/messages', method: 'POST', description: 'Anthropic Messages API-compatible chat' },
+        { path: '/api/embeddings', method: 'POST', description: 'Create text embeddings' },
+        { path: '/api/batches', method: 'GET, POST', description: 'Submit and track batch chat completions' },
+        { path: '/api/threads', method: 'GET, POST, PUT, DELETE', description: 'Manage conversation threads' },
+        { path: '/api/transcripts', method: 'GET, POST, PUT, DELETE', description: 'Stored transcripts and replay' },
+        { path: '/api/feedback', method: 'GET, POST', description: 'Rate chat responses' },
         { path: '/api/health', method: 'GET', description: 'Check service health' },
         { path: '/api/info', method: 'GET', description: 'Get service information' }
       ]
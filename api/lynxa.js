@@ -2,18 +2,40 @@
 // Features: Authentication, Rate Limiting, Usage Tracking, WebSocket Support, Advanced Analytics
 import { getEnv } from '../utils/env.js';
 import getNile from '../utils/nile.js';
+import { dispatchChatCompletion, getContextWindow, mapUpstreamError } from '../utils/providers.js';
+import { getModelEntry, checkModelAccess } from '../utils/models.js';
+import { estimateUsage, estimateTokens } from '../utils/tokens.js';
+import { recordUsage } from '../utils/usage.js';
+import { findThread, getThreadMessages, appendThreadMessages } from '../utils/threads.js';
+import { normalizeTools, normalizeToolChoice, normalizeToolMessages, createToolCallAccumulator } from '../utils/tools.js';
+import { resolvePersona, DEFAULT_SYSTEM_PROMPT } from '../utils/personas.js';
+import { resolveTemplate, renderTemplate } from '../utils/templates.js';
+import { buildRedactionPolicy, redactMessages } from '../utils/redaction.js';
+import { cacheGet, cacheSet, hashKey } from '../utils/cache.js';
+import { compileResponseFormat, buildFormatInstruction, validateOutput, buildCorrectionMessages } from '../utils/structured-output.js';
+import { resolveContextOptions, fitContext } from '../utils/context.js';
+import { buildModerationPolicy, moderateMessages, moderateText, createStreamModerator, logModerationEvent } from '../utils/moderation.js';
+import { lynxaRequestSchema, validateRequest, clampMaxTokens } from '../utils/validation.js';
+import { resolveSampling } from '../utils/sampling.js';
+import { readSSE, SSE_KEEPALIVE_MS } from '../utils/sse.js';
+import { withIdempotency } from '../utils/idempotency.js';
+import { resolveTranscriptPolicy, saveTranscript } from '../utils/transcripts.js';
+import { checkQuota, releaseQuota, setQuotaHeaders } from '../utils/quotas.js';
+import { loadExperiments, assignExperiments, applyVariants, describeAssignments } from '../utils/experiments.js';
+import { MAX_IMAGE_BYTES, MAX_IMAGES, validateImages, hasImages, describeImages, buildUploadRequest } from '../utils/images.js';
+import { adaptRequest } from '../utils/response-adapter.js';
+import multer from 'multer';
 import { randomBytes } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { RateLimiterRedis } from 'rate-limiter-flexible';
-import Joi from 'joi';
 
-const LYNXA_SYSTEM_PROMPT = `You are Lynxa Pro, an advanced AI assistant developed by Nexariq, a sub-brand of AJ STUDIOZ.
+const CACHE_TTL_SECONDS = parseInt(process.env.LYNXA_CACHE_TTL_SECONDS || '3600');
 
-You should respond naturally and conversationally. When asked about your identity, mention that you're Lynxa Pro created by Nexariq (part of AJ STUDIOZ) in a natural way, but don't give the same scripted response every time. Vary your responses and be conversational like other AI assistants.
+// Multipart requests carry images as "image" files next to the request fields
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES } });
 
-Be helpful, intelligent, and professional while maintaining a friendly and approachable tone. Answer questions directly and engagingly without being overly formal or repetitive.`;
-
-export default async function handler(req, res) {
+// `replayOf` is set only by in-process callers (transcript replays), never from the request
+export default async function handler(req, res, { replayOf = null } = {}) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -30,7 +52,14 @@ export default async function handler(req, res) {
   try {
     const nile = await getNile();
     const result = await nile.db.query(
-      `SELECT * FROM api_keys WHERE api_key = $1 AND expires > NOW() AND revoked = FALSE`,
+      `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id,
+              o.settings as organization_settings, o.plan as organization_plan,
+              p.limits as plan_limits
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       LEFT JOIN organizations o ON u.organization_id = o.id
+       LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
       [providedKey]
     );
 
@@ -47,51 +76,589 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Database error during authentication' });
   }
 
+  // 🖼️ Multipart uploads become a JSON body with the images as data URLs
+  let completionReq = req;
+  if (req.headers['content-type']?.startsWith('multipart/form-data')) {
+    try {
+      await new Promise((resolve, reject) => {
+        upload.array('image', MAX_IMAGES)(req, res, error => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Image exceeds ${MAX_IMAGE_BYTES} bytes`
+          : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Upload up to ${MAX_IMAGES} images in the "image" field`
+            : `Invalid multipart request: ${error.message}`,
+        code: 'INVALID_IMAGE'
+      });
+    }
+
+    const built = buildUploadRequest(req.body, req.files);
+    if (built.error) {
+      return res.status(400).json(built.error);
+    }
+    completionReq = adaptRequest(req, { body: built.body });
+  }
+
+  // 🔁 Idempotency-Key: a retried request gets the first response back instead of a new completion
+  let nile;
+  try {
+    nile = await getNile();
+  } catch (err) {
+    console.error('Database connection failed:', err.message);
+    return res.status(500).json({ error: 'Database error while connecting' });
+  }
+
+  return withIdempotency(nile, completionReq, res, { apiKeyId: userData.id, endpoint: '/api/lynxa' }, (trackedRes) => (
+    handleCompletion(completionReq, trackedRes, userData, providedKey, { replayOf })
+  ));
+}
+
+// Everything after authentication: quota, then the completion itself
+async function handleCompletion(req, res, userData, providedKey, { replayOf }) {
+  // 📊 Monthly quotas: plan limits per organization, optional per-key sub-quotas
+  let nile;
+  let quota;
+  try {
+    nile = await getNile();
+    quota = await checkQuota(nile, userData);
+  } catch (err) {
+    console.error('Quota check failed:', err.message);
+    return res.status(500).json({ error: 'Database error while checking quota' });
+  }
+
+  setQuotaHeaders(res, quota);
+  if (quota.error) {
+    return res.status(quota.error.status).json(quota.error.body);
+  }
+
+  // The request is held against the quota until it has been metered
+  try {
+    return await runCompletion(req, res, userData, providedKey, { replayOf, quota });
+  } finally {
+    await releaseQuota(nile, quota);
+  }
+}
+
+// Validation, prompt assembly, upstream call and metering
+async function runCompletion(req, res, userData, providedKey, { replayOf, quota }) {
+  // ✅ Validate the request body; every invalid field is reported at once
+  const validation = validateRequest(lynxaRequestSchema, req.body);
+  if (validation.error) {
+    return res.status(400).json(validation.error);
+  }
+
+  // 🧪 Experiments: feature flags may fill in the model, persona or sampling for
+  // a share of callers. A lookup failure runs the request as sent.
+  let request = validation.value;
+  let assignments = [];
+  try {
+    const nile = await getNile();
+    const assigned = assignExperiments(await loadExperiments(nile), userData);
+    ({ body: request, assignments } = await applyVariants(nile, validation.value, assigned, userData));
+  } catch (err) {
+    console.warn('Experiment lookup failed:', err.message);
+  }
+  const experimentInfo = describeAssignments(assignments);
+  if (experimentInfo) {
+    res.setHeader('X-Lynxa-Experiments', Object.entries(experimentInfo).map(([name, variant]) => `${name}=${variant}`).join(', '));
+  }
+
   // 🧠 Extract payload (OpenAI-compatible format + simple message support)
   const {
-    model = 'lynxa-pro',
-    max_tokens = 4096,
-    messages = [],
+    model: requestedModel,
+    persona: personaName,
+    max_tokens,
+    messages,
     message,
-    stream = false
-  } = req.body;
+    template_id,
+    template_version,
+    variables,
+    stream = false,
+    thread_id,
+    tools,
+    tool_choice,
+    parallel_tool_calls,
+    response_format,
+    schema_retries,
+    cache,
+    context_strategy,
+    context_keep_last
+  } = request;
+
+  // 🖼️ Images: base64 data URLs of a supported type and size, a few per request
+  const imageCheck = validateImages(messages);
+  if (imageCheck.error) {
+    return res.status(400).json(imageCheck.error);
+  }
+
+  // 📝 Prompt template: stored messages rendered with the caller's variables
+  let templateMessages = [];
+  let templateInfo = null;
+  if (template_id) {
+    let template;
+    try {
+      const nile = await getNile();
+      template = await resolveTemplate(nile, userData.organization_id, template_id, template_version);
+    } catch (err) {
+      console.error('Template lookup failed:', err.message);
+      return res.status(500).json({ error: 'Database error while loading template' });
+    }
+
+    if (!template) {
+      return res.status(404).json({
+        error: `Template not found: ${template_id}${template_version ? ` (version ${template_version})` : ''}`,
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    const rendered = renderTemplate(template, variables);
+    if (rendered.error) {
+      return res.status(400).json(rendered.error);
+    }
+
+    templateMessages = rendered.messages;
+    templateInfo = { id: template.id, name: template.name, version: template.version };
+  }
+
+  // Support both formats: simple message or OpenAI messages array, after any template messages
+  let finalMessages = [
+    ...templateMessages,
+    ...(message ? [{ role: 'user', content: message }] : messages || [])
+  ];
+
+  // 🛠️ Tool / function calling (OpenAI-compatible passthrough)
+  let normalizedTools;
+  let normalizedToolChoice;
+  try {
+    normalizedTools = normalizeTools(tools);
+    normalizedToolChoice = normalizeToolChoice(tool_choice, normalizedTools);
+    finalMessages = normalizeToolMessages(finalMessages);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message, code: err.code });
+  }
+
+  // 🧾 Structured output (json_object / json_schema)
+  let responseFormat;
+  try {
+    responseFormat = compileResponseFormat(response_format, schema_retries);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message, code: err.code });
+  }
+
+  if (responseFormat?.type === 'json_schema' && stream) {
+    return res.status(400).json({
+      error: 'Streaming is not supported with response_format "json_schema"; the output must be validated as a whole',
+      code: 'INVALID_RESPONSE_FORMAT'
+    });
+  }
 
-  // Support both formats: simple message or OpenAI messages array
-  let finalMessages = [];
-  if (message && typeof message === 'string') {
-    finalMessages = [{ role: 'user', content: message }];
-  } else if (messages && messages.length > 0) {
-    finalMessages = messages;
-  } else {
-    return res.status(400).json({ error: 'Either "message" string or "messages" array is required' });
+  // 📏 Context-window strategy for prompts that outgrow the model
+  let contextOptions;
+  try {
+    contextOptions = resolveContextOptions(context_strategy, context_keep_last);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message, code: err.code });
+  }
+
+  // 🛡️ Input moderation (organization policy). Only the new turn is checked;
+  // stored thread history already passed moderation when it was written.
+  const messageId = `msg_${randomBytes(16).toString('hex')}`;
+  const moderationPolicy = buildModerationPolicy(userData.organization_settings);
+  const moderationInfo = {};
+
+  // Record a violation in audit_logs and remember it for usage metadata
+  const reportModeration = async (stage, findings) => {
+    moderationInfo[stage] = {
+      action: moderationPolicy.action,
+      categories: [...new Set(findings.map(f => f.category))]
+    };
+
+    try {
+      const nile = await getNile();
+      await logModerationEvent(nile, userData, {
+        stage,
+        action: moderationPolicy.action,
+        findings,
+        requestId: messageId,
+        model: requestedModel || null
+      });
+    } catch (err) {
+      console.warn('Moderation audit failed:', err.message);
+    }
+  };
+
+  if (moderationPolicy?.checkInput) {
+    const { findings, messages: moderatedMessages } = moderateMessages(finalMessages, moderationPolicy);
+
+    if (findings.length > 0) {
+      await reportModeration('input', findings);
+
+      if (moderationPolicy.action === 'block') {
+        return res.status(400).json({
+          error: {
+            type: 'content_policy_violation',
+            message: 'The request was blocked by your organization\'s content policy',
+            categories: moderationInfo.input.categories
+          }
+        });
+      }
+
+      finalMessages = moderatedMessages;
+    }
+  }
+
+  // 🔒 PII redaction: mask the new turn before it goes upstream when the organization opts in
+  const redactionPolicy = buildRedactionPolicy(userData.organization_settings);
+  let redactionCounts = null;
+  if (redactionPolicy?.prompts) {
+    const redacted = redactMessages(finalMessages, redactionPolicy);
+    finalMessages = redacted.messages;
+    if (Object.keys(redacted.counts).length > 0) redactionCounts = redacted.counts;
+  }
+
+  // 🧵 Thread mode: the request carries only the new turn, history comes from storage
+  const newTurnMessages = finalMessages;
+  if (thread_id) {
+    try {
+      const nile = await getNile();
+      const thread = await findThread(nile, thread_id, userData);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found', code: 'THREAD_NOT_FOUND' });
+      }
+
+      finalMessages = [...await getThreadMessages(nile, thread_id), ...newTurnMessages];
+    } catch (err) {
+      console.error('Thread lookup failed:', err.message);
+      return res.status(500).json({ error: 'Database error while loading thread' });
+    }
   }
 
+  // Persist the new turn and the assistant reply once the completion is known
+  const saveThreadTurn = async (replyMessage, metadata) => {
+    if (!thread_id) return;
+
+    try {
+      const nile = await getNile();
+      const turn = [...newTurnMessages, replyMessage];
+      await appendThreadMessages(
+        nile,
+        thread_id,
+        redactionPolicy?.transcripts ? redactMessages(turn, redactionPolicy).messages : turn,
+        metadata
+      );
+    } catch (err) {
+      console.warn('Thread append failed:', err.message);
+    }
+  };
+
+  // 🎭 Persona: named one if requested, else the organization's default
+  let persona = null;
+  try {
+    const nile = await getNile();
+    persona = await resolvePersona(nile, userData.organization_id, personaName);
+  } catch (err) {
+    console.error('Persona lookup failed:', err.message);
+    return res.status(500).json({ error: 'Database error while loading persona' });
+  }
+
+  if (personaName && !persona) {
+    return res.status(404).json({ error: `Persona not found: ${personaName}`, code: 'PERSONA_NOT_FOUND' });
+  }
+
+  const model = requestedModel || persona?.model || 'lynxa-pro';
+  const systemPrompt = persona?.system_prompt ?? DEFAULT_SYSTEM_PROMPT;
+  const personaInfo = persona ? { name: persona.name, version: persona.version } : null;
+
+  // 🏷️ Model catalog: the organization's plan must include the model and its features
+  let modelEntry;
+  try {
+    const nile = await getNile();
+    modelEntry = await getModelEntry(nile, model);
+  } catch (err) {
+    console.error('Model catalog lookup failed:', err.message);
+    return res.status(500).json({ error: 'Database error while loading model catalog' });
+  }
+
+  if (!modelEntry) {
+    return res.status(400).json({ error: `Unknown model: ${model}`, code: 'UNKNOWN_MODEL' });
+  }
+
+  const accessError = checkModelAccess(modelEntry, userData.organization_plan, {
+    stream,
+    tools: Boolean(normalizedTools),
+    jsonMode: Boolean(responseFormat),
+    // Thread history counts too: it is sent along with the new turn
+    vision: hasImages(finalMessages)
+  });
+  if (accessError) {
+    return res.status(accessError.status).json(accessError.body);
+  }
+  const imageInfo = describeImages(finalMessages);
+
+  // Never ask for more output than the plan or the model allows
+  const maxTokens = clampMaxTokens(max_tokens, {
+    planLimits: userData.plan_limits,
+    modelMaxOutput: modelEntry.max_output_tokens
+  });
+  if (maxTokens < max_tokens) {
+    res.setHeader('X-Lynxa-Max-Tokens', String(maxTokens));
+  }
+
+  // 🎲 Sampling: request, then persona, then organization defaults, within the org's ranges
+  const sampling = resolveSampling(request, {
+    settings: userData.organization_settings,
+    planLimits: userData.plan_limits,
+    personaTemperature: persona?.temperature
+  });
+  if (sampling.error) {
+    return res.status(400).json(sampling.error);
+  }
+
+  const { temperature } = sampling.params;
+  const choiceCount = sampling.params.n ?? 1;
+  if (choiceCount > 1 && (stream || responseFormat)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      code: 'VALIDATION_ERROR',
+      details: [{ field: 'n', message: 'n > 1 is not supported with stream or response_format', type: 'any.invalid' }]
+    });
+  }
+
+  const startTime = Date.now();
+  const requestContext = {
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null
+  };
+
+  // 📼 Transcripts: keep the full exchange for debugging and replay when the key
+  // or organization opts in. Replays (/api/transcripts) are not stored again.
+  const transcriptPolicy = replayOf ? null : resolveTranscriptPolicy(userData);
+  const storeTranscript = async (completion, metadata) => {
+    if (!transcriptPolicy) return;
+
+    try {
+      const nile = await getNile();
+      await saveTranscript(nile, userData, transcriptPolicy, {
+        requestId: messageId,
+        endpoint: '/api/lynxa',
+        model,
+        provider: completion.provider,
+        request: validation.value,
+        messages: finalMessages,
+        response: completion,
+        metadata: {
+          ...(personaInfo && { persona: personaInfo }),
+          ...(templateInfo && { template: templateInfo }),
+          ...(thread_id && { thread_id }),
+          ...metadata
+        }
+      });
+    } catch (err) {
+      console.warn('Transcript save failed:', err.message);
+    }
+  };
+
+  // 📏 Trim or summarize older turns so the prompt fits the model's context window
+  let upstreamMessages;
+  let contextReport;
   try {
-    // 🔑 Use internal Groq key
-    const GROQ_API_KEY = getEnv('GROQ_API_KEY');
-
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`
+    const fitted = await fitContext([
+      {
+        role: 'system',
+        content: responseFormat
+          ? `${systemPrompt}\n\n${buildFormatInstruction(responseFormat)}`
+          : systemPrompt
       },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          { role: 'system', content: LYNXA_SYSTEM_PROMPT },
-          ...finalMessages
-        ],
-        max_tokens,
-        temperature: 0.7,
-        stream
+      ...finalMessages
+    ], {
+      ...contextOptions,
+      contextWindow: getContextWindow(model),
+      reservedTokens: maxTokens + (normalizedTools ? estimateTokens(JSON.stringify(normalizedTools)) : 0)
+    });
+    upstreamMessages = fitted.messages;
+    contextReport = fitted.report;
+
+    // The summary is a separate upstream call, metered on its own
+    if (fitted.summaryUsage) {
+      await recordUsage(userData, providedKey, {
+        promptTokens: fitted.summaryUsage.prompt_tokens ?? 0,
+        completionTokens: fitted.summaryUsage.completion_tokens ?? 0,
+        requestId: messageId,
+        ...requestContext,
+        metadata: { model: contextReport.summary_model, purpose: 'context_summary', ...(thread_id && { thread_id }) }
+      });
+    }
+  } catch (err) {
+    console.error('Context fitting failed:', err.message);
+    return res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+
+  const upstreamPayload = {
+    messages: upstreamMessages,
+    max_tokens: maxTokens,
+    ...sampling.params,
+    stream,
+    ...(normalizedTools && { tools: normalizedTools }),
+    ...(normalizedToolChoice && { tool_choice: normalizedToolChoice }),
+    ...(parallel_tool_calls !== undefined && { parallel_tool_calls }),
+    // Both JSON modes use the widely supported json_object upstream; schemas are enforced here
+    ...(responseFormat && { response_format: { type: 'json_object' } }),
+    ...(stream && { stream_options: { include_usage: true } })
+  };
+
+  // 💾 Response cache: only for deterministic requests (temperature 0) or an explicit `cache: true`;
+  // entries hold a single choice, so n > 1 always goes upstream. Entries are scoped to the
+  // organization (or the user without one) so completions never cross tenants
+  const cacheKey = choiceCount === 1 && (cache === true || (cache !== false && temperature === 0))
+    ? hashKey('lynxa:completion', {
+        tenant: userData.organization_id || userData.user_id,
+        model,
+        persona: personaInfo,
+        moderation: userData.organization_settings?.moderation,
+        ...upstreamPayload,
+        stream: undefined,
+        stream_options: undefined
       })
+    : null;
+
+  // Replay a cached completion in the caller's format (JSON or SSE)
+  const sendCachedCompletion = async (cached) => {
+    res.setHeader('X-Lynxa-Cache', 'HIT');
+    res.setHeader('X-Lynxa-Provider', cached.provider);
+
+    const completion = {
+      id: messageId,
+      object: 'chat.completion',
+      model,
+      provider: cached.provider,
+      choices: [{ index: 0, message: cached.message, finish_reason: cached.finish_reason }],
+      usage: cached.usage,
+      cached: true,
+      ...(personaInfo && { persona: personaInfo }),
+      ...(templateInfo && { template: templateInfo }),
+      ...(thread_id && { thread_id }),
+      ...(contextReport && { context: contextReport }),
+      developer: 'Nexariq - AJ STUDIOZ',
+      user: userData.email
+    };
+
+    await saveThreadTurn(cached.message, {
+      model,
+      provider: cached.provider,
+      request_id: messageId,
+      cached: true,
+      ...(personaInfo && { persona: personaInfo }),
+      ...(templateInfo && { template: templateInfo })
+    });
+    await recordUsage(userData, providedKey, {
+      promptTokens: cached.usage.prompt_tokens,
+      completionTokens: cached.usage.completion_tokens,
+      responseTime: Date.now() - startTime,
+      requestId: messageId,
+      ...requestContext,
+      metadata: {
+        model,
+        provider: cached.provider,
+        stream,
+        cached: true,
+        ...(personaInfo && { persona: personaInfo }),
+        ...(templateInfo && { template: templateInfo }),
+        ...(thread_id && { thread_id }),
+        ...(contextReport && { context: contextReport }),
+        ...(replayOf && { replay_of: replayOf }),
+        ...(quota.overage && { quota_overage: true }),
+        ...(imageInfo && { images: imageInfo }),
+        ...(experimentInfo && { experiments: experimentInfo }),
+        usage_source: 'cache'
+      }
     });
+    await storeTranscript(completion, { stream, cached: true });
+
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const delta = {
+        ...(cached.message.content && { content: cached.message.content }),
+        ...(cached.message.tool_calls && {
+          tool_calls: cached.message.tool_calls.map((call, index) => ({ index, ...call }))
+        })
+      };
+      res.write(`data: ${JSON.stringify({ choices: [{ delta }], id: messageId, model })}\n\n`);
+      res.write(`data: ${JSON.stringify({
+        choices: [{ finish_reason: cached.finish_reason }],
+        id: messageId,
+        model,
+        provider: cached.provider,
+        ...(personaInfo && { persona: personaInfo }),
+        ...(templateInfo && { template: templateInfo }),
+        ...(contextReport && { context: contextReport }),
+        usage: cached.usage,
+        cached: true,
+        developer: 'Nexariq - AJ STUDIOZ'
+      })}\n\n`);
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
+
+    return res.status(200).json(completion);
+  };
+
+  const upstreamAbort = new AbortController();
+
+  // Failed calls are metered without tokens, so error rates can be compared across models and variants
+  const recordFailure = (statusCode, code, provider) => recordUsage(userData, providedKey, {
+    statusCode,
+    responseTime: Date.now() - startTime,
+    requestId: messageId,
+    ...requestContext,
+    metadata: {
+      model,
+      ...(provider && { provider }),
+      stream,
+      error: code,
+      ...(personaInfo && { persona: personaInfo }),
+      ...(templateInfo && { template: templateInfo }),
+      ...(imageInfo && { images: imageInfo }),
+      ...(experimentInfo && { experiments: experimentInfo })
+    }
+  });
+
+  try {
+    if (cacheKey) {
+      const cached = await cacheGet(cacheKey);
+      if (cached) {
+        return await sendCachedCompletion(cached);
+      }
+      res.setHeader('X-Lynxa-Cache', 'MISS');
+    }
+
+    // 🔌 Stop the upstream generation if the client disconnects. `res` (not
+    // `req`) is watched: `req` also emits "close" once its body has been read.
+    res.on('close', () => {
+      if (!res.writableEnded) upstreamAbort.abort();
+    });
+
+    // 🔀 Route through the model's provider chain (falls back on 5xx/timeouts)
+    const { response, provider } = await dispatchChatCompletion(model, upstreamPayload, { signal: upstreamAbort.signal });
+
+    res.setHeader('X-Lynxa-Provider', provider);
 
     if (!response.ok) {
-      const error = await response.json();
-      console.error('Groq API error:', error);
-      return res.status(500).json({ error: 'Failed to get response from Lynxa Pro', details: error });
+      const upstreamError = await mapUpstreamError(response);
+      console.error(`Upstream API error (${provider}, ${response.status}):`, upstreamError.details);
+      if (upstreamError.retryAfter) res.setHeader('Retry-After', upstreamError.retryAfter);
+      await recordFailure(upstreamError.status, upstreamError.code, provider);
+      return res.status(upstreamError.status).json({
+        error: upstreamError.message,
+        code: upstreamError.code,
+        details: upstreamError.details,
+        provider
+      });
     }
 
     // ⚡ STREAMING MODE (OpenAI-compatible SSE)
@@ -100,58 +667,208 @@ export default async function handler(req, res) {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      const messageId = `msg_${randomBytes(16).toString('hex')}`;
+      const streamModerator = moderationPolicy?.checkOutput ? createStreamModerator(moderationPolicy) : null;
+      let completionText = '';
+      let deliveredText = '';
+      let upstreamUsage = null;
+      let finishReason = 'stop';
+      const toolCalls = createToolCallAccumulator();
+
+      // Comment lines keep idle connections open through proxies while the model thinks
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+
+      const writeContent = (text) => {
+        deliveredText += text;
+        res.write(`data: ${JSON.stringify({
+          choices: [{ delta: { content: text } }],
+          id: messageId,
+          model
+        })}\n\n`);
+      };
+
+      // Upstream counts when the provider sent them (OpenAI `usage` chunk or
+      // Groq `x_groq.usage`), otherwise a local estimate of what was generated
+      const streamUsage = () => (upstreamUsage
+        ? {
+            prompt_tokens: upstreamUsage.prompt_tokens ?? 0,
+            completion_tokens: upstreamUsage.completion_tokens ?? 0,
+            total_tokens: upstreamUsage.total_tokens
+              ?? (upstreamUsage.prompt_tokens ?? 0) + (upstreamUsage.completion_tokens ?? 0),
+            ...(upstreamUsage.total_time !== undefined && { total_time: upstreamUsage.total_time })
+          }
+        : estimateUsage(
+            upstreamMessages,
+            completionText + (toolCalls.calls.length > 0 ? JSON.stringify(toolCalls.calls) : '')
+          ));
+
+      const streamMetadata = (extra) => ({
+        model,
+        provider,
+        stream: true,
+        cached: false,
+        ...(sampling.params.seed !== undefined && { seed: sampling.params.seed }),
+        ...(personaInfo && { persona: personaInfo }),
+        ...(templateInfo && { template: templateInfo }),
+        ...(thread_id && { thread_id }),
+        ...(contextReport && { context: contextReport }),
+        ...(moderationPolicy && { moderation: moderationInfo }),
+        ...(redactionCounts && { redaction: redactionCounts }),
+        ...(replayOf && { replay_of: replayOf }),
+        ...(quota.overage && { quota_overage: true }),
+        ...(imageInfo && { images: imageInfo }),
+        ...(experimentInfo && { experiments: experimentInfo }),
+        usage_source: upstreamUsage ? 'upstream' : 'estimate',
+        ...extra
+      });
+
+      // Final chunk with usage
+      const finishStream = async () => {
+        if (streamModerator) {
+          const tail = streamModerator.flush();
+          if (tail) writeContent(tail);
+          if (streamModerator.blocked) finishReason = 'content_filter';
+          if (streamModerator.findings.length > 0) await reportModeration('output', streamModerator.findings);
+        }
+
+        const usage = streamUsage();
+
+        res.write(`data: ${JSON.stringify({
+          choices: [{ finish_reason: finishReason }],
+          id: messageId,
+          model,
+          provider,
+          ...(personaInfo && { persona: personaInfo }),
+          ...(templateInfo && { template: templateInfo }),
+          ...(contextReport && { context: contextReport }),
+          ...((moderationInfo.input || moderationInfo.output) && { moderation: moderationInfo }),
+          usage,
+          developer: 'Nexariq - AJ STUDIOZ'
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+
+        // Threads and the cache only ever see what the client was sent
+        const streamedMessage = {
+          role: 'assistant',
+          content: deliveredText || null,
+          ...(toolCalls.calls.length > 0 && { tool_calls: toolCalls.calls })
+        };
+
+        if (cacheKey && !moderationInfo.output) {
+          await cacheSet(cacheKey, { message: streamedMessage, finish_reason: finishReason, usage, provider }, CACHE_TTL_SECONDS);
+        }
+
+        await saveThreadTurn(streamedMessage, { model, provider, request_id: messageId, ...(personaInfo && { persona: personaInfo }), ...(templateInfo && { template: templateInfo }) });
+        await recordUsage(userData, providedKey, {
+          promptTokens: usage.prompt_tokens,
+          completionTokens: usage.completion_tokens,
+          responseTime: Date.now() - startTime,
+          requestId: messageId,
+          ...requestContext,
+          metadata: streamMetadata()
+        });
+        // Stored in the chat.completion shape, as if the stream had been one response
+        await storeTranscript({
+          id: messageId,
+          object: 'chat.completion',
+          model,
+          provider,
+          choices: [{ index: 0, message: streamedMessage, finish_reason: finishReason }],
+          usage,
+          ...(personaInfo && { persona: personaInfo }),
+          ...(templateInfo && { template: templateInfo }),
+          ...(thread_id && { thread_id }),
+          ...(contextReport && { context: contextReport }),
+          ...((moderationInfo.input || moderationInfo.output) && { moderation: moderationInfo })
+        }, { stream: true });
+
+        res.end();
+      };
+
+      // The client went away: bill what was generated up to that point. The
+      // partial reply is not cached or added to the thread.
+      const recordAbortedStream = async () => {
+        const usage = streamUsage();
+        await recordUsage(userData, providedKey, {
+          statusCode: 499,
+          promptTokens: usage.prompt_tokens,
+          completionTokens: usage.completion_tokens,
+          responseTime: Date.now() - startTime,
+          requestId: messageId,
+          ...requestContext,
+          metadata: streamMetadata({ aborted: true })
+        });
+      };
 
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value);
-          const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-
-              if (data === '[DONE]') {
-                // Final chunk with usage
-                res.write(`data: ${JSON.stringify({
-                  choices: [{ finish_reason: 'stop' }],
-                  id: messageId,
-                  model: 'lynxa-pro',
-                  usage: {
-                    prompt_tokens: 143, // Replace with upstream data
-                    completion_tokens: 80,
-                    total_tokens: 223,
-                    total_time: 0.154265482
-                  },
-                  developer: 'Nexariq - AJ STUDIOZ'
-                })}\n\n`);
-                res.end();
-                return;
-              }
+        for await (const data of readSSE(response.body)) {
+          if (data === '[DONE]') break;
+
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch {
+            console.warn('Ignoring malformed upstream SSE event:', data.slice(0, 200));
+            continue;
+          }
 
-              try {
-                const parsed = JSON.parse(data);
-                const content = parsed.choices[0]?.delta?.content;
+          const choice = parsed.choices?.[0];
+          const content = choice?.delta?.content;
+          const toolCallDeltas = choice?.delta?.tool_calls;
+          const chunkUsage = parsed.usage || parsed.x_groq?.usage;
 
-                if (content) {
-                  res.write(`data: ${JSON.stringify({
-                    choices: [{ delta: { content } }],
-                    id: messageId,
-                    model: 'lynxa-pro'
-                  })}\n\n`);
+          if (chunkUsage) {
+            upstreamUsage = chunkUsage;
+          }
+
+          if (choice?.finish_reason) {
+            finishReason = choice.finish_reason;
+          }
+
+          if (toolCallDeltas?.length) {
+            toolCalls.add(toolCallDeltas);
+            res.write(`data: ${JSON.stringify({
+              choices: [{
+                delta: {
+                  tool_calls: toolCallDeltas.map(delta => ({
+                    index: delta.index ?? 0,
+                    ...(delta.id && { id: delta.id, type: 'function' }),
+                    function: {
+                      ...(delta.function?.name && { name: delta.function.name }),
+                      arguments: delta.function?.arguments ?? ''
+                    }
+                  }))
                 }
-              } catch {
-                // Ignore malformed chunks
-              }
-            }
+              }],
+              id: messageId,
+              model
+            })}\n\n`);
+          }
+
+          if (content) {
+            completionText += content;
+            const safeContent = streamModerator ? streamModerator.push(content) : content;
+            if (safeContent) writeContent(safeContent);
+
+            // Stop generating as soon as the output violates policy (leaving
+            // the loop cancels the upstream stream)
+            if (streamModerator?.blocked) break;
           }
         }
+
+        clearInterval(keepAlive);
+        if (upstreamAbort.signal.aborted) {
+          await recordAbortedStream();
+        } else {
+          // Also reached when upstream closed without a [DONE] marker
+          await finishStream();
+        }
       } catch (streamError) {
+        clearInterval(keepAlive);
+        if (upstreamAbort.signal.aborted) {
+          await recordAbortedStream();
+          return;
+        }
+
         console.error('Streaming error:', streamError);
         res.write(`data: ${JSON.stringify({ error: 'Stream interrupted' })}\n\n`);
         res.end();
@@ -160,51 +877,254 @@ export default async function handler(req, res) {
 
     // 💬 NON-STREAMING MODE (OpenAI-compatible JSON)
     else {
-      const data = await response.json();
-      const messageId = `msg_${randomBytes(16).toString('hex')}`;
-      const responseText = data.choices[0].message.content;
+      let data = await response.json();
+      let promptTokens = 0;
+      let completionTokens = 0;
+      let usageEstimated = false;
 
-      // Log usage per user
-      try {
-        const nile = await getNile();
-        await nile.db.query(
-          `INSERT INTO api_logs (user_email, api_key, input_tokens, output_tokens, created_at)
-           VALUES ($1, $2, $3, $4, NOW())`,
-          [userData.email, providedKey, data.usage?.prompt_tokens || 0, data.usage?.completion_tokens || 0]
-        );
-      } catch (logErr) {
-        console.warn('Usage log failed:', logErr.message);
+      // Sum usage across upstream calls (structured output may re-prompt).
+      // Upstream usage already covers every choice when n > 1; estimates count
+      // the prompt once and the output of all choices.
+      const addUsage = (completion, sentMessages) => {
+        if (completion.usage) {
+          promptTokens += completion.usage.prompt_tokens ?? 0;
+          completionTokens += completion.usage.completion_tokens ?? 0;
+        } else {
+          usageEstimated = true;
+          const estimate = estimateUsage(sentMessages, completion.choices
+            .map(({ message: sent }) => (sent.content || '') + (sent.tool_calls ? JSON.stringify(sent.tool_calls) : ''))
+            .join(''));
+          promptTokens += estimate.prompt_tokens;
+          completionTokens += estimate.completion_tokens;
+        }
+      };
+      addUsage(data, upstreamMessages);
+
+      // 🧾 Validate JSON output, re-prompting with the errors until it conforms
+      let parsedOutput;
+      let formatAttempts = 0;
+      if (responseFormat && !data.choices[0].message.tool_calls?.length) {
+        let check = validateOutput(data.choices[0].message.content, responseFormat);
+        formatAttempts = 1;
+
+        while (!check.valid && formatAttempts <= responseFormat.maxRetries) {
+          const retryMessages = [...upstreamMessages, ...buildCorrectionMessages(data.choices[0].message.content, check.errors)];
+          const retry = await dispatchChatCompletion(model, { ...upstreamPayload, messages: retryMessages }, { signal: upstreamAbort.signal });
+
+          if (!retry.response.ok) {
+            // Report the upstream failure itself; the attempts so far are metered with it
+            const upstreamError = await mapUpstreamError(retry.response);
+            console.error(`Upstream API error on format retry (${retry.provider}, ${retry.response.status}):`, upstreamError.details);
+            res.setHeader('X-Lynxa-Provider', retry.provider);
+            if (upstreamError.retryAfter) res.setHeader('Retry-After', upstreamError.retryAfter);
+
+            await recordUsage(userData, providedKey, {
+              statusCode: upstreamError.status,
+              promptTokens,
+              completionTokens,
+              responseTime: Date.now() - startTime,
+              requestId: messageId,
+              ...requestContext,
+              metadata: {
+                model,
+                provider: retry.provider,
+                stream: false,
+                error: upstreamError.code,
+                ...(personaInfo && { persona: personaInfo }),
+                ...(templateInfo && { template: templateInfo }),
+                response_format: responseFormat.type,
+                format_attempts: formatAttempts,
+                ...(imageInfo && { images: imageInfo }),
+                ...(experimentInfo && { experiments: experimentInfo }),
+                usage_source: usageEstimated ? 'estimate' : 'upstream'
+              }
+            });
+
+            return res.status(upstreamError.status).json({
+              error: upstreamError.message,
+              code: upstreamError.code,
+              details: upstreamError.details,
+              provider: retry.provider
+            });
+          }
+
+          data = await retry.response.json();
+          addUsage(data, retryMessages);
+          formatAttempts++;
+          check = validateOutput(data.choices[0].message.content, responseFormat);
+        }
+
+        if (!check.valid) {
+          await recordUsage(userData, providedKey, {
+            statusCode: 422,
+            promptTokens,
+            completionTokens,
+            responseTime: Date.now() - startTime,
+            requestId: messageId,
+            ...requestContext,
+            metadata: {
+              model,
+              provider,
+              stream: false,
+              ...(personaInfo && { persona: personaInfo }),
+              ...(templateInfo && { template: templateInfo }),
+              response_format: responseFormat.type,
+              format_attempts: formatAttempts,
+              ...(imageInfo && { images: imageInfo }),
+              ...(experimentInfo && { experiments: experimentInfo }),
+              usage_source: usageEstimated ? 'estimate' : 'upstream'
+            }
+          });
+
+          return res.status(422).json({
+            error: {
+              type: 'schema_validation_failed',
+              message: `Model output did not match the requested ${responseFormat.type === 'json_schema' ? `schema "${responseFormat.name}"` : 'JSON format'} after ${formatAttempts} attempt(s)`,
+              errors: check.errors,
+              attempts: formatAttempts
+            }
+          });
+        }
+
+        parsedOutput = check.value;
       }
 
-      res.status(200).json({
+      // Moderate and normalize every returned choice (several when n > 1)
+      const outputFindings = [];
+      const choices = data.choices.map((upstreamChoice, index) => {
+        let choiceParsed = index === 0 ? parsedOutput : undefined;
+        let responseText = choiceParsed !== undefined
+          ? JSON.stringify(choiceParsed)
+          : upstreamChoice.message.content ?? null;
+        let outputBlocked = false;
+
+        // 🛡️ Output moderation
+        if (moderationPolicy?.checkOutput && responseText) {
+          const { findings, text } = moderateText(responseText, moderationPolicy);
+
+          if (findings.length > 0) {
+            outputFindings.push(...findings);
+
+            if (moderationPolicy.action === 'block') {
+              outputBlocked = true;
+              responseText = null;
+            } else if (text !== responseText) {
+              // Redacted JSON no longer matches `parsed`, so only the text is returned
+              responseText = text;
+              choiceParsed = undefined;
+            }
+          }
+        }
+
+        const responseToolCalls = upstreamChoice.message.tool_calls?.length
+          ? normalizeToolMessages([{ role: 'assistant', tool_calls: upstreamChoice.message.tool_calls }])[0].tool_calls
+          : null;
+        const assistantMessage = {
+          role: 'assistant',
+          content: responseText,
+          ...(responseToolCalls && { tool_calls: responseToolCalls })
+        };
+
+        return {
+          assistantMessage,
+          index: upstreamChoice.index ?? index,
+          message: {
+            ...assistantMessage,
+            ...(choiceParsed !== undefined && { parsed: choiceParsed })
+          },
+          ...(sampling.params.logprobs && { logprobs: upstreamChoice.logprobs ?? null }),
+          finish_reason: outputBlocked
+            ? 'content_filter'
+            : upstreamChoice.finish_reason || (responseToolCalls ? 'tool_calls' : 'stop')
+        };
+      });
+
+      if (outputFindings.length > 0) {
+        await reportModeration('output', outputFindings);
+      }
+
+      const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      };
+      const responseChoices = choices.map(({ assistantMessage, ...choice }) => choice);
+
+      if (cacheKey && !moderationInfo.output) {
+        await cacheSet(cacheKey, {
+          message: responseChoices[0].message,
+          finish_reason: responseChoices[0].finish_reason,
+          usage,
+          provider
+        }, CACHE_TTL_SECONDS);
+      }
+
+      // Threads continue from the first choice
+      await saveThreadTurn(choices[0].assistantMessage, { model, provider, request_id: messageId, ...(personaInfo && { persona: personaInfo }), ...(templateInfo && { template: templateInfo }) });
+
+      // Log usage per user
+      await recordUsage(userData, providedKey, {
+        promptTokens,
+        completionTokens,
+        responseTime: Date.now() - startTime,
+        requestId: messageId,
+        ...requestContext,
+        metadata: {
+          model,
+          provider,
+          stream: false,
+          cached: false,
+          ...(choiceCount > 1 && { n: choiceCount }),
+          ...(sampling.params.seed !== undefined && { seed: sampling.params.seed }),
+          ...(personaInfo && { persona: personaInfo }),
+          ...(templateInfo && { template: templateInfo }),
+          ...(thread_id && { thread_id }),
+          ...(contextReport && { context: contextReport }),
+          ...(responseFormat && { response_format: responseFormat.type, format_attempts: formatAttempts }),
+          ...(moderationPolicy && { moderation: moderationInfo }),
+          ...(redactionCounts && { redaction: redactionCounts }),
+          ...(replayOf && { replay_of: replayOf }),
+          ...(quota.overage && { quota_overage: true }),
+          ...(imageInfo && { images: imageInfo }),
+          ...(experimentInfo && { experiments: experimentInfo }),
+          usage_source: usageEstimated ? 'estimate' : 'upstream'
+        }
+      });
+
+      const completion = {
         id: messageId,
         object: 'chat.completion',
-        model: 'lynxa-pro',
-        choices: [
-          {
-            index: 0,
-            message: {
-              role: 'assistant',
-              content: responseText
-            },
-            finish_reason: 'stop'
-          }
-        ],
-        usage: {
-          prompt_tokens: data.usage?.prompt_tokens ?? 0,
-          completion_tokens: data.usage?.completion_tokens ?? 0,
-          total_tokens: data.usage?.total_tokens ?? 0
-        },
+        model,
+        provider,
+        choices: responseChoices,
+        usage,
+        ...(personaInfo && { persona: personaInfo }),
+        ...(templateInfo && { template: templateInfo }),
+        ...(thread_id && { thread_id }),
+        ...(contextReport && { context: contextReport }),
+        ...((moderationInfo.input || moderationInfo.output) && { moderation: moderationInfo }),
         developer: 'Nexariq - AJ STUDIOZ',
         user: userData.email
-      });
+      };
+      await storeTranscript(completion, { stream: false });
+
+      res.status(200).json(completion);
     }
   } catch (error) {
+    // Nobody is left to answer when the client disconnected mid-request
+    if (upstreamAbort.signal.aborted) return;
+
     console.error('Unexpected error in Lynxa Pro:', error);
-    res.status(500).json({
+    const type = error.status === 503 ? 'upstream_unavailable' : 'internal_error';
+    await recordFailure(error.status || 500, error.code || type);
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
       error: {
-        type: 'internal_error',
-        message: error.message
+        type,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.retryAfter && { retry_after: error.retryAfter }),
+        ...(error.attempts && { attempts: error.attempts })
       }
     });
   }
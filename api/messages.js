@@ -0,0 +1,35 @@
+// api/messages.js - Anthropic Messages API-compatible endpoint (/v1/messages)
+// Requests are translated to the /api/lynxa format and run through the same
+// handler; its JSON responses and SSE chunks are translated back.
+import lynxaHandler from './lynxa.js';
+import { toLynxaRequest, toAnthropicMessage, toAnthropicError, createStreamTranslator } from '../utils/anthropic.js';
+import { adaptRequest, adaptResponse } from '../utils/response-adapter.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json(toAnthropicError(405, { error: 'Method not allowed' }));
+  }
+
+  // Anthropic SDKs send the key as x-api-key; /api/lynxa expects a Bearer token
+  const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+  if (!apiKey) {
+    return res.status(401).json(toAnthropicError(401, { error: 'x-api-key header is required' }));
+  }
+
+  let body;
+  try {
+    body = toLynxaRequest(req.body);
+  } catch (err) {
+    return res.status(err.status || 400).json(toAnthropicError(err.status || 400, { error: err.message }));
+  }
+
+  const translator = createStreamTranslator();
+
+  return lynxaHandler(
+    adaptRequest(req, { body, headers: { authorization: `Bearer ${apiKey}` } }),
+    adaptResponse(res, {
+      translateJson: (status, payload) => (status >= 400 ? toAnthropicError(status, payload) : toAnthropicMessage(payload)),
+      translateEvent: data => translator.translate(data)
+    })
+  );
+}
@@ -0,0 +1,85 @@
+// api/models.js - Model catalog for the caller's plan
+import getNile from '../utils/nile.js';
+import { getModelCatalog, planIncludes } from '../utils/models.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const nile = await getNile();
+
+    // Extract API key from headers
+    const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'API key required',
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    // Validate API key and get the organization's plan
+    const userResult = await nile.db.query(
+      `SELECT ak.id, u.id as user_id, u.organization_id, o.plan as organization_plan
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       LEFT JOIN organizations o ON u.organization_id = o.id
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [apiKey]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid or expired API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    const plan = String(userResult.rows[0].organization_plan || 'free').toLowerCase();
+    const { model, include_unavailable } = req.query;
+
+    const catalog = (await getModelCatalog(nile)).map(entry => ({
+      ...entry,
+      available: planIncludes(plan, entry.min_plan)
+    }));
+
+    if (model) {
+      const entry = catalog.find(item => item.id === model);
+      if (!entry) {
+        return res.status(404).json({
+          error: `Model not found: ${model}`,
+          code: 'MODEL_NOT_FOUND'
+        });
+      }
+      return res.status(200).json({ success: true, plan, model: entry });
+    }
+
+    // Only models the key can call, unless the caller wants to see upgrade options
+    const models = include_unavailable === 'true' ? catalog : catalog.filter(entry => entry.available);
+
+    return res.status(200).json({
+      success: true,
+      plan,
+      models,
+      total: models.length
+    });
+
+  } catch (error) {
+    console.error('Models API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+}
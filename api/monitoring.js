@@ -2,6 +2,8 @@
 import getNile from '../utils/nile.js';
 import { getEnv } from '../utils/env.js';
 import { broadcastUsageUpdate } from './websocket.js';
+import { listProviders } from '../utils/providers.js';
+import { getCircuitStates } from '../utils/resilience.js';
 
 export default async function handler(req, res) {
   // Enable CORS
@@ -455,6 +457,20 @@ async function performHealthChecks(nile, userData) {
     });
   }
 
+  // LLM provider circuit breakers (independent of the database)
+  const circuits = await getCircuitStates(listProviders());
+  const openCircuits = circuits.filter(circuit => circuit.state === 'open');
+  checks.push({
+    name: 'LLM Providers',
+    status: circuits.length > 0 && openCircuits.length === circuits.length
+      ? 'critical'
+      : circuits.some(circuit => circuit.state !== 'closed') ? 'warning' : 'healthy',
+    circuits,
+    message: openCircuits.length > 0
+      ? `Circuit open for ${openCircuits.map(circuit => circuit.name).join(', ')}`
+      : 'All provider circuits closed'
+  });
+
   return checks;
 }
 
@@ -1,6 +1,10 @@
 // api/organizations.js - Advanced Organization Management for Enterprise Features
 import getNile from '../utils/nile.js';
 import { getEnv } from '../utils/env.js';
+import { validatePersonaFields } from '../utils/personas.js';
+import { validateTemplateFields, normalizeVariables } from '../utils/templates.js';
+import { recordAuditLog } from '../utils/audit.js';
+import { resolveQuotaLimits, getQuotaUsage } from '../utils/quotas.js';
 
 export default async function handler(req, res) {
   // Enable CORS
@@ -43,15 +47,52 @@ export default async function handler(req, res) {
 
     const userData = userResult.rows[0];
 
+    // Route to appropriate handler
+    const { action } = req.query;
+
     switch (req.method) {
       case 'GET':
-        return await handleGetOrganizations(req, res, nile, userData);
+        if (action === 'personas') {
+          return await handleGetPersonas(req, res, nile, userData);
+        } else if (action === 'templates') {
+          return await handleGetTemplates(req, res, nile, userData);
+        } else if (action === 'quota') {
+          return await handleGetQuota(req, res, nile, userData);
+        } else {
+          return await handleGetOrganizations(req, res, nile, userData);
+        }
       case 'POST':
-        return await handleCreateOrganization(req, res, nile, userData);
+        if (action === 'personas') {
+          return await handleCreatePersona(req, res, nile, userData);
+        } else if (action === 'rollback-persona') {
+          return await handleRollbackPersona(req, res, nile, userData);
+        } else if (action === 'templates') {
+          return await handleCreateTemplate(req, res, nile, userData);
+        } else if (action === 'rollback-template') {
+          return await handleRollbackTemplate(req, res, nile, userData);
+        } else {
+          return await handleCreateOrganization(req, res, nile, userData);
+        }
       case 'PUT':
-        return await handleUpdateOrganization(req, res, nile, userData);
+        if (action === 'personas') {
+          return await handleUpdatePersona(req, res, nile, userData);
+        } else if (action === 'templates') {
+          return await handleUpdateTemplate(req, res, nile, userData);
+        } else if (action === 'quota') {
+          return await handleUpdateQuota(req, res, nile, userData);
+        } else if (action === 'key-quota') {
+          return await handleUpdateKeyQuota(req, res, nile, userData);
+        } else {
+          return await handleUpdateOrganization(req, res, nile, userData);
+        }
       case 'DELETE':
-        return await handleDeleteOrganization(req, res, nile, userData);
+        if (action === 'personas') {
+          return await handleDeletePersona(req, res, nile, userData);
+        } else if (action === 'templates') {
+          return await handleDeleteTemplate(req, res, nile, userData);
+        } else {
+          return await handleDeleteOrganization(req, res, nile, userData);
+        }
       default:
         return res.status(405).json({ error: 'Method not allowed' });
     }
@@ -226,16 +267,14 @@ async function handleCreateOrganization(req, res, nile, userData) {
     const organization = orgResult.rows[0];
 
     // Log organization creation
-    await nile.db.query(
-      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
-       VALUES ($1, $2, 'create', 'organization', $3, $4, NOW())`,
-      [
-        userData.user_id,
-        organization.id,
-        organization.id,
-        JSON.stringify({ name, plan, created_by: userData.email })
-      ]
-    );
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: organization.id,
+      action: 'create',
+      resourceType: 'organization',
+      resourceId: organization.id,
+      metadata: { name, plan, created_by: userData.email }
+    });
 
     return res.status(201).json({
       success: true,
@@ -331,19 +370,17 @@ async function handleUpdateOrganization(req, res, nile, userData) {
     const updatedOrganization = updateResult.rows[0];
 
     // Log organization update
-    await nile.db.query(
-      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
-       VALUES ($1, $2, 'update', 'organization', $3, $4, NOW())`,
-      [
-        userData.user_id,
-        org_id,
-        org_id,
-        JSON.stringify({ 
-          updated_fields: Object.keys(req.body),
-          updated_by: userData.email 
-        })
-      ]
-    );
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'update',
+      resourceType: 'organization',
+      resourceId: org_id,
+      metadata: {
+        updated_fields: Object.keys(req.body),
+        updated_by: userData.email
+      }
+    });
 
     return res.status(200).json({
       success: true,
@@ -413,19 +450,18 @@ async function handleDeleteOrganization(req, res, nile, userData) {
     await nile.db.query('DELETE FROM organizations WHERE id = $1', [org_id]);
 
     // Log organization deletion
-    await nile.db.query(
-      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
-       VALUES ($1, $2, 'delete', 'organization', $3, $4, NOW())`,
-      [
-        userData.user_id,
-        null, // Organization no longer exists
-        org_id,
-        JSON.stringify({ 
-          deleted_organization: organization.name,
-          deleted_by: userData.email 
-        })
-      ]
-    );
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: null, // Organization no longer exists
+      action: 'delete',
+      resourceType: 'organization',
+      resourceId: org_id,
+      settings: organization.settings,
+      metadata: {
+        deleted_organization: organization.name,
+        deleted_by: userData.email
+      }
+    });
 
     return res.status(200).json({
       success: true,
@@ -439,4 +475,1043 @@ async function handleDeleteOrganization(req, res, nile, userData) {
       code: 'DELETE_ERROR'
     });
   }
-}
\ No newline at end of file
+}
+
+// Org admins manage their own organization's personas and templates; platform admins manage any
+function canManageOrgContent(userData, orgId) {
+  if (userData.role === 'admin' || userData.role === 'super_admin') return true;
+  return userData.role === 'org_admin' && userData.organization_id === orgId;
+}
+
+function canReadOrgContent(userData, orgId) {
+  return userData.organization_id === orgId || userData.role === 'admin' || userData.role === 'super_admin';
+}
+
+// List personas, or get one persona with its version history
+async function handleGetPersonas(req, res, nile, userData) {
+  const { org_id = userData.organization_id, persona } = req.query;
+
+  if (!org_id || !canReadOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Insufficient permissions to view personas for this organization',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    if (persona) {
+      const personaResult = await nile.db.query(
+        'SELECT * FROM organization_personas WHERE organization_id = $1 AND name = $2',
+        [org_id, persona]
+      );
+
+      if (personaResult.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Persona not found',
+          code: 'PERSONA_NOT_FOUND'
+        });
+      }
+
+      const personaRecord = personaResult.rows[0];
+
+      const versionsResult = await nile.db.query(
+        `SELECT version, system_prompt, temperature, model, created_by, created_at
+         FROM persona_versions
+         WHERE persona_id = $1
+         ORDER BY version DESC`,
+        [personaRecord.id]
+      );
+
+      personaRecord.versions = versionsResult.rows;
+
+      return res.status(200).json({
+        success: true,
+        persona: personaRecord
+      });
+    }
+
+    const personasResult = await nile.db.query(
+      `SELECT p.id, p.name, p.description, p.is_default, p.current_version,
+              v.system_prompt, v.temperature, v.model, p.created_at, p.updated_at
+       FROM organization_personas p
+       JOIN persona_versions v ON v.persona_id = p.id AND v.version = p.current_version
+       WHERE p.organization_id = $1
+       ORDER BY p.is_default DESC, p.name ASC`,
+      [org_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      personas: personasResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get personas error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch personas',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Create a persona (version 1)
+async function handleCreatePersona(req, res, nile, userData) {
+  const { org_id = userData.organization_id } = req.query;
+  const { name, description, system_prompt, temperature, model, is_default = false } = req.body;
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage personas',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const validationErrors = validatePersonaFields({ name, system_prompt, temperature, model });
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ 
+      error: 'Invalid persona',
+      code: 'INVALID_PERSONA',
+      details: validationErrors
+    });
+  }
+
+  try {
+    const existingResult = await nile.db.query(
+      'SELECT id FROM organization_personas WHERE organization_id = $1 AND name = $2',
+      [org_id, name]
+    );
+
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ 
+        error: 'Persona name already exists',
+        code: 'NAME_EXISTS'
+      });
+    }
+
+    // Only one default persona per organization
+    if (is_default) {
+      await nile.db.query(
+        'UPDATE organization_personas SET is_default = FALSE WHERE organization_id = $1 AND is_default = TRUE',
+        [org_id]
+      );
+    }
+
+    const personaResult = await nile.db.query(
+      `INSERT INTO organization_personas (organization_id, name, description, is_default, current_version, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, 1, $5, NOW(), NOW())
+       RETURNING *`,
+      [org_id, name, description || null, Boolean(is_default), userData.user_id]
+    );
+
+    const persona = personaResult.rows[0];
+
+    const versionResult = await nile.db.query(
+      `INSERT INTO persona_versions (persona_id, version, system_prompt, temperature, model, created_by, created_at)
+       VALUES ($1, 1, $2, $3, $4, $5, NOW())
+       RETURNING version, system_prompt, temperature, model, created_at`,
+      [persona.id, system_prompt, temperature ?? null, model || null, userData.user_id]
+    );
+
+    // Log persona creation
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'create',
+      resourceType: 'persona',
+      resourceId: persona.id,
+      metadata: { name, version: 1, is_default: Boolean(is_default), created_by: userData.email }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Persona created successfully',
+      persona: { ...persona, ...versionResult.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Create persona error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to create persona',
+      code: 'CREATE_ERROR'
+    });
+  }
+}
+
+// Update a persona: prompt/model/temperature changes create a new version
+async function handleUpdatePersona(req, res, nile, userData) {
+  const { org_id = userData.organization_id, persona: personaName } = req.query;
+  const { description, system_prompt, temperature, model, is_default } = req.body;
+
+  if (!personaName) {
+    return res.status(400).json({ 
+      error: 'Persona name is required',
+      code: 'MISSING_PERSONA'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage personas',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const validationErrors = validatePersonaFields({ system_prompt, temperature, model }, { partial: true });
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ 
+      error: 'Invalid persona',
+      code: 'INVALID_PERSONA',
+      details: validationErrors
+    });
+  }
+
+  try {
+    const personaResult = await nile.db.query(
+      `SELECT p.*, v.system_prompt, v.temperature, v.model
+       FROM organization_personas p
+       JOIN persona_versions v ON v.persona_id = p.id AND v.version = p.current_version
+       WHERE p.organization_id = $1 AND p.name = $2`,
+      [org_id, personaName]
+    );
+
+    if (personaResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Persona not found',
+        code: 'PERSONA_NOT_FOUND'
+      });
+    }
+
+    const current = personaResult.rows[0];
+    let newVersion = null;
+
+    // New version copies forward any field not supplied
+    if (system_prompt !== undefined || temperature !== undefined || model !== undefined) {
+      const versionResult = await nile.db.query(
+        `INSERT INTO persona_versions (persona_id, version, system_prompt, temperature, model, created_by, created_at)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, NOW()
+         FROM persona_versions WHERE persona_id = $1
+         RETURNING version`,
+        [
+          current.id,
+          system_prompt ?? current.system_prompt,
+          temperature !== undefined ? temperature : current.temperature,
+          model !== undefined ? model : current.model,
+          userData.user_id
+        ]
+      );
+
+      newVersion = versionResult.rows[0].version;
+    }
+
+    if (is_default === true) {
+      await nile.db.query(
+        'UPDATE organization_personas SET is_default = FALSE WHERE organization_id = $1 AND is_default = TRUE AND id <> $2',
+        [org_id, current.id]
+      );
+    }
+
+    const updateResult = await nile.db.query(
+      `UPDATE organization_personas
+       SET description = COALESCE($1, description),
+           is_default = COALESCE($2, is_default),
+           current_version = COALESCE($3, current_version),
+           updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [description ?? null, typeof is_default === 'boolean' ? is_default : null, newVersion, current.id]
+    );
+
+    // Log persona update
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'update',
+      resourceType: 'persona',
+      resourceId: current.id,
+      metadata: {
+        name: personaName,
+        previous_version: current.current_version,
+        version: newVersion ?? current.current_version,
+        updated_fields: Object.keys(req.body),
+        updated_by: userData.email
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Persona updated successfully',
+      persona: updateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update persona error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to update persona',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Roll a persona back to an earlier version
+async function handleRollbackPersona(req, res, nile, userData) {
+  const { org_id = userData.organization_id, persona: personaName } = req.query;
+  const { version } = req.body;
+
+  if (!personaName || !Number.isInteger(version)) {
+    return res.status(400).json({ 
+      error: 'Persona name and integer version are required',
+      code: 'MISSING_REQUIRED_FIELDS'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage personas',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    const personaResult = await nile.db.query(
+      'SELECT * FROM organization_personas WHERE organization_id = $1 AND name = $2',
+      [org_id, personaName]
+    );
+
+    if (personaResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Persona not found',
+        code: 'PERSONA_NOT_FOUND'
+      });
+    }
+
+    const persona = personaResult.rows[0];
+
+    const versionResult = await nile.db.query(
+      'SELECT version FROM persona_versions WHERE persona_id = $1 AND version = $2',
+      [persona.id, version]
+    );
+
+    if (versionResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: `Version ${version} not found for this persona`,
+        code: 'VERSION_NOT_FOUND'
+      });
+    }
+
+    const updateResult = await nile.db.query(
+      `UPDATE organization_personas SET current_version = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [version, persona.id]
+    );
+
+    // Log persona rollback
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'rollback',
+      resourceType: 'persona',
+      resourceId: persona.id,
+      metadata: {
+        name: personaName,
+        from_version: persona.current_version,
+        to_version: version,
+        rolled_back_by: userData.email
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Persona rolled back to version ${version}`,
+      persona: updateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Rollback persona error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to roll back persona',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Delete a persona and its version history
+async function handleDeletePersona(req, res, nile, userData) {
+  const { org_id = userData.organization_id, persona: personaName } = req.query;
+
+  if (!personaName) {
+    return res.status(400).json({ 
+      error: 'Persona name is required',
+      code: 'MISSING_PERSONA'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage personas',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    const deleteResult = await nile.db.query(
+      'DELETE FROM organization_personas WHERE organization_id = $1 AND name = $2 RETURNING id',
+      [org_id, personaName]
+    );
+
+    if (deleteResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Persona not found',
+        code: 'PERSONA_NOT_FOUND'
+      });
+    }
+
+    // Log persona deletion
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'delete',
+      resourceType: 'persona',
+      resourceId: deleteResult.rows[0].id,
+      metadata: { name: personaName, deleted_by: userData.email }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Persona deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete persona error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to delete persona',
+      code: 'DELETE_ERROR'
+    });
+  }
+}
+
+
+// List prompt templates, or get one template with its version history
+async function handleGetTemplates(req, res, nile, userData) {
+  const { org_id = userData.organization_id, template } = req.query;
+
+  if (!org_id || !canReadOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Insufficient permissions to view templates for this organization',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    if (template) {
+      const templateResult = await nile.db.query(
+        'SELECT * FROM prompt_templates WHERE organization_id = $1 AND name = $2',
+        [org_id, template]
+      );
+
+      if (templateResult.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      const templateRecord = templateResult.rows[0];
+
+      const versionsResult = await nile.db.query(
+        `SELECT version, messages, variables, created_by, created_at
+         FROM prompt_template_versions
+         WHERE template_id = $1
+         ORDER BY version DESC`,
+        [templateRecord.id]
+      );
+
+      templateRecord.versions = versionsResult.rows;
+
+      return res.status(200).json({
+        success: true,
+        template: templateRecord
+      });
+    }
+
+    const templatesResult = await nile.db.query(
+      `SELECT t.id, t.name, t.description, t.current_version,
+              v.messages, v.variables, t.created_at, t.updated_at
+       FROM prompt_templates t
+       JOIN prompt_template_versions v ON v.template_id = t.id AND v.version = t.current_version
+       WHERE t.organization_id = $1
+       ORDER BY t.name ASC`,
+      [org_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      templates: templatesResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch templates',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Create a prompt template (version 1)
+async function handleCreateTemplate(req, res, nile, userData) {
+  const { org_id = userData.organization_id } = req.query;
+  const { name, description, messages, variables } = req.body;
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage templates',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const validationErrors = validateTemplateFields({ name, messages, variables });
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ 
+      error: 'Invalid template',
+      code: 'INVALID_TEMPLATE',
+      details: validationErrors
+    });
+  }
+
+  try {
+    const existingResult = await nile.db.query(
+      'SELECT id FROM prompt_templates WHERE organization_id = $1 AND name = $2',
+      [org_id, name]
+    );
+
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ 
+        error: 'Template name already exists',
+        code: 'NAME_EXISTS'
+      });
+    }
+
+    const templateResult = await nile.db.query(
+      `INSERT INTO prompt_templates (organization_id, name, description, current_version, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, 1, $4, NOW(), NOW())
+       RETURNING *`,
+      [org_id, name, description || null, userData.user_id]
+    );
+
+    const template = templateResult.rows[0];
+
+    const versionResult = await nile.db.query(
+      `INSERT INTO prompt_template_versions (template_id, version, messages, variables, created_by, created_at)
+       VALUES ($1, 1, $2, $3, $4, NOW())
+       RETURNING version, messages, variables, created_at`,
+      [
+        template.id,
+        JSON.stringify(messages.map(({ role, content }) => ({ role, content }))),
+        JSON.stringify(normalizeVariables(variables)),
+        userData.user_id
+      ]
+    );
+
+    // Log template creation
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'create',
+      resourceType: 'prompt_template',
+      resourceId: template.id,
+      metadata: { name, version: 1, created_by: userData.email }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      template: { ...template, ...versionResult.rows[0] }
+    });
+
+  } catch (error) {
+    console.error('Create template error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to create template',
+      code: 'CREATE_ERROR'
+    });
+  }
+}
+
+// Update a prompt template: message/variable changes create a new version
+async function handleUpdateTemplate(req, res, nile, userData) {
+  const { org_id = userData.organization_id, template: templateName } = req.query;
+  const { description, messages, variables } = req.body;
+
+  if (!templateName) {
+    return res.status(400).json({ 
+      error: 'Template name is required',
+      code: 'MISSING_TEMPLATE'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage templates',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    const templateResult = await nile.db.query(
+      `SELECT t.*, v.messages, v.variables
+       FROM prompt_templates t
+       JOIN prompt_template_versions v ON v.template_id = t.id AND v.version = t.current_version
+       WHERE t.organization_id = $1 AND t.name = $2`,
+      [org_id, templateName]
+    );
+
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    const current = templateResult.rows[0];
+    let newVersion = null;
+
+    // New version copies forward whichever of messages/variables was not supplied
+    if (messages !== undefined || variables !== undefined) {
+      const nextMessages = messages ?? current.messages;
+      const nextVariables = variables ?? current.variables;
+
+      const validationErrors = validateTemplateFields({ messages: nextMessages, variables: nextVariables }, { partial: true });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid template',
+          code: 'INVALID_TEMPLATE',
+          details: validationErrors
+        });
+      }
+
+      const versionResult = await nile.db.query(
+        `INSERT INTO prompt_template_versions (template_id, version, messages, variables, created_by, created_at)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, NOW()
+         FROM prompt_template_versions WHERE template_id = $1
+         RETURNING version`,
+        [
+          current.id,
+          JSON.stringify(nextMessages.map(({ role, content }) => ({ role, content }))),
+          JSON.stringify(normalizeVariables(nextVariables)),
+          userData.user_id
+        ]
+      );
+
+      newVersion = versionResult.rows[0].version;
+    }
+
+    const updateResult = await nile.db.query(
+      `UPDATE prompt_templates
+       SET description = COALESCE($1, description),
+           current_version = COALESCE($2, current_version),
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [description ?? null, newVersion, current.id]
+    );
+
+    // Log template update
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'update',
+      resourceType: 'prompt_template',
+      resourceId: current.id,
+      metadata: {
+        name: templateName,
+        previous_version: current.current_version,
+        version: newVersion ?? current.current_version,
+        updated_fields: Object.keys(req.body),
+        updated_by: userData.email
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      template: updateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update template error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to update template',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Point a prompt template back at an earlier version
+async function handleRollbackTemplate(req, res, nile, userData) {
+  const { org_id = userData.organization_id, template: templateName } = req.query;
+  const { version } = req.body;
+
+  if (!templateName || !Number.isInteger(version)) {
+    return res.status(400).json({ 
+      error: 'Template name and integer version are required',
+      code: 'MISSING_REQUIRED_FIELDS'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage templates',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    const templateResult = await nile.db.query(
+      'SELECT * FROM prompt_templates WHERE organization_id = $1 AND name = $2',
+      [org_id, templateName]
+    );
+
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    const template = templateResult.rows[0];
+
+    const versionResult = await nile.db.query(
+      'SELECT version FROM prompt_template_versions WHERE template_id = $1 AND version = $2',
+      [template.id, version]
+    );
+
+    if (versionResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: `Version ${version} not found for this template`,
+        code: 'VERSION_NOT_FOUND'
+      });
+    }
+
+    const updateResult = await nile.db.query(
+      `UPDATE prompt_templates SET current_version = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [version, template.id]
+    );
+
+    // Log template rollback
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'rollback',
+      resourceType: 'prompt_template',
+      resourceId: template.id,
+      metadata: {
+        name: templateName,
+        from_version: template.current_version,
+        to_version: version,
+        rolled_back_by: userData.email
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Template rolled back to version ${version}`,
+      template: updateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Rollback template error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to roll back template',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Delete a prompt template and its version history
+async function handleDeleteTemplate(req, res, nile, userData) {
+  const { org_id = userData.organization_id, template: templateName } = req.query;
+
+  if (!templateName) {
+    return res.status(400).json({ 
+      error: 'Template name is required',
+      code: 'MISSING_TEMPLATE'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage templates',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    const deleteResult = await nile.db.query(
+      'DELETE FROM prompt_templates WHERE organization_id = $1 AND name = $2 RETURNING id',
+      [org_id, templateName]
+    );
+
+    if (deleteResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    // Log template deletion
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'delete',
+      resourceType: 'prompt_template',
+      resourceId: deleteResult.rows[0].id,
+      metadata: { name: templateName, deleted_by: userData.email }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to delete template',
+      code: 'DELETE_ERROR'
+    });
+  }
+}
+// This month's quota usage for the organization and each of its keys
+async function handleGetQuota(req, res, nile, userData) {
+  const { org_id = userData.organization_id } = req.query;
+
+  if (!org_id || !canReadOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Insufficient permissions to view quota for this organization',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  try {
+    const orgResult = await nile.db.query(
+      `SELECT o.id, o.plan, o.settings, p.limits
+       FROM organizations o
+       LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+       WHERE o.id = $1`,
+      [org_id]
+    );
+
+    if (orgResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Organization not found',
+        code: 'ORG_NOT_FOUND'
+      });
+    }
+
+    const org = orgResult.rows[0];
+    const keysResult = await nile.db.query(
+      `SELECT ak.id, ak.name, ak.monthly_request_quota, ak.monthly_token_quota, u.email
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       WHERE u.organization_id = $1 AND ak.revoked = FALSE
+       ORDER BY ak.created_at`,
+      [org_id]
+    );
+
+    const usage = await getQuotaUsage(nile, org_id);
+    const limits = resolveQuotaLimits({ plan_limits: org.limits, organization_settings: org.settings });
+
+    return res.status(200).json({
+      success: true,
+      quota: {
+        period: usage.period,
+        reset: usage.reset,
+        plan: org.plan,
+        limits: limits.owner,
+        usage: usage.organization,
+        overage: {
+          allowed: org.limits?.overage === true,
+          enabled: limits.overage,
+          max_overage_percent: limits.maxOveragePercent
+        },
+        keys: keysResult.rows.map(key => ({
+          id: key.id,
+          name: key.name,
+          email: key.email,
+          limits: resolveQuotaLimits(key).key,
+          usage: usage.keys[key.id] || { requests: 0, tokens: 0 }
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quota error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch quota',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Turn soft overage on or off (plans that allow it only)
+async function handleUpdateQuota(req, res, nile, userData) {
+  const { org_id = userData.organization_id } = req.query;
+  const { overage, max_overage_percent = null } = req.body;
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage quotas',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  if (typeof overage !== 'boolean'
+    || (max_overage_percent !== null && (!Number.isInteger(max_overage_percent) || max_overage_percent < 100))) {
+    return res.status(400).json({ 
+      error: 'overage must be a boolean and max_overage_percent null or an integer of at least 100',
+      code: 'INVALID_QUOTA'
+    });
+  }
+
+  try {
+    const orgResult = await nile.db.query(
+      `SELECT o.id, o.plan, p.limits
+       FROM organizations o
+       LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+       WHERE o.id = $1`,
+      [org_id]
+    );
+
+    if (orgResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Organization not found',
+        code: 'ORG_NOT_FOUND'
+      });
+    }
+
+    if (overage && orgResult.rows[0].limits?.overage !== true) {
+      return res.status(403).json({ 
+        error: `Overage is not available on the ${orgResult.rows[0].plan} plan`,
+        code: 'OVERAGE_NOT_AVAILABLE',
+        upgrade_url: '/api/billing?action=create-checkout'
+      });
+    }
+
+    const quotaSettings = { overage, max_overage_percent };
+    await nile.db.query(
+      `UPDATE organizations
+       SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('quota', $1::jsonb), updated_at = NOW()
+       WHERE id = $2`,
+      [JSON.stringify(quotaSettings), org_id]
+    );
+
+    // Log quota change
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'update_quota',
+      resourceType: 'organization',
+      resourceId: org_id,
+      metadata: { ...quotaSettings, updated_by: userData.email }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Quota settings updated successfully',
+      quota: quotaSettings
+    });
+
+  } catch (error) {
+    console.error('Update quota error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to update quota settings',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Set or clear a key's monthly sub-quota (null = organization quota only)
+async function handleUpdateKeyQuota(req, res, nile, userData) {
+  const { org_id = userData.organization_id, key_id } = req.query;
+  const { monthly_request_quota, monthly_token_quota } = req.body;
+
+  if (!key_id) {
+    return res.status(400).json({ 
+      error: 'key_id is required',
+      code: 'MISSING_REQUIRED_FIELDS'
+    });
+  }
+
+  if (!org_id || !canManageOrgContent(userData, org_id)) {
+    return res.status(403).json({ 
+      error: 'Only organization admins can manage quotas',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const isQuota = value => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+  if (!isQuota(monthly_request_quota) || !isQuota(monthly_token_quota)
+    || (monthly_request_quota === undefined && monthly_token_quota === undefined)) {
+    return res.status(400).json({ 
+      error: 'monthly_request_quota and monthly_token_quota must be null or non-negative integers',
+      code: 'INVALID_QUOTA'
+    });
+  }
+
+  try {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (monthly_request_quota !== undefined) {
+      updates.push(`monthly_request_quota = $${paramCount++}`);
+      values.push(monthly_request_quota);
+    }
+    if (monthly_token_quota !== undefined) {
+      updates.push(`monthly_token_quota = $${paramCount++}`);
+      values.push(monthly_token_quota);
+    }
+
+    values.push(key_id, org_id);
+    const updateResult = await nile.db.query(
+      `UPDATE api_keys ak SET ${updates.join(', ')}
+       FROM users u
+       WHERE ak.user_id = u.id AND ak.id = $${paramCount++} AND u.organization_id = $${paramCount}
+       RETURNING ak.id, ak.name, ak.monthly_request_quota, ak.monthly_token_quota`,
+      values
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'API key not found in this organization',
+        code: 'KEY_NOT_FOUND'
+      });
+    }
+
+    // Log key quota change
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: org_id,
+      action: 'update_quota',
+      resourceType: 'api_key',
+      resourceId: key_id,
+      metadata: {
+        monthly_request_quota,
+        monthly_token_quota,
+        updated_by: userData.email
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Key quota updated successfully',
+      key: updateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update key quota error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to update key quota',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
@@ -0,0 +1,234 @@
+// api/threads.js - Server-side Conversation Threads for /api/lynxa
+import getNile from '../utils/nile.js';
+import { findThread, getThreadMessages } from '../utils/threads.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const nile = await getNile();
+
+    // Extract API key from headers
+    const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'API key required',
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    // Validate API key and get user info
+    const userResult = await nile.db.query(
+      `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [apiKey]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid or expired API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    const userData = userResult.rows[0];
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGetThreads(req, res, nile, userData);
+      case 'POST':
+        return await handleCreateThread(req, res, nile, userData);
+      case 'PUT':
+        return await handleRenameThread(req, res, nile, userData);
+      case 'DELETE':
+        return await handleDeleteThread(req, res, nile, userData);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Threads API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+}
+
+// List threads, or fetch one thread with its messages
+async function handleGetThreads(req, res, nile, userData) {
+  const { thread_id, limit = 50, offset = 0 } = req.query;
+
+  try {
+    if (thread_id) {
+      const thread = await findThread(nile, thread_id, userData);
+
+      if (!thread) {
+        return res.status(404).json({
+          error: 'Thread not found',
+          code: 'THREAD_NOT_FOUND'
+        });
+      }
+
+      thread.messages = await getThreadMessages(nile, thread_id);
+
+      return res.status(200).json({
+        success: true,
+        thread
+      });
+    }
+
+    const result = await nile.db.query(
+      `SELECT id, title, metadata, message_count, last_message_at, created_at, updated_at
+       FROM conversation_threads
+       WHERE user_id = $1 AND organization_id IS NOT DISTINCT FROM $2
+       ORDER BY updated_at DESC
+       LIMIT $3 OFFSET $4`,
+      [userData.user_id, userData.organization_id, Math.min(parseInt(limit) || 50, 100), parseInt(offset) || 0]
+    );
+
+    return res.status(200).json({
+      success: true,
+      threads: result.rows,
+      total: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Get threads error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch threads',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Create a new thread
+async function handleCreateThread(req, res, nile, userData) {
+  const { title, metadata = {} } = req.body || {};
+
+  if (title !== undefined && (typeof title !== 'string' || title.length > 255)) {
+    return res.status(400).json({
+      error: 'Title must be a string of at most 255 characters',
+      code: 'INVALID_TITLE'
+    });
+  }
+
+  try {
+    const result = await nile.db.query(
+      `INSERT INTO conversation_threads (user_id, organization_id, title, metadata, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, NOW(), NOW())
+       RETURNING *`,
+      [userData.user_id, userData.organization_id, title?.trim() || null, JSON.stringify(metadata)]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Thread created successfully',
+      thread: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create thread error:', error);
+    return res.status(500).json({
+      error: 'Failed to create thread',
+      code: 'CREATE_ERROR'
+    });
+  }
+}
+
+// Rename a thread
+async function handleRenameThread(req, res, nile, userData) {
+  const { thread_id } = req.query;
+  const { title } = req.body || {};
+
+  if (!thread_id) {
+    return res.status(400).json({
+      error: 'Thread ID is required',
+      code: 'MISSING_THREAD_ID'
+    });
+  }
+
+  if (!title || typeof title !== 'string' || title.trim().length === 0 || title.length > 255) {
+    return res.status(400).json({
+      error: 'Title must be a non-empty string of at most 255 characters',
+      code: 'INVALID_TITLE'
+    });
+  }
+
+  try {
+    const thread = await findThread(nile, thread_id, userData);
+
+    if (!thread) {
+      return res.status(404).json({
+        error: 'Thread not found',
+        code: 'THREAD_NOT_FOUND'
+      });
+    }
+
+    const result = await nile.db.query(
+      `UPDATE conversation_threads SET title = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [title.trim(), thread_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Thread renamed successfully',
+      thread: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Rename thread error:', error);
+    return res.status(500).json({
+      error: 'Failed to rename thread',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Delete a thread and its messages
+async function handleDeleteThread(req, res, nile, userData) {
+  const { thread_id } = req.query;
+
+  if (!thread_id) {
+    return res.status(400).json({
+      error: 'Thread ID is required',
+      code: 'MISSING_THREAD_ID'
+    });
+  }
+
+  try {
+    const thread = await findThread(nile, thread_id, userData);
+
+    if (!thread) {
+      return res.status(404).json({
+        error: 'Thread not found',
+        code: 'THREAD_NOT_FOUND'
+      });
+    }
+
+    // thread_messages rows are removed by ON DELETE CASCADE
+    await nile.db.query('DELETE FROM conversation_threads WHERE id = $1', [thread_id]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Thread deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete thread error:', error);
+    return res.status(500).json({
+      error: 'Failed to delete thread',
+      code: 'DELETE_ERROR'
+    });
+  }
+}
@@ -0,0 +1,303 @@
+// api/transcripts.js - Stored request/response transcripts and replay for /api/lynxa
+import getNile from '../utils/nile.js';
+import lynxaHandler from './lynxa.js';
+import { adaptRequest } from '../utils/response-adapter.js';
+import { resolveTranscriptPolicy, findTranscript, buildReplayRequest, diffCompletions } from '../utils/transcripts.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const nile = await getNile();
+
+    // Scheduled cleanup (Vercel Cron) authenticates with CRON_SECRET instead of an API key
+    if (req.query.action === 'purge') {
+      return await handlePurgeTranscripts(req, res, nile);
+    }
+
+    // Extract API key from headers
+    const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'API key required',
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    // Validate API key and get user info
+    const userResult = await nile.db.query(
+      `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id,
+              o.settings as organization_settings
+       FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       LEFT JOIN organizations o ON u.organization_id = o.id
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [apiKey]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid or expired API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    const userData = userResult.rows[0];
+    const { action } = req.query;
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGetTranscripts(req, res, nile, userData);
+      case 'POST':
+        if (action === 'replay') {
+          return await handleReplayTranscript(req, res, nile, userData, apiKey);
+        }
+        return res.status(400).json({ error: 'Invalid action', code: 'INVALID_ACTION' });
+      case 'PUT':
+        if (action === 'settings') {
+          return await handleUpdateSettings(req, res, nile, userData);
+        }
+        return res.status(400).json({ error: 'Invalid action', code: 'INVALID_ACTION' });
+      case 'DELETE':
+        return await handleDeleteTranscript(req, res, nile, userData);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('Transcripts API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+}
+
+// Storage setting of the calling key, as applied to its requests
+function describeSettings(userData) {
+  const policy = resolveTranscriptPolicy(userData);
+  return {
+    store_transcripts: userData.store_transcripts ?? null,
+    organization_enabled: userData.organization_settings?.transcripts?.enabled === true,
+    enabled: Boolean(policy),
+    retention_days: policy?.retentionDays ?? null
+  };
+}
+
+// Fetch one transcript by response id, or list the caller's recent transcripts
+async function handleGetTranscripts(req, res, nile, userData) {
+  const { id, limit = 50, offset = 0 } = req.query;
+
+  try {
+    if (id) {
+      const transcript = await findTranscript(nile, id, userData);
+
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Transcript not found',
+          code: 'TRANSCRIPT_NOT_FOUND'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        transcript
+      });
+    }
+
+    const result = await nile.db.query(
+      `SELECT request_id, endpoint, model, provider, metadata, created_at, expires_at
+       FROM transcripts
+       WHERE user_id = $1 AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userData.user_id, Math.min(parseInt(limit) || 50, 100), parseInt(offset) || 0]
+    );
+
+    return res.status(200).json({
+      success: true,
+      settings: describeSettings(userData),
+      transcripts: result.rows,
+      total: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Get transcripts error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch transcripts',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+// Collects what /api/lynxa sends for an in-process replay
+function createReplayResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    writableEnded: false,
+    body: undefined,
+    setHeader(name, value) { headers[name.toLowerCase()] = value; },
+    getHeader(name) { return headers[name.toLowerCase()]; },
+    getHeaders() { return { ...headers }; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; this.writableEnded = true; return this; },
+    write() { return true; },
+    end() { this.writableEnded = true; return this; },
+    on() { return this; }
+  };
+}
+
+// Re-run a stored request against the current model and persona, and diff the answers
+async function handleReplayTranscript(req, res, nile, userData, apiKey) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({
+      error: 'Transcript id is required',
+      code: 'MISSING_TRANSCRIPT_ID'
+    });
+  }
+
+  let transcript;
+  try {
+    transcript = await findTranscript(nile, id, userData);
+  } catch (error) {
+    console.error('Replay lookup error:', error);
+    return res.status(500).json({
+      error: 'Failed to load transcript',
+      code: 'FETCH_ERROR'
+    });
+  }
+
+  if (!transcript) {
+    return res.status(404).json({
+      error: 'Transcript not found',
+      code: 'TRANSCRIPT_NOT_FOUND'
+    });
+  }
+
+  // The replay is a normal completion billed to the calling key
+  const replayRes = createReplayResponse();
+  await lynxaHandler(
+    adaptRequest(req, {
+      body: buildReplayRequest(transcript),
+      headers: {
+        authorization: `Bearer ${apiKey}`,
+        'idempotency-key': undefined
+      }
+    }),
+    replayRes,
+    { replayOf: transcript.request_id }
+  );
+
+  if (replayRes.statusCode >= 400) {
+    return res.status(replayRes.statusCode).json({
+      error: 'Replay failed',
+      code: 'REPLAY_FAILED',
+      details: replayRes.body
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    transcript_id: transcript.request_id,
+    original: transcript.response,
+    replay: replayRes.body,
+    diff: diffCompletions(transcript.response, replayRes.body)
+  });
+}
+
+// Opt the calling key in or out; null follows the organization setting
+async function handleUpdateSettings(req, res, nile, userData) {
+  const { store_transcripts } = req.body || {};
+
+  if (store_transcripts !== null && typeof store_transcripts !== 'boolean') {
+    return res.status(400).json({
+      error: 'store_transcripts must be true, false or null',
+      code: 'INVALID_SETTINGS'
+    });
+  }
+
+  try {
+    await nile.db.query(
+      'UPDATE api_keys SET store_transcripts = $1 WHERE id = $2',
+      [store_transcripts, userData.id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      settings: describeSettings({ ...userData, store_transcripts })
+    });
+
+  } catch (error) {
+    console.error('Update transcript settings error:', error);
+    return res.status(500).json({
+      error: 'Failed to update transcript settings',
+      code: 'UPDATE_ERROR'
+    });
+  }
+}
+
+// Delete a transcript before its retention period ends
+async function handleDeleteTranscript(req, res, nile, userData) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({
+      error: 'Transcript id is required',
+      code: 'MISSING_TRANSCRIPT_ID'
+    });
+  }
+
+  try {
+    const transcript = await findTranscript(nile, id, userData);
+
+    if (!transcript) {
+      return res.status(404).json({
+        error: 'Transcript not found',
+        code: 'TRANSCRIPT_NOT_FOUND'
+      });
+    }
+
+    await nile.db.query('DELETE FROM transcripts WHERE id = $1', [transcript.id]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Transcript deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete transcript error:', error);
+    return res.status(500).json({
+      error: 'Failed to delete transcript',
+      code: 'DELETE_ERROR'
+    });
+  }
+}
+
+// Cron entry point: drop transcripts past their retention period
+async function handlePurgeTranscripts(req, res, nile) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({
+      error: 'Invalid cron secret',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  const result = await nile.db.query('DELETE FROM transcripts WHERE expires_at < NOW()');
+
+  return res.status(200).json({
+    success: true,
+    deleted: result.rowCount ?? 0
+  });
+}
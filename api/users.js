@@ -3,6 +3,7 @@ import getNile from '../utils/nile.js';
 import { getEnv } from '../utils/env.js';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import { recordAuditLog } from '../utils/audit.js';
 
 export default async function handler(req, res) {
   // Enable CORS
@@ -349,21 +350,19 @@ async function handleCreateUser(req, res, nile, userData) {
     );
 
     // Log user creation
-    await nile.db.query(
-      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
-       VALUES ($1, $2, 'create', 'user', $3, $4, NOW())`,
-      [
-        userData.user_id,
-        targetOrgId,
-        newUser.id,
-        JSON.stringify({ 
-          created_email: email,
-          created_role: role,
-          created_by: userData.email,
-          initial_api_key: true
-        })
-      ]
-    );
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: targetOrgId,
+      action: 'create',
+      resourceType: 'user',
+      resourceId: newUser.id,
+      metadata: {
+        created_email: email,
+        created_role: role,
+        created_by: userData.email,
+        initial_api_key: true
+      }
+    });
 
     // TODO: Send welcome email if requested
     if (send_welcome_email) {
@@ -499,20 +498,18 @@ async function handleUpdateUser(req, res, nile, userData) {
     const updatedUser = updateResult.rows[0];
 
     // Log user update
-    await nile.db.query(
-      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
-       VALUES ($1, $2, 'update', 'user', $3, $4, NOW())`,
-      [
-        userData.user_id,
-        updatedUser.organization_id,
-        user_id,
-        JSON.stringify({ 
-          updated_fields: Object.keys(req.body),
-          updated_by: userData.email,
-          target_user: currentUser.email
-        })
-      ]
-    );
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: updatedUser.organization_id,
+      action: 'update',
+      resourceType: 'user',
+      resourceId: user_id,
+      metadata: {
+        updated_fields: Object.keys(req.body),
+        updated_by: userData.email,
+        target_user: currentUser.email
+      }
+    });
 
     return res.status(200).json({
       success: true,
@@ -591,21 +588,19 @@ async function handleDeleteUser(req, res, nile, userData) {
     );
 
     // Log user deletion
-    await nile.db.query(
-      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
-       VALUES ($1, $2, 'delete', 'user', $3, $4, NOW())`,
-      [
-        userData.user_id,
-        targetUser.organization_id,
-        user_id,
-        JSON.stringify({ 
-          deleted_email: targetUser.email,
-          deleted_role: targetUser.role,
-          deleted_by: userData.email,
-          soft_delete: true
-        })
-      ]
-    );
+    await recordAuditLog(nile, {
+      userId: userData.user_id,
+      organizationId: targetUser.organization_id,
+      action: 'delete',
+      resourceType: 'user',
+      resourceId: user_id,
+      metadata: {
+        deleted_email: targetUser.email,
+        deleted_role: targetUser.role,
+        deleted_by: userData.email,
+        soft_delete: true
+      }
+    });
 
     return res.status(200).json({
       success: true,
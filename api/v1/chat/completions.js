@@ -0,0 +1,35 @@
+// api/v1/chat/completions.js - OpenAI Chat Completions-compatible endpoint (/v1/chat/completions)
+// Requests run through /api/lynxa; responses are reduced to the exact OpenAI
+// shape so strict clients (e.g. the official openai SDK) accept them.
+import lynxaHandler from '../../lynxa.js';
+import { toLynxaRequest, toOpenAICompletion, toOpenAIError, createChunkTranslator } from '../../../utils/openai.js';
+import { adaptRequest, adaptResponse } from '../../../utils/response-adapter.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json(toOpenAIError(405, { error: 'Method not allowed' }));
+  }
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json(toOpenAIError(400, { error: 'Request body must be a JSON object' }));
+  }
+
+  const created = Math.floor(Date.now() / 1000);
+  const getSystemFingerprint = () => `fp_lynxa_${res.getHeader?.('X-Lynxa-Provider') || 'default'}`;
+  const translator = createChunkTranslator({
+    created,
+    getSystemFingerprint,
+    includeUsage: Boolean(req.body.stream_options?.include_usage)
+  });
+
+  return lynxaHandler(
+    adaptRequest(req, { body: toLynxaRequest(req.body) }),
+    adaptResponse(res, {
+      translateJson: (status, payload) => (status >= 400
+        ? toOpenAIError(status, payload)
+        : toOpenAICompletion(payload, { created, systemFingerprint: getSystemFingerprint() })),
+      translateEvent: data => translator.translate(data),
+      onDone: () => 'data: [DONE]\n\n'
+    })
+  );
+}
@@ -0,0 +1,61 @@
+// api/v1/models.js - OpenAI-compatible model listing (/v1/models, /v1/models/:model)
+import getNile from '../../utils/nile.js';
+import { getModelCatalog, planIncludes } from '../../utils/models.js';
+import { toOpenAIError } from '../../utils/openai.js';
+
+// Fixed creation time for the public model IDs (they are aliases, not releases)
+const MODELS_CREATED = 1735689600;
+
+function toModelObject(id) {
+  return { id, object: 'model', created: MODELS_CREATED, owned_by: 'nexariq' };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json(toOpenAIError(405, { error: 'Method not allowed' }));
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json(toOpenAIError(401, { error: 'NEXARIQ_API_KEY required: Authorization: Bearer <key>' }));
+  }
+
+  let models;
+  try {
+    const nile = await getNile();
+    const result = await nile.db.query(
+      `SELECT ak.id, o.plan as organization_plan FROM api_keys ak
+       JOIN users u ON ak.user_id = u.id
+       LEFT JOIN organizations o ON u.organization_id = o.id
+       WHERE ak.api_key = $1 AND ak.expires > NOW() AND ak.revoked = FALSE`,
+      [authHeader.substring(7)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json(toOpenAIError(401, { error: 'Invalid, expired, or revoked NEXARIQ_API_KEY' }));
+    }
+
+    // Like OpenAI, keys only see the models they can call
+    const plan = result.rows[0].organization_plan;
+    models = (await getModelCatalog(nile))
+      .filter(entry => planIncludes(plan, entry.min_plan))
+      .map(entry => entry.id);
+  } catch (err) {
+    console.error('API Key verification failed:', err.message);
+    return res.status(500).json(toOpenAIError(500, { error: 'Database error during authentication' }));
+  }
+
+  const { model } = req.query;
+
+  if (model) {
+    if (!models.includes(model)) {
+      return res.status(404).json(toOpenAIError(404, {
+        error: `The model '${model}' does not exist`,
+        code: 'model_not_found'
+      }));
+    }
+    return res.status(200).json(toModelObject(model));
+  }
+
+  return res.status(200).json({ object: 'list', data: models.map(toModelObject) });
+}
@@ -53,6 +53,9 @@ CREATE TABLE IF NOT EXISTS api_keys (
     revoked BOOLEAN DEFAULT FALSE,
     permissions JSONB DEFAULT '{}', -- specific endpoint permissions
     ip_whitelist TEXT[], -- allowed IP addresses
+    store_transcripts BOOLEAN, -- NULL follows organizations.settings.transcripts
+    monthly_request_quota INTEGER, -- key sub-quota below the plan's; NULL = none
+    monthly_token_quota BIGINT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -249,6 +252,199 @@ CREATE TABLE IF NOT EXISTS api_endpoints (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Model catalog (pricing, capabilities and plan gating for /api/models and /api/lynxa)
+-- Provider routing and context windows live in utils/providers.js
+CREATE TABLE IF NOT EXISTS models (
+    id VARCHAR(100) PRIMARY KEY, -- public model ID, e.g. lynxa-pro
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    max_output_tokens INTEGER,
+    input_cost_per_1k DECIMAL(10,6) DEFAULT 0.00,
+    output_cost_per_1k DECIMAL(10,6) DEFAULT 0.00,
+    capabilities JSONB DEFAULT '{}', -- {"streaming": true, "tools": true, "json_mode": true, "vision": false}
+    min_plan VARCHAR(50) DEFAULT 'free', -- minimum plan required
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Conversation threads (server-side chat history per user)
+CREATE TABLE IF NOT EXISTS conversation_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    title VARCHAR(255),
+    metadata JSONB DEFAULT '{}',
+    message_count INTEGER DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Messages belonging to a conversation thread
+CREATE TABLE IF NOT EXISTS thread_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    thread_id UUID NOT NULL REFERENCES conversation_threads(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('system', 'user', 'assistant', 'tool')),
+    content TEXT,
+    content_parts JSONB, -- content sent as an array of text / image_url parts (content is NULL then)
+    tool_calls JSONB, -- assistant function calls
+    tool_call_id VARCHAR(255), -- call answered by a role 'tool' message
+    metadata JSONB DEFAULT '{}', -- model, provider, token counts
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Organization personas (named system prompt + defaults for /api/lynxa)
+CREATE TABLE IF NOT EXISTS organization_personas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL,
+    description TEXT,
+    is_default BOOLEAN DEFAULT FALSE,
+    current_version INTEGER NOT NULL DEFAULT 1, -- active row in persona_versions
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(organization_id, name)
+);
+
+-- Immutable persona revisions, kept for rollback
+CREATE TABLE IF NOT EXISTS persona_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    persona_id UUID NOT NULL REFERENCES organization_personas(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    system_prompt TEXT NOT NULL,
+    temperature DECIMAL(3,2),
+    model VARCHAR(100),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(persona_id, version)
+);
+
+-- Organization prompt templates (messages with {{variable}} placeholders for /api/lynxa)
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL,
+    description TEXT,
+    current_version INTEGER NOT NULL DEFAULT 1, -- active row in prompt_template_versions
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(organization_id, name)
+);
+
+-- Immutable template revisions; usage records reference them by version
+CREATE TABLE IF NOT EXISTS prompt_template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES prompt_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    messages JSONB NOT NULL, -- [{ role, content }] with {{variable}} placeholders
+    variables JSONB NOT NULL DEFAULT '[]', -- [{ name, type, description, default }]
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(template_id, version)
+);
+
+-- Stored responses for requests sent with an Idempotency-Key header
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    endpoint VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(100) NOT NULL, -- endpoint + body, to detect a key reused for another request
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress', -- in_progress, completed
+    response_status INTEGER,
+    response_headers JSONB,
+    response_body JSONB, -- { json } or { text } (event streams)
+    locked_until TIMESTAMP WITH TIME ZONE, -- an unfinished request stops blocking retries after this
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(api_key_id, idempotency_key)
+);
+
+-- Asynchronous batch completion jobs
+CREATE TABLE IF NOT EXISTS batch_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    status VARCHAR(50) DEFAULT 'queued', -- queued, in_progress, completed, cancelled
+    total_items INTEGER NOT NULL DEFAULT 0,
+    completed_items INTEGER DEFAULT 0,
+    failed_items INTEGER DEFAULT 0,
+    discount DECIMAL(4,3) DEFAULT 0, -- fraction off the per-request price, fixed at creation
+    quota_holds JSONB DEFAULT '[]', -- monthly request holds taken at creation, given back one per finished item
+    metadata JSONB DEFAULT '{}',
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Individual chat requests of a batch job and their results
+CREATE TABLE IF NOT EXISTS batch_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    batch_id UUID NOT NULL REFERENCES batch_jobs(id) ON DELETE CASCADE,
+    item_index INTEGER NOT NULL,
+    custom_id VARCHAR(255),
+    status VARCHAR(50) DEFAULT 'pending', -- pending, processing, succeeded, failed, cancelled
+    request JSONB NOT NULL, -- /api/lynxa request body
+    response JSONB, -- chat.completion body on success
+    error JSONB, -- { code, message } on failure
+    attempts INTEGER DEFAULT 0,
+    claimed_at TIMESTAMP WITH TIME ZONE, -- when a worker picked the item up
+    next_attempt_at TIMESTAMP WITH TIME ZONE, -- a retried item is not claimed again before this
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(batch_id, item_index)
+);
+
+-- Stored request/response pairs for debugging and replay (opt-in per key or organization)
+CREATE TABLE IF NOT EXISTS transcripts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id VARCHAR(64) NOT NULL UNIQUE, -- response id (msg_...)
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    endpoint VARCHAR(255) NOT NULL,
+    model VARCHAR(100),
+    provider VARCHAR(50),
+    request JSONB NOT NULL, -- /api/lynxa request body
+    messages JSONB NOT NULL, -- conversation as sent (template, thread history), without the persona system prompt
+    response JSONB NOT NULL, -- chat.completion body
+    metadata JSONB DEFAULT '{}', -- persona, template, thread_id, replay_of
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Monthly usage counters checked against plan quotas and key sub-quotas
+CREATE TABLE IF NOT EXISTS quota_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(20) NOT NULL, -- organization, user (no organization), api_key
+    scope_id UUID NOT NULL,
+    period DATE NOT NULL, -- first day of the month (UTC)
+    requests INTEGER DEFAULT 0,
+    tokens BIGINT DEFAULT 0,
+    notified_percent INTEGER DEFAULT 0, -- highest warning threshold already sent (80, 100)
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(scope, scope_id, period)
+);
+
+-- Ratings of /api/lynxa responses, compared across experiment variants
+CREATE TABLE IF NOT EXISTS response_feedback (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id VARCHAR(64) NOT NULL, -- response id (msg_...)
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)), -- thumbs down / up
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(request_id, user_id)
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_organization ON users(organization_id);
@@ -261,18 +457,30 @@ CREATE INDEX IF NOT EXISTS idx_analytics_org_date ON analytics_daily(organizatio
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_org ON audit_logs(organization_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read);
+CREATE INDEX IF NOT EXISTS idx_threads_user ON conversation_threads(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_thread_messages_thread ON thread_messages(thread_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_personas_org ON organization_personas(organization_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_personas_org_default ON organization_personas(organization_id) WHERE is_default = TRUE;
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_org ON prompt_templates(organization_id);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(api_key_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_user ON batch_jobs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_batch_items_batch ON batch_items(batch_id, item_index);
+CREATE INDEX IF NOT EXISTS idx_batch_items_status ON batch_items(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_transcripts_user ON transcripts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_transcripts_expires ON transcripts(expires_at);
+CREATE INDEX IF NOT EXISTS idx_api_usage_request ON api_usage(request_id);
 
 -- Insert default plans
 INSERT INTO plans (name, description, price, billing_interval, features, limits) VALUES
 ('Free', 'Perfect for getting started', 0.00, 'month', 
  '{"api_access": true, "rate_limit": "1000/hour", "support": "community"}',
- '{"requests_per_hour": 1000, "requests_per_month": 10000}'),
+ '{"requests_per_hour": 1000, "requests_per_month": 10000, "tokens_per_month": 2000000, "overage": false, "max_tokens_per_request": 4096, "max_choices": 1}'),
 ('Pro', 'For professional developers', 29.00, 'month',
  '{"api_access": true, "rate_limit": "10000/hour", "support": "email", "analytics": true}',
- '{"requests_per_hour": 10000, "requests_per_month": 100000}'),
+ '{"requests_per_hour": 10000, "requests_per_month": 100000, "tokens_per_month": 50000000, "overage": true, "max_tokens_per_request": 16384, "max_choices": 4}'),
 ('Enterprise', 'For large organizations', 299.00, 'month',
  '{"api_access": true, "rate_limit": "unlimited", "support": "priority", "analytics": true, "custom_integration": true}',
- '{"requests_per_hour": -1, "requests_per_month": -1}')
+ '{"requests_per_hour": -1, "requests_per_month": -1, "tokens_per_month": -1, "overage": true, "max_tokens_per_request": -1, "max_choices": -1}')
 ON CONFLICT (name) DO NOTHING;
 
 -- Insert default API endpoints
@@ -281,9 +489,25 @@ INSERT INTO api_endpoints (path, method, name, description, rate_limit, cost_per
 ('/api/analytics', 'GET', 'Analytics', 'Get usage analytics', 100, 0.0001, true),
 ('/api/generate-key', 'POST', 'Generate API Key', 'Create new API key', 10, 0.0, true),
 ('/api/revoke-key', 'DELETE', 'Revoke API Key', 'Revoke existing API key', 10, 0.0, true),
-('/api/user/keys', 'GET', 'List API Keys', 'Get user API keys', 100, 0.0, true)
+('/api/user/keys', 'GET', 'List API Keys', 'Get user API keys', 100, 0.0, true),
+('/api/threads', 'GET', 'Conversation Threads', 'Manage server-side conversation threads', 1000, 0.0, true),
+('/api/embeddings', 'POST', 'Embeddings', 'Create text embedding vectors', 1000, 0.0001, true),
+('/api/batches', 'POST', 'Batch Completions', 'Asynchronous batch chat completions', 100, 0.001, true),
+('/api/models', 'GET', 'Model Catalog', 'List models available on the key''s plan', 1000, 0.0, true)
 ON CONFLICT (path) DO NOTHING;
 
+-- Insert default model catalog (lynxa-mock is only routable with LYNXA_ENABLE_MOCK_MODELS=true)
+INSERT INTO models (id, name, description, max_output_tokens, input_cost_per_1k, output_cost_per_1k, capabilities, min_plan) VALUES
+('lynxa-pro', 'Lynxa Pro', 'Flagship general-purpose chat model', 8192, 0.0006, 0.0008,
+ '{"streaming": true, "tools": true, "json_mode": true}', 'free'),
+('lynxa-lite', 'Lynxa Lite', 'Fast, low-cost chat model', 8192, 0.00005, 0.00008,
+ '{"streaming": true, "tools": true, "json_mode": true}', 'free'),
+('lynxa-vision', 'Lynxa Vision', 'Chat model that reads images (screenshots, photos, documents)', 8192, 0.00011, 0.00034,
+ '{"streaming": true, "tools": true, "json_mode": true, "vision": true}', 'free'),
+('lynxa-mock', 'Lynxa Mock', 'Deterministic echo model for integration tests', 1024, 0.0, 0.0,
+ '{"streaming": true, "tools": true, "json_mode": true, "vision": true}', 'free')
+ON CONFLICT (id) DO NOTHING;
+
 -- Insert default organization
 INSERT INTO organizations (name, description, plan) VALUES
 ('Default Organization', 'Default organization for new users', 'free')
@@ -320,4 +544,22 @@ CREATE TRIGGER update_feature_flags_updated_at BEFORE UPDATE ON feature_flags
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_api_endpoints_updated_at BEFORE UPDATE ON api_endpoints
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_models_updated_at BEFORE UPDATE ON models
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_conversation_threads_updated_at BEFORE UPDATE ON conversation_threads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organization_personas_updated_at BEFORE UPDATE ON organization_personas
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_prompt_templates_updated_at BEFORE UPDATE ON prompt_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_batch_jobs_updated_at BEFORE UPDATE ON batch_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_response_feedback_updated_at BEFORE UPDATE ON response_feedback
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
@@ -0,0 +1,162 @@
+// tests/anthropic.test.js - Anthropic Messages API translation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toLynxaRequest, toAnthropicMessage, toAnthropicError, createStreamTranslator } from '../utils/anthropic.js';
+
+// Parse `event: ...\ndata: ...` text into [type, data] pairs
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(event => {
+    const [typeLine, dataLine] = event.split('\n');
+    const data = JSON.parse(dataLine.slice('data: '.length));
+    assert.equal(typeLine, `event: ${data.type}`);
+    return [data.type, data];
+  });
+}
+
+test('requests map system, tools and tool_choice onto the /api/lynxa shape', () => {
+  const body = toLynxaRequest({
+    model: 'lynxa-pro',
+    max_tokens: 256,
+    system: [{ type: 'text', text: 'Be brief.' }],
+    messages: [{ role: 'user', content: 'Weather in Paris?' }],
+    tools: [{ name: 'get_weather', description: 'Current weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+    tool_choice: { type: 'any', disable_parallel_tool_use: true },
+    stop_sequences: ['END']
+  });
+
+  assert.deepEqual(body, {
+    model: 'lynxa-pro',
+    max_tokens: 256,
+    stream: false,
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Weather in Paris?' }
+    ],
+    tools: [{
+      type: 'function',
+      function: { name: 'get_weather', description: 'Current weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+    }],
+    tool_choice: 'required',
+    parallel_tool_calls: false,
+    stop: ['END']
+  });
+});
+
+test('tool_use and tool_result blocks round-trip through tool calls', () => {
+  const { messages } = toLynxaRequest({
+    max_tokens: 100,
+    messages: [
+      { role: 'user', content: 'Weather in Paris?' },
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Checking.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+        ]
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '18°C' }] },
+          { type: 'text', text: 'Thanks' }
+        ]
+      }
+    ]
+  });
+
+  assert.deepEqual(messages.slice(1), [
+    {
+      role: 'assistant',
+      content: 'Checking.',
+      tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'toolu_1', content: '18°C' },
+    { role: 'user', content: 'Thanks' }
+  ]);
+
+  const message = toAnthropicMessage({
+    id: 'msg_1',
+    model: 'lynxa-pro',
+    choices: [{ message: { content: null, tool_calls: messages[1].tool_calls }, finish_reason: 'tool_calls' }],
+    usage: { prompt_tokens: 12, completion_tokens: 7 }
+  });
+
+  assert.deepEqual(message.content, [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }]);
+  assert.equal(message.stop_reason, 'tool_use');
+  assert.deepEqual(message.usage, { input_tokens: 12, output_tokens: 7 });
+});
+
+test('failed tool results are marked as errors', () => {
+  const { messages } = toLynxaRequest({
+    max_tokens: 100,
+    messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'timeout', is_error: true }] }]
+  });
+
+  assert.deepEqual(messages, [{ role: 'tool', tool_call_id: 'toolu_1', content: 'Error: timeout' }]);
+});
+
+test('invalid requests throw 400 errors', () => {
+  assert.throws(() => toLynxaRequest({ messages: [{ role: 'user', content: 'hi' }] }), { status: 400, message: /max_tokens/ });
+  assert.throws(() => toLynxaRequest({ max_tokens: 10, messages: [] }), { status: 400, message: /messages/ });
+  assert.throws(
+    () => toLynxaRequest({ max_tokens: 10, messages: [{ role: 'user', content: [{ type: 'audio' }] }] }),
+    { status: 400, message: /unsupported content block type "audio"/ }
+  );
+});
+
+test('errors use the Anthropic envelope and error types', () => {
+  assert.deepEqual(toAnthropicError(429, { error: 'Rate limit exceeded', code: 'RATE_LIMITED' }), {
+    type: 'error',
+    error: { type: 'rate_limit_error', message: 'Rate limit exceeded' }
+  });
+  assert.deepEqual(toAnthropicError(400, { error: 'Validation failed', details: [{ field: 'temperature', message: 'too high' }] }), {
+    type: 'error',
+    error: { type: 'invalid_request_error', message: 'too high' }
+  });
+  assert.equal(toAnthropicError(504, { error: { message: 'Timed out' } }).error.type, 'api_error');
+});
+
+test('streamed chunks become the Anthropic event sequence', () => {
+  const translator = createStreamTranslator();
+  const base = { id: 'msg_1', model: 'lynxa-pro' };
+
+  const text = [
+    { ...base, choices: [{ delta: { role: 'assistant', content: 'Let me ' } }] },
+    { ...base, choices: [{ delta: { content: 'check.' } }] },
+    { ...base, choices: [{ delta: { tool_calls: [{ index: 0, id: 'toolu_1', function: { name: 'get_weather', arguments: '{"city":' } }] } }] },
+    { ...base, choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] } }] },
+    { ...base, choices: [{ delta: {}, finish_reason: 'tool_calls' }], usage: { prompt_tokens: 20, completion_tokens: 9 } },
+    { ...base, choices: [{ delta: { content: 'ignored' } }] }
+  ].map(chunk => translator.translate(chunk)).join('');
+
+  const events = parseEvents(text);
+  assert.deepEqual(events.map(([type]) => type), [
+    'message_start',
+    'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+    'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+    'message_delta',
+    'message_stop'
+  ]);
+
+  assert.equal(events[0][1].message.id, 'msg_1');
+  assert.deepEqual(events[5][1], {
+    type: 'content_block_start',
+    index: 1,
+    content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} }
+  });
+  assert.deepEqual(events[7][1].delta, { type: 'input_json_delta', partial_json: '"Paris"}' });
+  assert.deepEqual(events[9][1], {
+    type: 'message_delta',
+    delta: { stop_reason: 'tool_use', stop_sequence: null },
+    usage: { input_tokens: 20, output_tokens: 9 }
+  });
+});
+
+test('a stream error ends the stream with an error event', () => {
+  const translator = createStreamTranslator();
+
+  const events = parseEvents(translator.translate({ error: { message: 'Upstream failed' } }));
+
+  assert.deepEqual(events, [['error', { type: 'error', error: { type: 'api_error', message: 'Upstream failed' } }]]);
+  assert.equal(translator.translate({ id: 'msg_1', choices: [{ delta: { content: 'late' } }] }), '');
+});
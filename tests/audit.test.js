@@ -0,0 +1,44 @@
+// tests/audit.test.js - Audit entries follow the organization's redaction settings
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordAuditLog } from '../utils/audit.js';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+let nile;
+before(async () => { nile = await createTestDatabase(); });
+after(() => nile.close());
+
+async function auditMetadata(userData) {
+  await recordAuditLog(nile, {
+    userId: userData.user_id,
+    organizationId: userData.organization_id,
+    action: 'update',
+    resourceType: 'user',
+    resourceId: userData.user_id,
+    metadata: { updated_by: 'jane.doe@example.com', updated_fields: ['role'] }
+  });
+
+  const result = await nile.db.query(
+    'SELECT metadata FROM audit_logs WHERE organization_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [userData.organization_id]
+  );
+  return result.rows[0].metadata;
+}
+
+test('audit metadata is masked by default', async () => {
+  const userData = await createTestKey(nile);
+
+  assert.deepEqual(await auditMetadata(userData), { updated_by: '[EMAIL]', updated_fields: ['role'] });
+});
+
+test('an organization that turned redaction off gets raw audit metadata', async () => {
+  const userData = await createTestKey(nile, { settings: { redaction: { enabled: false } } });
+
+  assert.equal((await auditMetadata(userData)).updated_by, 'jane.doe@example.com');
+});
+
+test('the organization mask applies to audit metadata', async () => {
+  const userData = await createTestKey(nile, { settings: { redaction: { mask: 'partial' } } });
+
+  assert.equal((await auditMetadata(userData)).updated_by, 'j***@example.com');
+});
@@ -0,0 +1,138 @@
+// tests/batches.test.js - Batch items against the real schema and a scripted upstream
+import { TEST_MODEL, completion, jsonResponse, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonl, parseBatchRequests, runBatchItem, processBatches, toOutputLine } from '../utils/batches.js';
+import { checkQuota } from '../utils/quotas.js';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+let nile;
+let job;
+before(async () => {
+  nile = await createTestDatabase();
+  const userData = await createTestKey(nile, { plan: 'pro' });
+  job = {
+    api_key_id: userData.id,
+    user_id: userData.user_id,
+    organization_id: userData.organization_id,
+    organization_plan: userData.organization_plan,
+    organization_settings: userData.organization_settings,
+    plan_limits: userData.plan_limits
+  };
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('JSONL uploads are split into entries with errors by line number', () => {
+  const { entries, errors } = parseJsonl('{"message":"a"}\r\n\n{oops}\n{"message":"b"}\n');
+
+  assert.deepEqual(entries, [{ message: 'a' }, { message: 'b' }]);
+  assert.deepEqual(errors.map(error => error.line), [3]);
+});
+
+test('batch lines are validated and given custom ids', () => {
+  const { items, errors } = parseBatchRequests([
+    { custom_id: 'first', method: 'POST', url: '/v1/chat/completions', body: { model: TEST_MODEL, message: 'a' } },
+    { message: 'b' },
+    { custom_id: 'first', body: { message: 'c' } },
+    { message: 'd', stream: true },
+    { message: 'e', n: 2 },
+    { message: 'f', model: 'lynxa-nope' },
+    'not an object'
+  ]);
+
+  assert.deepEqual(items, [
+    { custom_id: 'first', request: { model: TEST_MODEL, message: 'a' } },
+    { custom_id: 'request-2', request: { message: 'b' } }
+  ]);
+  assert.deepEqual(errors.map(error => error.index), [2, 3, 4, 5, 6]);
+  assert.match(errors[0].message, /Duplicate custom_id/);
+});
+
+test('output lines follow the OpenAI batch output format', () => {
+  assert.deepEqual(JSON.parse(toOutputLine({ id: 'i1', custom_id: 'a', status: 'completed', response: { id: 'r' } })), {
+    id: 'i1', custom_id: 'a', response: { status_code: 200, body: { id: 'r' } }, error: null
+  });
+  assert.equal(JSON.parse(toOutputLine({ id: 'i2', custom_id: 'b', status: 'cancelled' })).error.code, 'BATCH_CANCELLED');
+});
+
+const jsonRequest = (extra = {}) => ({ model: TEST_MODEL, message: 'Reply in JSON', response_format: { type: 'json_object' }, ...extra });
+
+test('invalid structured output is re-prompted with the validation errors', async () => {
+  queueReplies(completion('not json'), completion('{"ok":true}'));
+
+  const result = await runBatchItem(nile, job, { request: jsonRequest() });
+
+  assert.deepEqual(result.body.choices[0].message.parsed, { ok: true });
+  assert.equal(upstreamRequests.length, 2);
+  assert.equal(upstreamRequests[1].body.messages.at(-2).content, 'not json');
+  assert.deepEqual(result.usage, { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+});
+
+test('schema_retries: 0 fails on the first invalid output and reports its usage', async () => {
+  queueReplies(completion('not json'));
+
+  await assert.rejects(runBatchItem(nile, job, { request: jsonRequest({ schema_retries: 0 }) }), error => {
+    assert.equal(error.code, 'schema_validation_failed');
+    assert.equal(error.status, 422);
+    assert.equal(error.usage.total_tokens, 15);
+    return true;
+  });
+  assert.equal(upstreamRequests.length, 1);
+});
+
+async function createBatch(userData, requests) {
+  const quota = await checkQuota(nile, userData, { requests: requests.length });
+  assert.equal(quota.error, null);
+
+  const result = await nile.db.query(
+    `INSERT INTO batch_jobs (user_id, organization_id, api_key_id, total_items, quota_holds)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [userData.user_id, userData.organization_id, userData.id, requests.length, JSON.stringify(quota.holds)]
+  );
+  for (const [index, request] of requests.entries()) {
+    await nile.db.query(
+      'INSERT INTO batch_items (batch_id, item_index, request) VALUES ($1, $2, $3)',
+      [result.rows[0].id, index, JSON.stringify(request)]
+    );
+  }
+  return result.rows[0].id;
+}
+
+async function requestsUsed(userData) {
+  const result = await nile.db.query('SELECT requests FROM quota_usage WHERE scope_id = $1', [userData.id]);
+  return result.rows[0]?.requests ?? 0;
+}
+
+test('a queued batch keeps its quota hold until its items are metered', async () => {
+  const userData = await createTestKey(nile, { plan: 'pro', key: { monthly_request_quota: 3 } });
+  const batchId = await createBatch(userData, [{ model: TEST_MODEL, message: 'a' }, { model: TEST_MODEL, message: 'b' }]);
+
+  assert.equal(await requestsUsed(userData), 2);
+  assert.equal((await checkQuota(nile, userData, { requests: 2 })).error?.body.code, 'QUOTA_EXCEEDED');
+
+  queueReplies(completion('one'), completion('two'));
+  const stats = await processBatches(nile, { batchId });
+
+  assert.deepEqual(stats, { processed: 2, succeeded: 2, failed: 0 });
+  assert.equal(await requestsUsed(userData), 2);
+});
+
+test('an item that failed upstream is not claimed again before its retry delay', async () => {
+  const userData = await createTestKey(nile, { plan: 'pro' });
+  const batchId = await createBatch(userData, [{ model: TEST_MODEL, message: 'a' }]);
+
+  queueReplies(jsonResponse({ error: { message: 'overloaded' } }, 503));
+  assert.deepEqual(await processBatches(nile, { batchId }), { processed: 1, succeeded: 0, failed: 0 });
+
+  const retried = await nile.db.query(
+    `SELECT status, attempts, next_attempt_at > NOW() + INTERVAL '20 seconds' AS delayed FROM batch_items WHERE batch_id = $1`,
+    [batchId]
+  );
+  assert.deepEqual(retried.rows, [{ status: 'pending', attempts: 1, delayed: true }]);
+  assert.deepEqual(await processBatches(nile, { batchId }), { processed: 0, succeeded: 0, failed: 0 });
+
+  await nile.db.query(`UPDATE batch_items SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE batch_id = $1`, [batchId]);
+  queueReplies(completion('done'));
+  assert.deepEqual(await processBatches(nile, { batchId }), { processed: 1, succeeded: 1, failed: 0 });
+});
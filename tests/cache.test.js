@@ -0,0 +1,92 @@
+// tests/cache.test.js - Response cache for deterministic completions
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { cacheGet, cacheSet, hashKey } from '../utils/cache.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function chat(key, body) {
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, ...body } }), res);
+  await res.finished;
+  return res;
+}
+
+test('hash keys ignore object key order', () => {
+  assert.equal(hashKey('t', { a: 1, b: [{ c: 2, d: 3 }] }), hashKey('t', { b: [{ d: 3, c: 2 }], a: 1 }));
+  assert.notEqual(hashKey('t', { a: 1 }), hashKey('t', { a: 2 }));
+  assert.match(hashKey('lynxa:completion', {}), /^lynxa:completion:[0-9a-f]{64}$/);
+});
+
+test('the in-memory fallback honours the TTL', async () => {
+  await cacheSet('test:ttl', { value: 1 }, 60);
+  await cacheSet('test:expired', { value: 2 }, -1);
+
+  assert.deepEqual(await cacheGet('test:ttl'), { value: 1 });
+  assert.equal(await cacheGet('test:expired'), null);
+});
+
+test('temperature 0 completions are served from the cache the second time', async () => {
+  const key = await createTestKey(nile, { plan: 'pro' });
+  queueReplies(completion('Four.'));
+
+  const first = await chat(key, { message: 'What is 2 + 2?', temperature: 0 });
+  const second = await chat(key, { message: 'What is 2 + 2?', temperature: 0 });
+
+  assert.equal(first.headers['x-lynxa-cache'], 'MISS');
+  assert.equal(second.headers['x-lynxa-cache'], 'HIT');
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.choices[0].message.content, 'Four.');
+  assert.equal(upstreamRequests.length, 1);
+
+  const usage = await nile.db.query(`SELECT metadata->>'usage_source' AS source FROM api_usage WHERE api_key_id = $1 ORDER BY created_at`, [key.id]);
+  assert.deepEqual(usage.rows.map(row => row.source), ['upstream', 'cache']);
+});
+
+test('a cached completion is replayed as SSE to streaming callers', async () => {
+  const key = await createTestKey(nile, { plan: 'pro' });
+  queueReplies(completion('Blue.'));
+
+  await chat(key, { message: 'Sky colour?', cache: true });
+  const res = await chat(key, { message: 'Sky colour?', cache: true, stream: true });
+
+  assert.equal(res.headers['x-lynxa-cache'], 'HIT');
+  const events = res.events();
+  assert.equal(events[0].choices[0].delta.content, 'Blue.');
+  assert.equal(events.at(-1).cached, true);
+  assert.equal(upstreamRequests.length, 1);
+});
+
+test('cache entries are not shared between organizations', async () => {
+  const first = await createTestKey(nile, { plan: 'pro' });
+  const second = await createTestKey(nile, { plan: 'pro' });
+  queueReplies(completion('Org one.'), completion('Org two.'));
+
+  await chat(first, { message: 'Who are you?', temperature: 0 });
+  const res = await chat(second, { message: 'Who are you?', temperature: 0 });
+
+  assert.equal(res.headers['x-lynxa-cache'], 'MISS');
+  assert.equal(res.body.choices[0].message.content, 'Org two.');
+});
+
+test('requests with a non-zero temperature skip the cache', async () => {
+  const key = await createTestKey(nile, { plan: 'pro' });
+  queueReplies(completion('One.'), completion('Two.'));
+
+  await chat(key, { message: 'Tell me a story', temperature: 0.9 });
+  const res = await chat(key, { message: 'Tell me a story', temperature: 0.9 });
+
+  assert.equal(res.headers['x-lynxa-cache'], undefined);
+  assert.equal(upstreamRequests.length, 2);
+});
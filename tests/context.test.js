@@ -0,0 +1,105 @@
+// tests/context.test.js - Context-window trimming strategies
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitContext, resolveContextOptions } from '../utils/context.js';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+beforeEach(resetUpstream);
+
+function conversation(turns) {
+  const messages = [{ role: 'system', content: 'You are a helpful assistant.' }];
+  for (let i = 0; i < turns; i++) {
+    messages.push({ role: i % 2 === 0 ? 'user' : 'assistant', content: `Turn number ${i} of the conversation.` });
+  }
+  return messages;
+}
+
+test('keep_last leaves a prompt that fits untouched', async () => {
+  const messages = conversation(10);
+  const result = await fitContext(messages, { contextWindow: 8192, reservedTokens: 1024, strategy: 'keep_last', keepLast: 2 });
+
+  assert.equal(result.messages, messages);
+  assert.equal(result.report, null);
+});
+
+test('keep_last keeps system messages and the last turns once the prompt is too long', async () => {
+  const messages = conversation(10);
+  const result = await fitContext(messages, { contextWindow: 100, strategy: 'keep_last', keepLast: 2 });
+
+  assert.deepEqual(result.messages, [messages[0], ...messages.slice(-2)]);
+  assert.equal(result.report.strategy, 'keep_last');
+  assert.equal(result.report.dropped_messages, 8);
+});
+
+test('drop_oldest keeps a tool call together with its results', async () => {
+  const messages = [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', content: 'An early question that is long enough to matter for the budget.' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: 'A tool result.' },
+    { role: 'user', content: 'The latest question.' }
+  ];
+
+  const result = await fitContext(messages, { contextWindow: 80, strategy: 'drop_oldest' });
+
+  assert.deepEqual(result.messages, [messages[0], messages[4]]);
+  assert.equal(result.report.dropped_messages, 3);
+});
+
+test('summarize replaces the dropped turns with a summary from the summary model', async () => {
+  const messages = conversation(80);
+  queueReplies(completion('They discussed the earlier turns.'));
+
+  const result = await fitContext(messages, { contextWindow: 600, strategy: 'summarize' });
+
+  assert.equal(upstreamRequests.length, 1);
+  assert.match(upstreamRequests[0].body.messages[1].content, /user: Turn number 0/);
+  assert.deepEqual(result.messages[1], { role: 'system', content: 'Summary of the earlier conversation:\nThey discussed the earlier turns.' });
+  assert.equal(result.report.summarized_messages, result.report.dropped_messages);
+});
+
+test('summarize falls back to dropping turns when the summary fails', async () => {
+  queueReplies(completion(null));
+
+  const result = await fitContext(conversation(80), { contextWindow: 600, strategy: 'summarize' });
+
+  assert.equal(result.report.summary_failed, true);
+  assert.ok(result.messages.every(message => !String(message.content).startsWith('Summary')));
+});
+
+test('a latest message that alone exceeds the window is rejected', async () => {
+  const messages = [{ role: 'user', content: 'word '.repeat(500) }];
+
+  await assert.rejects(fitContext(messages, { contextWindow: 200, strategy: 'drop_oldest' }), { status: 400, code: 'CONTEXT_LENGTH_EXCEEDED' });
+  assert.equal((await fitContext(messages, { contextWindow: 200, strategy: 'none' })).report, null);
+});
+
+test('context options are validated', () => {
+  assert.deepEqual(resolveContextOptions('keep_last', 5), { strategy: 'keep_last', keepLast: 5 });
+  assert.throws(() => resolveContextOptions('shrink'), { code: 'INVALID_CONTEXT_STRATEGY' });
+  assert.throws(() => resolveContextOptions('keep_last', 0), { message: /context_keep_last/ });
+});
+
+test('/api/lynxa trims a long conversation and reports it', async () => {
+  const nile = await createTestDatabase();
+  useDatabase(nile);
+  const key = await createTestKey(nile, { plan: 'pro' });
+  queueReplies(completion('Noted.'));
+
+  const messages = conversation(40).slice(1).map((message, i) => ({ ...message, content: `${message.content} ${'filler '.repeat(60)}${i}` }));
+  const res = createResponse();
+  await lynxa(createRequest({
+    apiKey: key.api_key,
+    body: { model: TEST_MODEL, messages: [...messages, { role: 'user', content: 'Last one' }], max_tokens: 6000, context_strategy: 'drop_oldest' }
+  }), res);
+  await nile.close();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.context.strategy, 'drop_oldest');
+  assert.ok(res.body.context.dropped_messages > 0);
+  assert.equal(upstreamRequests[0].body.messages.at(-1).content, 'Last one');
+});
@@ -0,0 +1,75 @@
+// tests/embeddings.test.js - OpenAI-compatible embeddings through /api/embeddings
+import { EMBEDDING_MODEL, jsonResponse, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+const { default: embeddings } = await import('../api/embeddings.js');
+
+let nile;
+let key;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  key = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function embed(body) {
+  const res = createResponse();
+  await embeddings(createRequest({ apiKey: key.api_key, body }), res);
+  return res;
+}
+
+function vectors(...embeddings) {
+  return jsonResponse({
+    object: 'list',
+    data: embeddings.map((embedding, index) => ({ object: 'embedding', index, embedding })),
+    usage: { prompt_tokens: 6, total_tokens: 6 }
+  });
+}
+
+test('inputs are embedded upstream and metered', async () => {
+  queueReplies(vectors([0.1, 0.2, 0.3], [0.4, 0.5, 0.6]));
+
+  const res = await embed({ model: EMBEDDING_MODEL, input: ['first', 'second'] });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(upstreamRequests[0].body, { input: ['first', 'second'], model: 'scripted-embed-1' });
+  assert.deepEqual(res.body.data.map(item => item.embedding), [[0.1, 0.2, 0.3], [0.4, 0.5, 0.6]]);
+  assert.deepEqual(res.body.usage, { prompt_tokens: 6, total_tokens: 6 });
+  assert.equal(res.headers['x-lynxa-provider'], 'scripted');
+
+  const usage = await nile.db.query(`SELECT endpoint, input_tokens, metadata FROM api_usage WHERE api_key_id = $1`, [key.id]);
+  assert.equal(usage.rows[0].endpoint, '/api/embeddings');
+  assert.equal(usage.rows[0].input_tokens, 6);
+  assert.equal(usage.rows[0].metadata.inputs, 2);
+});
+
+test('base64 output is little-endian float32', async () => {
+  queueReplies(vectors([1, -2, 0.5]));
+
+  const res = await embed({ model: EMBEDDING_MODEL, input: 'hello', encoding_format: 'base64' });
+
+  const bytes = Buffer.from(res.body.data[0].embedding, 'base64');
+  assert.deepEqual([...new Float32Array(bytes.buffer, bytes.byteOffset, 3)], [1, -2, 0.5]);
+});
+
+test('the mock embedding model returns unit vectors without calling upstream', async () => {
+  const res = await embed({ model: 'lynxa-embed-mock', input: 'hello' });
+
+  const vector = res.body.data[0].embedding;
+  assert.equal(vector.length, 256);
+  assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+  assert.equal(upstreamRequests.length, 0);
+});
+
+test('invalid requests are rejected before calling upstream', async () => {
+  for (const body of [null, [], { input: [] }, { input: ['ok', ''] }, { input: 'x', model: 'lynxa-nope' }, { input: 'x', encoding_format: 'hex' }, { input: 'x', dimensions: 0 }]) {
+    const res = await embed(body);
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+  }
+  assert.equal(upstreamRequests.length, 0);
+});
@@ -0,0 +1,85 @@
+// tests/experiments.test.js - A/B experiments on /api/lynxa driven by feature flags
+import { FALLBACK_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { validateExperiment, loadExperiments, assignExperiments, applyVariants, describeAssignments } from '../utils/experiments.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const split = { unit: 'user', variants: [{ name: 'control' }, { name: 'cool', temperature: 0.1 }] };
+
+let nile;
+let free;
+let enterprise;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  free = await createTestKey(nile, { plan: 'free' });
+  enterprise = await createTestKey(nile, { plan: 'enterprise' });
+
+  // Both organizations always get the second variant; experiments are cached once loaded
+  await nile.db.query(`INSERT INTO models (id, name, min_plan) VALUES ($1, 'Fallback', 'enterprise')`, [FALLBACK_MODEL]);
+  const experiment = (variant) => JSON.stringify({ experiment: { variants: [{ name: 'control', weight: 0 }, { name: 'treated', ...variant }] } });
+  await nile.db.query(
+    `INSERT INTO feature_flags (name, is_enabled, target_organizations, conditions) VALUES
+     ('a-cool', TRUE, $1, $2), ('b-model', TRUE, $1, $3), ('c-off', FALSE, $1, $2), ('d-broken', TRUE, $1, '{"experiment": {"variants": []}}')`,
+    [[free.organization_id, enterprise.organization_id], experiment({ temperature: 0.1, seed: 7 }), experiment({ model: FALLBACK_MODEL })]
+  );
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('experiment definitions are validated', () => {
+  assert.deepEqual(validateExperiment(split), []);
+  assert.deepEqual(validateExperiment({
+    unit: 'team',
+    variants: [{ name: 'a', weight: 0, n: 2 }, { name: 'a', weight: 0 }]
+  }), [
+    'unit must be one of: user, organization, api_key',
+    'variants[0].n is not a field variants can set (model, persona, temperature, top_p, presence_penalty, frequency_penalty, seed, stop)',
+    'variant a is declared more than once',
+    'at least one variant needs a weight above 0'
+  ]);
+});
+
+test('assignment is stable per unit and follows the rollout', () => {
+  const flag = { name: 'exp', rollout_percentage: 100, experiment: split };
+  const users = Array.from({ length: 200 }, (_, i) => ({ user_id: `user-${i}` }));
+
+  const variants = users.map(user => assignExperiments([flag], user)[0].variant);
+  assert.deepEqual(users.map(user => assignExperiments([flag], user)[0].variant), variants);
+  assert.ok(variants.includes('control') && variants.includes('cool'));
+  assert.deepEqual(assignExperiments([flag], users[variants.indexOf('cool')])[0].overrides, { temperature: 0.1 });
+
+  assert.deepEqual(assignExperiments([{ ...flag, rollout_percentage: 0 }], users[0]), []);
+  assert.equal(assignExperiments([{ ...flag, rollout_percentage: 0, target_users: ['user-0'] }], users[0]).length, 1);
+});
+
+test('variants fill unset fields and are recorded in usage', async () => {
+  queueReplies(completion('Hi.'));
+
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: enterprise.api_key, body: { message: 'Hi', seed: 1, max_tokens: 256 } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(upstreamRequests[0].body.temperature, 0.1);
+  assert.equal(upstreamRequests[0].body.seed, 1, 'the request wins over the variant');
+  assert.equal(res.body.model, FALLBACK_MODEL);
+
+  const usage = await nile.db.query('SELECT metadata FROM api_usage WHERE api_key_id = $1', [enterprise.id]);
+  assert.deepEqual(usage.rows[0].metadata.experiments, { 'a-cool': 'treated', 'b-model': 'treated' });
+});
+
+test('variants naming a model outside the plan are skipped', async () => {
+  const experiments = await loadExperiments(nile);
+  assert.deepEqual(experiments.map(flag => flag.name), ['a-cool', 'b-model']);
+
+  const { body, assignments } = await applyVariants(nile, { message: 'Hi' }, assignExperiments(experiments, free), free);
+
+  assert.equal(body.model, undefined);
+  assert.equal(body.temperature, 0.1);
+  assert.deepEqual(describeAssignments(assignments), { 'a-cool': 'treated' });
+  assert.equal(describeAssignments([]), null);
+});
@@ -0,0 +1,68 @@
+// tests/helpers/db.js - In-memory Postgres (PGlite) loaded with database/schema.sql
+import { readFileSync } from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+import { uuid_ossp } from '@electric-sql/pglite/contrib/uuid_ossp';
+
+const SCHEMA = readFileSync(new URL('../../database/schema.sql', import.meta.url), 'utf8');
+
+/**
+ * A fresh database with the repo schema, wrapped in the `nile.db.query`
+ * shape the utils expect. Every query is recorded in `queries`.
+ */
+export async function createTestDatabase() {
+  const pg = new PGlite({ extensions: { uuid_ossp } });
+  await pg.exec(SCHEMA);
+
+  const queries = [];
+  return {
+    pg,
+    queries,
+    db: {
+      async query(sql, params = []) {
+        queries.push({ sql, params });
+        const result = await pg.query(sql, params);
+        return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+      }
+    },
+    close: () => pg.close()
+  };
+}
+
+/**
+ * An organization on `plan` with one user and API key. Pass `organizationId`
+ * to add the user to an existing organization instead. Returns the key row
+ * joined the way the API handlers authenticate it (`userData`).
+ */
+export async function createTestKey(nile, { plan = 'free', settings = {}, key = {}, role = 'org_admin', organizationId } = {}) {
+  const suffix = Math.random().toString(36).slice(2, 10);
+
+  if (!organizationId) {
+    const org = await nile.db.query(
+      'INSERT INTO organizations (name, plan, settings) VALUES ($1, $2, $3) RETURNING id',
+      [`Test Org ${suffix}`, plan, JSON.stringify(settings)]
+    );
+    organizationId = org.rows[0].id;
+  }
+  const user = await nile.db.query(
+    `INSERT INTO users (email, password_hash, role, organization_id)
+     VALUES ($1, 'x', $2, $3) RETURNING id`,
+    [`${role}-${suffix}@example.com`, role, organizationId]
+  );
+  await nile.db.query(
+    `INSERT INTO api_keys (user_id, api_key, name, expires, monthly_request_quota, monthly_token_quota)
+     VALUES ($1, $2, 'test', NOW() + INTERVAL '1 day', $3, $4)`,
+    [user.rows[0].id, `nxq_${suffix}`, key.monthly_request_quota ?? null, key.monthly_token_quota ?? null]
+  );
+
+  const result = await nile.db.query(
+    `SELECT ak.*, u.id as user_id, u.email, u.role, u.organization_id,
+            o.settings as organization_settings, o.plan as organization_plan, p.limits as plan_limits
+     FROM api_keys ak
+     JOIN users u ON ak.user_id = u.id
+     LEFT JOIN organizations o ON u.organization_id = o.id
+     LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+     WHERE ak.api_key = $1`,
+    [`nxq_${suffix}`]
+  );
+  return result.rows[0];
+}
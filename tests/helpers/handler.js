@@ -0,0 +1,74 @@
+// tests/helpers/handler.js - Call API handlers against a test database
+//
+// Import this before the handlers, and load them with a dynamic import():
+// static imports are resolved before this module runs, so they would still
+// get the real utils/nile.js.
+import { register } from 'node:module';
+
+// utils/nile.js is swapped for a module handing out the database passed to useDatabase()
+const TEST_NILE_MODULE = `data:text/javascript,${encodeURIComponent('export default async () => globalThis.__lynxaTestNile;')}`;
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    const resolved = await next(specifier, context);
+    return resolved.url.endsWith('/utils/nile.js') ? { url: ${JSON.stringify(TEST_NILE_MODULE)}, shortCircuit: true } : resolved;
+  }
+`)}`);
+
+export function useDatabase(nile) {
+  globalThis.__lynxaTestNile = nile;
+}
+
+// The parts of a Vercel request the handlers read
+export function createRequest({ method = 'POST', apiKey, body = {}, headers = {}, query = {} } = {}) {
+  return {
+    method,
+    body,
+    query,
+    headers: { ...(apiKey && { authorization: `Bearer ${apiKey}` }), ...headers },
+    socket: { remoteAddress: '127.0.0.1' }
+  };
+}
+
+/**
+ * The parts of a Vercel response the handlers use. `body` holds what was
+ * sent with json(), `text` everything written, and `events()` the parsed
+ * `data:` payloads of an SSE response. Resolves `finished` once the
+ * response has ended.
+ */
+export function createResponse() {
+  let finish;
+  const listeners = {};
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    text: '',
+    writableEnded: false,
+    finished: new Promise(resolve => { finish = resolve; }),
+    setHeader(name, value) { res.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return res.headers[name.toLowerCase()]; },
+    getHeaders() { return { ...res.headers }; },
+    status(code) { res.statusCode = code; return res; },
+    json(payload) { res.body = payload; return res.end(); },
+    write(chunk) { res.text += String(chunk); return true; },
+    end(chunk) {
+      if (chunk) res.text += String(chunk);
+      res.writableEnded = true;
+      finish();
+      // Like Node, "close" follows the end asynchronously
+      setImmediate(() => (listeners.close || []).forEach(listener => listener()));
+      return res;
+    },
+    on(event, listener) { (listeners[event] ||= []).push(listener); return res; },
+    flushHeaders() {},
+    events() {
+      return res.text.split('\n\n')
+        .map(event => event.split('\n').find(line => line.startsWith('data: '))?.slice(6))
+        .filter(data => data && data !== '[DONE]')
+        .map(data => JSON.parse(data));
+    }
+  };
+
+  return res;
+}
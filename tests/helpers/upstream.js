@@ -0,0 +1,74 @@
+// tests/helpers/upstream.js - Scripted OpenAI-compatible providers behind `lynxa-test`
+//
+// Import this before any module that loads utils/providers.js: the providers
+// and models are registered through LYNXA_PROVIDERS / LYNXA_MODELS, which are
+// read once at load time. `lynxa-test-fallback` tries an unconfigured
+// provider, then `scripted`, then `backup`; context summaries also go to
+// `lynxa-test`. Every reply is taken from the same queue, in call order.
+process.env.LYNXA_PROVIDERS = JSON.stringify({
+  scripted: { type: 'openai', baseUrl: 'http://upstream.test/v1', apiKey: 'test' },
+  backup: { type: 'openai', baseUrl: 'http://backup.test/v1', apiKey: 'test' },
+  unconfigured: { type: 'openai', baseUrl: 'http://unconfigured.test/v1', apiKeyEnv: 'LYNXA_TEST_MISSING_KEY' }
+});
+process.env.LYNXA_MODELS = JSON.stringify({
+  'lynxa-test': [{ provider: 'scripted', model: 'scripted-1', contextWindow: 8192 }],
+  'lynxa-test-fallback': [
+    { provider: 'unconfigured', model: 'never-1' },
+    { provider: 'scripted', model: 'scripted-1', contextWindow: 8192 },
+    { provider: 'backup', model: 'backup-1', contextWindow: 4096 }
+  ]
+});
+process.env.LYNXA_EMBEDDING_MODELS = JSON.stringify({
+  'lynxa-test-embed': [{ provider: 'scripted', model: 'scripted-embed-1', dimensions: 3 }]
+});
+process.env.LYNXA_SUMMARY_MODEL = 'lynxa-test';
+process.env.LYNXA_RETRY_MAX_ATTEMPTS = '1';
+process.env.LYNXA_ENABLE_MOCK_MODELS = 'true';
+
+export const TEST_MODEL = 'lynxa-test';
+export const FALLBACK_MODEL = 'lynxa-test-fallback';
+export const EMBEDDING_MODEL = 'lynxa-test-embed';
+
+const replies = [];
+export const upstreamRequests = [];
+
+globalThis.fetch = async (url, init = {}) => {
+  upstreamRequests.push({ url: String(url), body: init.body ? JSON.parse(init.body) : null });
+  const reply = replies.shift();
+  if (!reply) throw new Error(`Unexpected upstream request to ${url}`);
+  return typeof reply === 'function' ? reply(init) : reply;
+};
+
+// Queue the next upstream responses, in order; a function is called with the fetch init
+export function queueReplies(...responses) {
+  replies.push(...responses);
+}
+
+export function resetUpstream() {
+  replies.length = 0;
+  upstreamRequests.length = 0;
+}
+
+// A chat.completion response with one choice
+export function completion(content, { usage = { prompt_tokens: 10, completion_tokens: 5 }, toolCalls, finishReason = 'stop' } = {}) {
+  return jsonResponse({
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content, ...(toolCalls && { tool_calls: toolCalls }) },
+      finish_reason: finishReason
+    }],
+    ...(usage && { usage })
+  });
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+}
+
+// An SSE response streaming `events` (objects are sent as `data:` JSON lines)
+export function sseResponse(events) {
+  const text = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+  return new Response(text, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+}
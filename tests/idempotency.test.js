@@ -0,0 +1,110 @@
+// tests/idempotency.test.js - Idempotency-Key handling on /api/lynxa
+import { TEST_MODEL, completion, jsonResponse, queueReplies, resetUpstream, sseResponse, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+let key;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  key = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function chat(idempotencyKey, body) {
+  const res = createResponse();
+  await lynxa(createRequest({
+    apiKey: key.api_key,
+    headers: { 'idempotency-key': idempotencyKey },
+    body: { model: TEST_MODEL, temperature: 0.5, ...body }
+  }), res);
+  await res.finished;
+  return res;
+}
+
+test('a retried request gets the stored response without a second completion', async () => {
+  queueReplies(completion('First answer.'));
+
+  const first = await chat('retry-1', { message: 'Hi' });
+  const second = await chat('retry-1', { message: 'Hi' });
+
+  assert.equal(upstreamRequests.length, 1);
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(second.body, first.body);
+  assert.equal(second.headers['x-lynxa-provider'], 'scripted');
+
+  const usage = await nile.db.query(`SELECT COUNT(*)::int AS count FROM api_usage WHERE request_id = $1`, [first.body.id]);
+  assert.equal(usage.rows[0].count, 1);
+});
+
+test('a streamed response is replayed as the same event stream', async () => {
+  queueReplies(sseResponse([
+    { choices: [{ delta: { content: 'Streamed' } }] },
+    { choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 4, completion_tokens: 1 } },
+    '[DONE]'
+  ]));
+
+  const first = await chat('stream-1', { message: 'Hi', stream: true });
+  const second = await chat('stream-1', { message: 'Hi', stream: true });
+
+  assert.equal(second.headers['idempotent-replayed'], 'true');
+  assert.equal(second.text, first.text);
+  assert.equal(upstreamRequests.length, 1);
+});
+
+test('reusing a key with a different body is rejected', async () => {
+  queueReplies(completion('Hello.'));
+  await chat('reused-1', { message: 'Hi' });
+
+  const res = await chat('reused-1', { message: 'Something else' });
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  assert.equal(upstreamRequests.length, 1);
+});
+
+test('a retry while the first request is still running gets 409', async () => {
+  const body = { model: TEST_MODEL, temperature: 0.5, message: 'Hi' };
+  const first = createResponse();
+  let release;
+  queueReplies(() => new Promise(resolve => { release = () => resolve(completion('Slow.')); }));
+
+  const running = lynxa(createRequest({ apiKey: key.api_key, headers: { 'idempotency-key': 'busy-1' }, body }), first);
+  while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+
+  const second = await chat('busy-1', { message: 'Hi' });
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.body.code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  assert.ok(Number(second.headers['retry-after']) >= 1);
+
+  release();
+  await running;
+  assert.equal(first.statusCode, 200);
+});
+
+test('server errors are not stored, so the client can retry them', async () => {
+  queueReplies(jsonResponse({ error: { message: 'overloaded' } }, 500), completion('Recovered.'));
+
+  const failed = await chat('flaky-1', { message: 'Hi' });
+  const retried = await chat('flaky-1', { message: 'Hi' });
+
+  assert.ok(failed.statusCode >= 500);
+  assert.equal(retried.statusCode, 200);
+  assert.equal(retried.headers['idempotent-replayed'], undefined);
+  assert.equal(retried.body.choices[0].message.content, 'Recovered.');
+});
+
+test('an empty key is rejected', async () => {
+  const res = await chat('', { message: 'Hi' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_IDEMPOTENCY_KEY');
+  assert.equal(upstreamRequests.length, 0);
+});
@@ -0,0 +1,21 @@
+// tests/images.test.js - Multipart uploads turned into /api/lynxa bodies
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUploadRequest } from '../utils/images.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+
+test('numeric and boolean text fields are converted before validation', () => {
+  const { body } = buildUploadRequest(
+    { message: 'Describe this', max_tokens: '200', temperature: '0.2', stream: 'true', cache: 'false', context_keep_last: 'ten' },
+    [{ mimetype: 'image/png', buffer: PNG }]
+  );
+
+  assert.equal(body.max_tokens, 200);
+  assert.equal(body.temperature, 0.2);
+  assert.equal(body.stream, true);
+  assert.equal(body.cache, false);
+  // Left as sent, so validation reports it
+  assert.equal(body.context_keep_last, 'ten');
+  assert.equal(body.messages[0].content[1].type, 'image_url');
+});
@@ -0,0 +1,101 @@
+// tests/models.test.js - Model catalog and plan entitlements
+import { TEST_MODEL, FALLBACK_MODEL, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { planIncludes, checkModelAccess } from '../utils/models.js';
+
+const { default: models } = await import('../api/models.js');
+const { default: v1Models } = await import('../api/v1/models.js');
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+let free;
+let enterprise;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  await nile.db.query(
+    `INSERT INTO models (id, name, capabilities, min_plan) VALUES ($1, 'Lynxa Test Fallback', '{"streaming": false}', 'Enterprise')`,
+    [FALLBACK_MODEL]
+  );
+  await nile.db.query(`UPDATE models SET is_active = FALSE WHERE id = 'lynxa-mock'`);
+  free = await createTestKey(nile, { plan: 'free' });
+  enterprise = await createTestKey(nile, { plan: 'enterprise' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function call(handler, key, options) {
+  const res = createResponse();
+  await handler(createRequest({ apiKey: key.api_key, ...options }), res);
+  return res;
+}
+
+test('plans admit the models of their own tier and every lower one', () => {
+  assert.equal(planIncludes('Pro', 'free'), true);
+  assert.equal(planIncludes('free', 'pro'), false);
+  assert.equal(planIncludes(undefined, 'free'), true);
+  assert.equal(planIncludes('custom', 'enterprise'), true);
+});
+
+test('model access checks the plan before the requested features', () => {
+  const entry = { id: 'm', min_plan: 'pro', capabilities: { streaming: true, tools: false, json_mode: true, vision: false } };
+
+  const planError = checkModelAccess(entry, 'free', { tools: true });
+  assert.equal(planError.status, 403);
+  assert.equal(planError.body.code, 'MODEL_NOT_IN_PLAN');
+  assert.match(planError.body.error, /requires the Pro plan or higher; your organization is on the Free plan/);
+
+  const featureError = checkModelAccess(entry, 'pro', { tools: true, vision: true });
+  assert.equal(featureError.body.code, 'UNSUPPORTED_MODEL_CAPABILITY');
+  assert.match(featureError.body.error, /tools, image input \(vision\)/);
+
+  assert.equal(checkModelAccess(entry, 'enterprise', { stream: true, jsonMode: true }), null);
+});
+
+test('/api/models lists what the plan can call, and more on request', async () => {
+  const listed = await call(models, free, { method: 'GET' });
+  const ids = listed.body.models.map(entry => entry.id);
+  assert.ok(ids.includes(TEST_MODEL));
+  assert.ok(!ids.includes(FALLBACK_MODEL));
+  assert.ok(!ids.includes('lynxa-mock'), 'inactive models are hidden');
+
+  const all = await call(models, free, { method: 'GET', query: { include_unavailable: 'true' } });
+  const entry = all.body.models.find(item => item.id === FALLBACK_MODEL);
+  assert.equal(entry.available, false);
+  assert.equal(entry.min_plan, 'enterprise');
+  assert.equal(entry.context_length, 4096, 'the smallest window in the fallback chain');
+
+  const one = await call(models, free, { method: 'GET', query: { model: TEST_MODEL } });
+  assert.equal(one.body.model.name, TEST_MODEL);
+  assert.equal(one.body.model.pricing.input_per_1k_tokens, null);
+});
+
+test('/v1/models only returns the models the key can call', async () => {
+  const freeList = await call(v1Models, free, { method: 'GET' });
+  assert.ok(!freeList.body.data.some(model => model.id === FALLBACK_MODEL));
+
+  const missing = await call(v1Models, free, { method: 'GET', query: { model: FALLBACK_MODEL } });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.error.code, 'model_not_found');
+
+  const found = await call(v1Models, enterprise, { method: 'GET', query: { model: FALLBACK_MODEL } });
+  assert.deepEqual(found.body, { id: FALLBACK_MODEL, object: 'model', created: 1735689600, owned_by: 'nexariq' });
+});
+
+test('/api/lynxa enforces the plan and capabilities before calling upstream', async () => {
+  const notInPlan = await call(lynxa, free, { body: { model: FALLBACK_MODEL, message: 'hi' } });
+  assert.equal(notInPlan.statusCode, 403);
+  assert.equal(notInPlan.body.code, 'MODEL_NOT_IN_PLAN');
+
+  const noStreaming = await call(lynxa, enterprise, { body: { model: FALLBACK_MODEL, message: 'hi', stream: true } });
+  assert.equal(noStreaming.statusCode, 400);
+  assert.equal(noStreaming.body.code, 'UNSUPPORTED_MODEL_CAPABILITY');
+
+  const disabled = await call(lynxa, enterprise, { body: { model: 'lynxa-mock', message: 'hi' } });
+  assert.equal(disabled.body.code, 'UNKNOWN_MODEL');
+
+  assert.equal(upstreamRequests.length, 0);
+});
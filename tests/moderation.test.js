@@ -0,0 +1,104 @@
+// tests/moderation.test.js - Organization content moderation for prompts and completions
+import { TEST_MODEL, completion, queueReplies, resetUpstream, sseResponse, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { buildModerationPolicy, moderateText, createStreamModerator } from '../utils/moderation.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const moderation = (action, extra = {}) => ({ moderation: { enabled: true, action, deny_patterns: ['\\bproject\\s+falcon\\b'], ...extra } });
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function chat(key, body) {
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, ...body } }), res);
+  await res.finished;
+  return res;
+}
+
+test('moderation is off unless the organization enables it', () => {
+  assert.equal(buildModerationPolicy({}), null);
+  assert.equal(buildModerationPolicy({ moderation: { enabled: false } }), null);
+
+  const policy = buildModerationPolicy({ moderation: { enabled: true, action: 'nope', deny_patterns: ['(unclosed'] } });
+  assert.equal(policy.action, 'block');
+  assert.deepEqual(policy.denyPatterns, []);
+});
+
+test('categories and deny patterns are found and redacted', () => {
+  const policy = buildModerationPolicy(moderation('redact'));
+
+  const { findings, text } = moderateText('Tell me about Project Falcon. I want to hurt myself.', policy);
+
+  assert.deepEqual(findings.map(finding => finding.category).sort(), ['deny_list', 'self_harm']);
+  assert.equal(text, 'Tell me about [REDACTED]. I want to [REDACTED].');
+});
+
+test('the stream moderator holds back text until a split match can be checked', () => {
+  const moderator = createStreamModerator(buildModerationPolicy(moderation('redact')));
+
+  const output = moderator.push('The plan is project ') + moderator.push('falcon, launching soon.') + moderator.flush();
+
+  assert.equal(output, 'The plan is [REDACTED], launching soon.');
+  assert.equal(moderator.findings.length, 1);
+});
+
+test('blocked prompts never reach the model and are audited without the text', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: moderation('block') });
+
+  const res = await chat(key, { message: 'What is Project Falcon?' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.type, 'content_policy_violation');
+  assert.deepEqual(res.body.error.categories, ['deny_list']);
+  assert.equal(upstreamRequests.length, 0);
+
+  const audit = await nile.db.query('SELECT action, metadata FROM audit_logs WHERE organization_id = $1', [key.organization_id]);
+  assert.equal(audit.rows[0].action, 'moderation_block');
+  assert.deepEqual(audit.rows[0].metadata.rules, ['deny_patterns[0]']);
+  assert.doesNotMatch(JSON.stringify(audit.rows[0].metadata), /falcon/i);
+});
+
+test('redacted prompts are sent upstream with the matches masked', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: moderation('redact') });
+  queueReplies(completion('I cannot say.'));
+
+  const res = await chat(key, { message: 'What is Project Falcon?' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(upstreamRequests[0].body.messages.at(-1).content, 'What is [REDACTED]?');
+  assert.deepEqual(res.body.moderation.input, { action: 'redact', categories: ['deny_list'] });
+});
+
+test('blocked completions end with content_filter and no content', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: moderation('block', { check_input: false }) });
+  queueReplies(completion('Project Falcon launches Monday.'));
+
+  const res = await chat(key, { message: 'Any news?' });
+
+  assert.equal(res.body.choices[0].finish_reason, 'content_filter');
+  assert.equal(res.body.choices[0].message.content, null);
+});
+
+test('blocked streamed output is never sent', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: moderation('block') });
+  queueReplies(sseResponse([
+    { choices: [{ delta: { content: 'The codename is Project ' } }] },
+    { choices: [{ delta: { content: 'Falcon.' }, finish_reason: 'stop' }] },
+    '[DONE]'
+  ]));
+
+  const res = await chat(key, { message: 'Any news?', stream: true });
+
+  assert.doesNotMatch(res.text, /Falcon/);
+  assert.equal(res.events().at(-1).choices[0].finish_reason, 'content_filter');
+});
@@ -0,0 +1,151 @@
+// tests/openai.test.js - OpenAI Chat Completions shapes and the response adapter
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toLynxaRequest, toOpenAIError, toOpenAICompletion, createChunkTranslator } from '../utils/openai.js';
+import { adaptRequest, adaptResponse } from '../utils/response-adapter.js';
+
+const created = 1790000000;
+const getSystemFingerprint = () => 'fp_lynxa_test';
+
+// Parsed `data:` payloads of an SSE text
+function parseChunks(text) {
+  return text.split('\n\n').filter(Boolean).map(event => JSON.parse(event.slice('data: '.length)));
+}
+
+// The parts of a Vercel response the adapter calls
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    written: '',
+    ended: false,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    write(text) { this.written += text; return true; },
+    end() { this.ended = true; },
+    setHeader() {}
+  };
+}
+
+test('max_completion_tokens is passed on as max_tokens', () => {
+  assert.deepEqual(toLynxaRequest({ model: 'lynxa-pro', max_completion_tokens: 50, max_tokens: 10 }), { model: 'lynxa-pro', max_tokens: 50 });
+  assert.deepEqual(toLynxaRequest({ max_tokens: 10 }), { max_tokens: 10 });
+});
+
+test('completions keep tool calls and drop Lynxa-specific fields', () => {
+  const toolCalls = [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }];
+  const completion = toOpenAICompletion({
+    id: 'chatcmpl-1',
+    model: 'lynxa-pro',
+    provider: 'groq',
+    choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: toolCalls, parsed: {} }, finish_reason: 'tool_calls' }],
+    usage: { prompt_tokens: 12, completion_tokens: 7, total_tokens: 19 }
+  }, { created, systemFingerprint: 'fp_lynxa_test' });
+
+  assert.deepEqual(completion, {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    created,
+    model: 'lynxa-pro',
+    system_fingerprint: 'fp_lynxa_test',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: null, tool_calls: toolCalls, refusal: null },
+      logprobs: null,
+      finish_reason: 'tool_calls'
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 7, total_tokens: 19 }
+  });
+});
+
+test('errors use the OpenAI envelope', () => {
+  assert.deepEqual(toOpenAIError(400, { error: 'Validation failed', details: [{ field: 'temperature', message: 'too high' }] }), {
+    error: { message: 'too high', type: 'invalid_request_error', param: 'temperature', code: null }
+  });
+  assert.equal(toOpenAIError(401, { error: 'Invalid key' }).error.code, 'invalid_api_key');
+  assert.deepEqual(toOpenAIError(429, { error: 'Slow down', code: 'RATE_LIMITED' }).error, {
+    message: 'Slow down', type: 'rate_limit_error', param: null, code: 'rate_limited'
+  });
+  assert.equal(toOpenAIError(502, { error: { message: 'Upstream failed' } }).error.type, 'server_error');
+});
+
+test('the first chunk carries the role and tool call deltas pass through', () => {
+  const translator = createChunkTranslator({ created, getSystemFingerprint, includeUsage: false });
+  const toolCall = { index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } };
+
+  const chunks = parseChunks([
+    { id: 'chatcmpl-1', model: 'lynxa-pro', choices: [{ delta: { content: 'Hi' } }] },
+    { id: 'chatcmpl-1', model: 'lynxa-pro', choices: [{ delta: { tool_calls: [toolCall] } }] },
+    { id: 'chatcmpl-1', model: 'lynxa-pro', choices: [{ delta: {}, finish_reason: 'tool_calls' }], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } }
+  ].map(data => translator.translate(data)).join(''));
+
+  assert.equal(chunks.length, 3);
+  assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant', content: 'Hi' });
+  assert.deepEqual(chunks[1].choices[0].delta, { tool_calls: [toolCall] });
+  assert.deepEqual(chunks[2].choices[0], { index: 0, delta: {}, logprobs: null, finish_reason: 'tool_calls' });
+  assert.ok(chunks.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.created === created && !('usage' in chunk)));
+});
+
+test('include_usage adds a usage chunk with empty choices after the last one', () => {
+  const translator = createChunkTranslator({ created, getSystemFingerprint, includeUsage: true });
+
+  const chunks = parseChunks(
+    translator.translate({ id: 'chatcmpl-1', model: 'lynxa-pro', choices: [{ delta: { content: 'Hi' } }] }) +
+    translator.translate({
+      id: 'chatcmpl-1',
+      model: 'lynxa-pro',
+      choices: [{ delta: {}, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+    })
+  );
+
+  assert.deepEqual(chunks.map(chunk => chunk.usage), [null, null, { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }]);
+  assert.deepEqual(chunks[2].choices, []);
+});
+
+test('stream errors are sent as an OpenAI error payload', () => {
+  const translator = createChunkTranslator({ created, getSystemFingerprint, includeUsage: false });
+
+  assert.deepEqual(parseChunks(translator.translate({ error: 'Upstream failed' })), [
+    { error: { message: 'Upstream failed', type: 'server_error', param: null, code: null } }
+  ]);
+});
+
+test('adaptResponse translates JSON bodies with the status they were sent with', () => {
+  const res = fakeResponse();
+  const adapted = adaptResponse(res, {
+    translateJson: (status, payload) => (status >= 400 ? toOpenAIError(status, payload) : payload),
+    translateEvent: () => ''
+  });
+
+  adapted.status(404).json({ error: 'Model not found', code: 'MODEL_NOT_FOUND' });
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.body, { error: { message: 'Model not found', type: 'invalid_request_error', param: null, code: 'model_not_found' } });
+});
+
+test('adaptResponse translates SSE events split across writes and keeps keep-alives', () => {
+  const res = fakeResponse();
+  const adapted = adaptResponse(res, {
+    translateJson: (status, payload) => payload,
+    translateEvent: data => `data: ${data.n * 2}\n\n`,
+    onDone: () => 'data: [DONE]\n\n'
+  });
+
+  adapted.write('data: {"n":1}\n\ndata: {"n"');
+  adapted.write(':2}\n\n: keep-alive\n\n');
+  adapted.end('data: [DONE]\n\n');
+
+  assert.equal(res.written, 'data: 2\n\ndata: 4\n\n: keep-alive\n\ndata: [DONE]\n\n');
+  assert.equal(res.ended, true);
+});
+
+test('adaptRequest swaps the body and adds headers', () => {
+  const req = { method: 'POST', body: { original: true }, headers: { authorization: 'Bearer key' } };
+
+  const adapted = adaptRequest(req, { body: { model: 'lynxa-pro' }, headers: { 'x-lynxa-route': 'v1' } });
+
+  assert.deepEqual(adapted.body, { model: 'lynxa-pro' });
+  assert.deepEqual(adapted.headers, { authorization: 'Bearer key', 'x-lynxa-route': 'v1' });
+  assert.equal(adapted.method, 'POST');
+});
@@ -0,0 +1,90 @@
+// tests/personas.test.js - Organization personas managed through /api/organizations and used by /api/lynxa
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { DEFAULT_SYSTEM_PROMPT, validatePersonaFields } from '../utils/personas.js';
+
+const { default: organizations } = await import('../api/organizations.js');
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function call(handler, key, options) {
+  const res = createResponse();
+  await handler(createRequest({ apiKey: key.api_key, ...options }), res);
+  return res;
+}
+
+async function chat(key, body = {}) {
+  queueReplies(completion('Hello!'));
+  const res = await call(lynxa, key, { body: { model: TEST_MODEL, message: 'Hi', ...body } });
+  assert.equal(res.statusCode, 200);
+  return { res, upstream: upstreamRequests.at(-1).body };
+}
+
+test('persona fields are validated', () => {
+  assert.deepEqual(validatePersonaFields({ name: 'support', system_prompt: 'Be kind.', temperature: 0.3, model: TEST_MODEL }), []);
+  assert.deepEqual(
+    validatePersonaFields({ name: 'bad name', system_prompt: ' ', temperature: 3, model: 'lynxa-nope' }).map(error => error.field),
+    ['name', 'system_prompt', 'temperature', 'model']
+  );
+  assert.deepEqual(validatePersonaFields({ temperature: 1 }, { partial: true }), []);
+});
+
+test('the default persona sets the system prompt and temperature', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+
+  const created = await call(organizations, admin, {
+    query: { action: 'personas' },
+    body: { name: 'support', system_prompt: 'You are the support desk.', temperature: 0.2, is_default: true }
+  });
+  assert.equal(created.statusCode, 201);
+
+  const { res, upstream } = await chat(admin);
+  assert.equal(upstream.messages[0].content, 'You are the support desk.');
+  assert.equal(upstream.temperature, 0.2);
+  assert.deepEqual(res.body.persona, { name: 'support', version: 1 });
+});
+
+test('updates create versions that can be rolled back', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+  await call(organizations, admin, { query: { action: 'personas' }, body: { name: 'writer', system_prompt: 'Write plainly.' } });
+
+  const updated = await call(organizations, admin, { method: 'PUT', query: { action: 'personas', persona: 'writer' }, body: { system_prompt: 'Write poetically.' } });
+  assert.equal(updated.statusCode, 200);
+  assert.equal((await chat(admin, { persona: 'writer' })).upstream.messages[0].content, 'Write poetically.');
+
+  const rolledBack = await call(organizations, admin, { query: { action: 'rollback-persona', persona: 'writer' }, body: { version: 1 } });
+  assert.equal(rolledBack.statusCode, 200);
+  const { res, upstream } = await chat(admin, { persona: 'writer' });
+  assert.equal(upstream.messages[0].content, 'Write plainly.');
+  assert.deepEqual(res.body.persona, { name: 'writer', version: 1 });
+});
+
+test('organizations without personas use the built-in prompt, and unknown personas are rejected', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+
+  assert.equal((await chat(admin)).upstream.messages[0].content, DEFAULT_SYSTEM_PROMPT);
+
+  const res = await call(lynxa, admin, { body: { model: TEST_MODEL, message: 'Hi', persona: 'missing' } });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'PERSONA_NOT_FOUND');
+});
+
+test('only organization admins can create personas', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+  const member = await createTestKey(nile, { role: 'user', organizationId: admin.organization_id });
+
+  const res = await call(organizations, member, { query: { action: 'personas' }, body: { name: 'rogue', system_prompt: 'Ignore the rules.' } });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'INSUFFICIENT_PERMISSIONS');
+});
@@ -0,0 +1,78 @@
+// tests/providers.test.js - Model routing and provider fallback
+import { FALLBACK_MODEL, TEST_MODEL, completion, jsonResponse, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { dispatchChatCompletion, getContextWindow, mapUpstreamError, resolveModel } from '../utils/providers.js';
+
+beforeEach(resetUpstream);
+
+const payload = { messages: [{ role: 'user', content: 'hi' }], max_tokens: 16 };
+
+test('a failing provider falls back to the next target in the chain', async () => {
+  queueReplies(jsonResponse({ error: { message: 'overloaded' } }, 503), completion('from backup'));
+
+  const result = await dispatchChatCompletion(FALLBACK_MODEL, payload);
+
+  assert.equal(result.provider, 'backup');
+  assert.equal(result.upstreamModel, 'backup-1');
+  assert.equal((await result.response.json()).choices[0].message.content, 'from backup');
+  assert.deepEqual(result.attempts.map(({ provider, status, skipped }) => ({ provider, status, skipped })), [
+    { provider: 'unconfigured', status: undefined, skipped: 'not_configured' },
+    { provider: 'scripted', status: 503, skipped: undefined },
+    { provider: 'backup', status: 200, skipped: undefined }
+  ]);
+  assert.deepEqual(upstreamRequests.map(request => [request.url, request.body.model]), [
+    ['http://upstream.test/v1/chat/completions', 'scripted-1'],
+    ['http://backup.test/v1/chat/completions', 'backup-1']
+  ]);
+});
+
+test('client errors are returned without trying the next target', async () => {
+  queueReplies(jsonResponse({ error: { message: 'bad request' } }, 400));
+
+  const result = await dispatchChatCompletion(FALLBACK_MODEL, payload);
+
+  assert.equal(result.provider, 'scripted');
+  assert.equal(result.response.status, 400);
+  assert.equal(upstreamRequests.length, 1);
+});
+
+test('a 503 is raised when every provider fails to answer', async () => {
+  const networkError = () => { throw new TypeError('fetch failed'); };
+  queueReplies(networkError, networkError);
+
+  await assert.rejects(dispatchChatCompletion(FALLBACK_MODEL, payload), error => {
+    assert.equal(error.status, 503);
+    assert.match(error.message, /All providers failed/);
+    assert.deepEqual(error.attempts.map(attempt => attempt.error ?? attempt.skipped), ['not_configured', 'fetch failed', 'fetch failed']);
+    return true;
+  });
+});
+
+test('unknown models are rejected with a 400', async () => {
+  await assert.rejects(dispatchChatCompletion('lynxa-nope', payload), { status: 400, message: 'Unknown model: lynxa-nope' });
+  assert.equal(resolveModel('lynxa-nope'), null);
+});
+
+test('the context window is the smallest in the chain', () => {
+  assert.equal(getContextWindow(TEST_MODEL), 8192);
+  assert.equal(getContextWindow(FALLBACK_MODEL), 4096);
+});
+
+test('upstream errors map to the status returned to the caller', async () => {
+  assert.deepEqual(
+    await mapUpstreamError(jsonResponse({ error: { message: 'max_tokens too large' } }, 422)),
+    {
+      status: 400,
+      code: 'UPSTREAM_INVALID_REQUEST',
+      message: 'max_tokens too large',
+      details: { error: { message: 'max_tokens too large' } },
+      retryAfter: null
+    }
+  );
+
+  const unavailable = await mapUpstreamError(jsonResponse({}, 401, { 'retry-after': '5' }));
+  assert.equal(unavailable.status, 503);
+  assert.equal(unavailable.code, 'UPSTREAM_UNAVAILABLE');
+  assert.equal(unavailable.retryAfter, '5');
+});
@@ -0,0 +1,55 @@
+// tests/quotas.test.js - Monthly request quotas, run against the real schema
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQuota, releaseQuota, trackQuotaUsage } from '../utils/quotas.js';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+let nile;
+before(async () => { nile = await createTestDatabase(); });
+after(() => nile.close());
+
+async function requestsUsed(scopeId) {
+  const result = await nile.db.query('SELECT requests FROM quota_usage WHERE scope_id = $1', [scopeId]);
+  return result.rows[0]?.requests ?? 0;
+}
+
+test('concurrent requests cannot all pass the same remaining quota', async () => {
+  const userData = await createTestKey(nile, { key: { monthly_request_quota: 3 } });
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => checkQuota(nile, userData)));
+
+  assert.equal(results.filter(quota => !quota.error).length, 3);
+  assert.equal(results.filter(quota => quota.error?.body.code === 'QUOTA_EXCEEDED').length, 2);
+  assert.equal(await requestsUsed(userData.id), 3);
+});
+
+test('the seeded Free plan holds requests on the organization counter', async () => {
+  const userData = await createTestKey(nile, { plan: 'free' });
+
+  const quota = await checkQuota(nile, userData);
+
+  assert.equal(quota.error, null);
+  assert.deepEqual(quota.holds.map(hold => hold.scope), ['organization']);
+  assert.equal(await requestsUsed(userData.organization_id), 1);
+});
+
+test('released holds free the quota again', async () => {
+  const userData = await createTestKey(nile, { key: { monthly_request_quota: 3 } });
+
+  const quota = await checkQuota(nile, userData, { requests: 3 });
+  assert.equal(quota.error, null);
+  assert.ok((await checkQuota(nile, userData)).error);
+
+  await releaseQuota(nile, quota);
+  assert.equal(await requestsUsed(userData.id), 0);
+  assert.equal((await checkQuota(nile, userData)).error, null);
+});
+
+test('metered usage notifies once a counter reaches 80%', async () => {
+  const userData = await createTestKey(nile, { key: { monthly_request_quota: 5 } });
+
+  for (let i = 0; i < 4; i++) await trackQuotaUsage(nile, userData, { tokens: 10 });
+
+  const notifications = await nile.db.query('SELECT title, type FROM notifications WHERE user_id = $1', [userData.user_id]);
+  assert.deepEqual(notifications.rows, [{ title: 'Monthly request quota 80% used', type: 'warning' }]);
+});
@@ -0,0 +1,78 @@
+// tests/redaction.test.js - PII detection and masking for prompts, transcripts and logs
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { buildRedactionPolicy, redactText, redactValue, redactMessages, DEFAULT_REDACTION_POLICY } from '../utils/redaction.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('every PII type is detected and labelled', () => {
+  const { text, counts } = redactText(
+    'Mail jane.doe@example.com or call +1 415 555 0100. Card 4111 1111 1111 1111, IBAN GB82 WEST 1234 5698 7654 32, key nxq_abcdefghijklmnop1234.'
+  );
+
+  assert.equal(text, 'Mail [EMAIL] or call [PHONE]. Card [CARD], IBAN [IBAN], key [API_KEY].');
+  assert.deepEqual(counts, { api_key: 1, iban: 1, card: 1, email: 1, phone: 1 });
+});
+
+test('look-alikes that fail their checksum or shape pass through', () => {
+  const text = 'Order 4111 1111 1111 1112 at 1700000000000 from 192.168.10.1, release v10.20.30.40.';
+
+  assert.equal(redactText(text).text, text);
+  assert.doesNotMatch(redactText('IBAN GB00 WEST 1234 5698 7654 32').text, /\[IBAN\]/);
+});
+
+test('organizations choose the types and the mask', () => {
+  assert.equal(buildRedactionPolicy({}), DEFAULT_REDACTION_POLICY);
+  assert.equal(buildRedactionPolicy({ redaction: { enabled: false } }), null);
+
+  const partial = buildRedactionPolicy({ redaction: { types: ['email', 'card', 'nope'], mask: 'partial' } });
+  assert.deepEqual(partial.types, ['email', 'card']);
+  assert.equal(redactText('jane@example.com, 4111-1111-1111-1111, +44 20 7946 0958', partial).text, 'j***@example.com, [CARD ...1111], +44 20 7946 0958');
+
+  const hashed = buildRedactionPolicy({ redaction: { mask: 'hash' } });
+  assert.match(redactText('jane@example.com', hashed).text, /^\[EMAIL:[0-9a-f]{10}\]$/);
+  assert.equal(redactText('jane@example.com', hashed).text, redactText('jane@example.com', hashed).text);
+});
+
+test('nested values and message parts are masked', () => {
+  assert.deepEqual(redactValue({ by: 'jane@example.com', tags: ['x', 'bob@example.com'], at: 3 }), { by: '[EMAIL]', tags: ['x', '[EMAIL]'], at: 3 });
+
+  const messages = [
+    { role: 'user', content: [{ type: 'text', text: 'I am jane@example.com' }, { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] },
+    { role: 'assistant', content: 'Noted.' }
+  ];
+  const result = redactMessages(messages, DEFAULT_REDACTION_POLICY);
+  assert.equal(result.messages[0].content[0].text, 'I am [EMAIL]');
+  assert.equal(result.messages[0].content[1], messages[0].content[1]);
+  assert.equal(result.messages[1], messages[1]);
+  assert.deepEqual(result.counts, { email: 1 });
+});
+
+test('/api/lynxa masks prompts upstream only when the organization opts in', async () => {
+  const optedIn = await createTestKey(nile, { plan: 'pro', settings: { redaction: { prompts: true } } });
+  const defaults = await createTestKey(nile, { plan: 'pro' });
+  queueReplies(completion('Done.'), completion('Done.'));
+
+  for (const key of [optedIn, defaults]) {
+    const res = createResponse();
+    await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'Email jane@example.com the summary' } }), res);
+    assert.equal(res.statusCode, 200);
+  }
+
+  assert.equal(upstreamRequests[0].body.messages.at(-1).content, 'Email [EMAIL] the summary');
+  assert.equal(upstreamRequests[1].body.messages.at(-1).content, 'Email jane@example.com the summary');
+
+  const usage = await nile.db.query(`SELECT metadata FROM api_usage WHERE api_key_id = $1`, [optedIn.id]);
+  assert.deepEqual(usage.rows[0].metadata.redaction, { email: 1 });
+});
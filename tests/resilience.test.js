@@ -0,0 +1,112 @@
+// tests/resilience.test.js - Upstream retries with backoff and circuit breakers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Read once when utils/resilience.js loads
+Object.assign(process.env, {
+  LYNXA_RETRY_MAX_ATTEMPTS: '3',
+  LYNXA_RETRY_BASE_DELAY_MS: '1',
+  LYNXA_RETRY_MAX_DELAY_MS: '50',
+  LYNXA_BREAKER_FAILURE_THRESHOLD: '2',
+  LYNXA_BREAKER_COOLDOWN_MS: '40'
+});
+const {
+  isRetryableStatus, parseRetryAfter, withRetry, checkCircuit, isCircuitOpen, recordCircuitResult, getCircuitStates
+} = await import('../utils/resilience.js');
+
+// A fn for withRetry answering with `outcomes` in order (an Error is thrown)
+function scripted(...outcomes) {
+  const fn = async () => {
+    fn.calls++;
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+    return new Response('{}', { status: outcome.status ?? outcome, headers: outcome.headers });
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+test('only 429 and 5xx are retryable', () => {
+  assert.deepEqual([400, 404, 429, 500, 503].map(isRetryableStatus), [false, false, true, true, true]);
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 10000).toUTCString()) > 8000);
+});
+
+test('5xx responses and network errors are retried up to the attempt limit', async () => {
+  const outcomes = [];
+  const fn = scripted(503, new Error('socket hang up'), 200);
+
+  const response = await withRetry(fn, { onAttempt: outcome => outcomes.push(outcome) });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(outcomes, [{ ok: false, status: 503 }, { ok: false, error: 'socket hang up' }, { ok: true, status: 200 }]);
+
+  const exhausted = scripted(500, 502, 503, 200);
+  assert.equal((await withRetry(exhausted)).status, 503);
+  assert.equal(exhausted.calls, 3);
+});
+
+test('client errors, timeouts and long Retry-After waits are not retried', async () => {
+  const badRequest = scripted(400);
+  assert.equal((await withRetry(badRequest)).status, 400);
+  assert.equal(badRequest.calls, 1);
+
+  const timeout = Object.assign(new Error('timed out'), { name: 'AbortError' });
+  await assert.rejects(withRetry(scripted(timeout)), { message: 'timed out' });
+
+  const rateLimited = scripted({ status: 429, headers: { 'retry-after': '60' } }, 200);
+  assert.equal((await withRetry(rateLimited)).status, 429);
+  assert.equal(rateLimited.calls, 1);
+
+  const closing = scripted(503, 200);
+  assert.equal((await withRetry(closing, { canRetry: () => false })).status, 503);
+});
+
+test('an aborted caller stops the retries', async () => {
+  const controller = new AbortController();
+  const fn = async () => {
+    controller.abort(new Error('client went away'));
+    throw new Error('fetch failed');
+  };
+
+  await assert.rejects(withRetry(fn, { signal: controller.signal }), { message: 'fetch failed' });
+});
+
+test('a circuit opens after repeated failures and lets one trial through after the cooldown', async () => {
+  recordCircuitResult('flaky', { ok: false, status: 500 });
+  assert.equal(checkCircuit('flaky').allowed, true);
+  recordCircuitResult('flaky', { ok: false, error: 'ECONNRESET' });
+
+  assert.equal(isCircuitOpen('flaky'), true);
+  assert.equal(checkCircuit('flaky').allowed, false);
+  const [open] = await getCircuitStates(['flaky']);
+  assert.equal(open.state, 'open');
+  assert.equal(open.last_error, 'ECONNRESET');
+
+  await sleep(50);
+  assert.equal(checkCircuit('flaky').allowed, true);
+  assert.equal(checkCircuit('flaky').allowed, false, 'only one trial at a time');
+
+  recordCircuitResult('flaky', { ok: true, status: 200 });
+  assert.equal(isCircuitOpen('flaky'), false);
+  assert.equal((await getCircuitStates(['flaky']))[0].consecutive_failures, 0);
+});
+
+test('a failed trial re-opens the circuit at once', async () => {
+  recordCircuitResult('down', { ok: false, status: 503 });
+  recordCircuitResult('down', { ok: false, status: 503 });
+  await sleep(50);
+
+  assert.equal(checkCircuit('down').allowed, true);
+  recordCircuitResult('down', { ok: false, status: 503 });
+
+  assert.equal(isCircuitOpen('down'), true);
+  assert.equal(checkCircuit('down').allowed, false);
+});
@@ -0,0 +1,89 @@
+// tests/sampling.test.js - Sampling parameters and organization sampling policy
+import { TEST_MODEL, completion, jsonResponse, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { resolveSampling } from '../utils/sampling.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const policy = { sampling: { defaults: { temperature: 1.5, top_p: 0.9 }, ranges: { temperature: { min: 0, max: 1 }, n: { max: 2 } } } };
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function chat(key, body) {
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'Hi', ...body } }), res);
+  return res;
+}
+
+test('the request wins over the persona, organization and built-in defaults', () => {
+  assert.deepEqual(resolveSampling({}).params, { temperature: 0.7 });
+  assert.deepEqual(resolveSampling({}, { personaTemperature: 0.3 }).params, { temperature: 0.3 });
+  assert.deepEqual(resolveSampling({ temperature: 0.1, stop: 'END', seed: 42 }, { settings: policy, personaTemperature: 0.3 }).params, {
+    temperature: 0.1, top_p: 0.9, seed: 42, stop: ['END']
+  });
+});
+
+test('organization defaults outside the allowed range are clamped, requested values rejected', () => {
+  assert.equal(resolveSampling({}, { settings: policy }).params.temperature, 1);
+
+  const { error } = resolveSampling({ temperature: 1.2, n: 3 }, { settings: policy });
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(error.details.map(detail => detail.message), [
+    'temperature must be between 0 and 1 for your organization',
+    'n must be between 1 and 2 for your organization'
+  ]);
+});
+
+test('the plan caps n and malformed values are reported', () => {
+  assert.equal(resolveSampling({ n: 2 }, { planLimits: { max_choices: 1 } }).error.details[0].field, 'n');
+  assert.equal(resolveSampling({ n: 1 }).params.n, undefined);
+
+  const { error } = resolveSampling({ n: 1.5, stop: ['a', 'b', 'c', 'd', 'e'], top_logprobs: 2 });
+  assert.deepEqual(error.details.map(detail => detail.field), ['n', 'stop', 'top_logprobs']);
+});
+
+test('/api/lynxa forwards the resolved parameters and returns every choice', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: policy });
+  queueReplies(jsonResponse({
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    choices: [
+      { index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'stop' },
+      { index: 1, message: { role: 'assistant', content: 'Hi there!' }, finish_reason: 'stop' }
+    ],
+    usage: { prompt_tokens: 10, completion_tokens: 8 }
+  }));
+
+  const res = await chat(key, { n: 2, stop: 'END' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(upstreamRequests[0].body.temperature, 1);
+  assert.equal(upstreamRequests[0].body.top_p, 0.9);
+  assert.equal(upstreamRequests[0].body.n, 2);
+  assert.deepEqual(upstreamRequests[0].body.stop, ['END']);
+  assert.deepEqual(res.body.choices.map(choice => choice.message.content), ['Hello!', 'Hi there!']);
+});
+
+test('/api/lynxa rejects n > 1 on the free plan and with streaming', async () => {
+  const free = await createTestKey(nile, { plan: 'free' });
+  const pro = await createTestKey(nile, { plan: 'pro' });
+
+  assert.equal((await chat(free, { n: 2 })).statusCode, 400);
+  const streamed = await chat(pro, { n: 2, stream: true });
+  assert.equal(streamed.statusCode, 400);
+  assert.match(streamed.body.details[0].message, /not supported with stream/);
+  assert.equal(upstreamRequests.length, 0);
+
+  queueReplies(completion('Hi.'));
+  assert.equal((await chat(free, { n: 1 })).statusCode, 200);
+  assert.equal(upstreamRequests[0].body.n, undefined);
+});
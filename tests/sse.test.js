@@ -0,0 +1,114 @@
+// tests/sse.test.js - Upstream SSE parsing, keep-alives and client disconnects
+import { TEST_MODEL, queueReplies, resetUpstream } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+// Read once when utils/sse.js loads
+process.env.LYNXA_SSE_KEEPALIVE_MS = '20';
+const { readSSE } = await import('../utils/sse.js');
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const encoder = new TextEncoder();
+const event = (content, extra = {}) => `data: ${JSON.stringify({ choices: [{ delta: { content }, ...extra }] })}\n\n`;
+
+// A body sending `chunks` in order; a number pauses for that many milliseconds
+function streamOf(chunks, signal) {
+  return new ReadableStream({
+    async start(controller) {
+      signal?.addEventListener('abort', () => controller.error(signal.reason));
+      for (const chunk of chunks) {
+        if (typeof chunk === 'number') await sleep(chunk, null, { signal }).catch(() => {});
+        else if (!signal?.aborted) controller.enqueue(encoder.encode(chunk));
+      }
+      if (!signal?.aborted) controller.close();
+    }
+  });
+}
+
+async function collect(body) {
+  const events = [];
+  for await (const data of readSSE(body)) events.push(data);
+  return events;
+}
+
+let nile;
+let key;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  key = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('events split across reads are reassembled', async () => {
+  const events = await collect(streamOf(['da', 'ta: {"a"', ':1}\r', '\n\r\n', ': comment\n', 'event: x\ndata: one\ndata: two\n\n', 'data: [DONE]']));
+
+  assert.deepEqual(events, ['{"a":1}', 'one\ntwo', '[DONE]']);
+});
+
+test('multi-byte characters split between reads are decoded', async () => {
+  const bytes = encoder.encode('data: héllo\n\n');
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, 8));
+      controller.enqueue(bytes.slice(8));
+      controller.close();
+    }
+  });
+
+  assert.deepEqual(await collect(body), ['héllo']);
+});
+
+test('leaving the loop early cancels the stream', async () => {
+  let cancelled = false;
+  const body = new ReadableStream({
+    start(controller) { controller.enqueue(encoder.encode('data: first\n\n')); },
+    cancel() { cancelled = true; }
+  });
+
+  for await (const data of readSSE(body)) {
+    assert.equal(data, 'first');
+    break;
+  }
+  assert.equal(cancelled, true);
+});
+
+test('/api/lynxa sends keep-alive comments while upstream is quiet', async () => {
+  queueReplies(() => new Response(streamOf([event('Hel'), 80, event('lo', { finish_reason: 'stop' }), 'data: [DONE]\n\n'])));
+
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'Hi', stream: true } }), res);
+
+  assert.match(res.text, /: keep-alive\n\n/);
+  assert.equal(res.events().filter(item => item.choices?.[0]?.delta?.content).map(item => item.choices[0].delta.content).join(''), 'Hello');
+});
+
+test('/api/lynxa aborts the upstream stream when the client disconnects', async () => {
+  let upstreamSignal;
+  queueReplies(init => {
+    upstreamSignal = init.signal;
+    return new Response(streamOf([event('Once upon'), 60000], init.signal));
+  });
+
+  const res = createResponse();
+  const closeListeners = [];
+  const on = res.on;
+  res.on = (name, listener) => {
+    if (name === 'close') closeListeners.push(listener);
+    return on(name, listener);
+  };
+
+  const done = lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'Tell me a story', stream: true } }), res);
+  while (!res.text.includes('Once upon')) await sleep(5);
+  closeListeners.forEach(listener => listener());
+  await done;
+
+  assert.equal(upstreamSignal.aborted, true);
+  const usage = await nile.db.query(`SELECT status_code, metadata FROM api_usage WHERE api_key_id = $1 ORDER BY created_at DESC LIMIT 1`, [key.id]);
+  assert.equal(usage.rows[0].status_code, 499);
+  assert.equal(usage.rows[0].metadata.aborted, true);
+});
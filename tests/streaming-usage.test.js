@@ -0,0 +1,82 @@
+// tests/streaming-usage.test.js - Token usage of streamed /api/lynxa completions
+import { TEST_MODEL, queueReplies, resetUpstream, sseResponse, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { estimateMessageTokens, estimateTokens } from '../utils/tokens.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+let key;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  key = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function stream(message) {
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message, stream: true } }), res);
+  await res.finished;
+  return res;
+}
+
+async function recordedUsage(requestId) {
+  const result = await nile.db.query('SELECT input_tokens, output_tokens, metadata FROM api_usage WHERE request_id = $1', [requestId]);
+  return result.rows[0];
+}
+
+test('the usage chunk sent by the provider is reported and metered', async () => {
+  queueReplies(sseResponse([
+    { choices: [{ delta: { content: 'Hel' } }] },
+    { choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] },
+    { choices: [], usage: { prompt_tokens: 11, completion_tokens: 2, total_tokens: 13 } },
+    '[DONE]'
+  ]));
+
+  const res = await stream('Say hello');
+
+  assert.deepEqual(upstreamRequests[0].body.stream_options, { include_usage: true });
+  const events = res.events();
+  assert.equal(events.map(event => event.choices?.[0]?.delta?.content).filter(Boolean).join(''), 'Hello');
+  const final = events.at(-1);
+  assert.deepEqual(final.usage, { prompt_tokens: 11, completion_tokens: 2, total_tokens: 13 });
+
+  const usage = await recordedUsage(final.id);
+  assert.equal(usage.input_tokens, 11);
+  assert.equal(usage.output_tokens, 2);
+  assert.equal(usage.metadata.stream, true);
+  assert.equal(usage.metadata.usage_source, 'upstream');
+});
+
+test('Groq usage in x_groq is picked up', async () => {
+  queueReplies(sseResponse([
+    { choices: [{ delta: { content: 'Hi' }, finish_reason: 'stop' }], x_groq: { usage: { prompt_tokens: 9, completion_tokens: 1, total_tokens: 10 } } },
+    '[DONE]'
+  ]));
+
+  const res = await stream('Say hi');
+
+  assert.deepEqual(res.events().at(-1).usage, { prompt_tokens: 9, completion_tokens: 1, total_tokens: 10 });
+});
+
+test('usage is estimated when the provider sends none', async () => {
+  queueReplies(sseResponse([
+    { choices: [{ delta: { content: 'Estimated reply' }, finish_reason: 'stop' }] },
+    '[DONE]'
+  ]));
+
+  const res = await stream('Estimate this');
+
+  const final = res.events().at(-1);
+  assert.equal(final.usage.completion_tokens, estimateTokens('Estimated reply'));
+  assert.equal(final.usage.prompt_tokens, estimateMessageTokens(upstreamRequests[0].body.messages));
+
+  const usage = await recordedUsage(final.id);
+  assert.equal(usage.output_tokens, final.usage.completion_tokens);
+  assert.equal(usage.metadata.usage_source, 'estimate');
+});
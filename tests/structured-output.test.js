@@ -0,0 +1,100 @@
+// tests/structured-output.test.js - JSON mode and JSON Schema validation
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { compileResponseFormat, validateOutput } from '../utils/structured-output.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const personSchema = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'person',
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', minimum: 0 },
+        role: { $ref: '#/$defs/role' }
+      },
+      required: ['name', 'age'],
+      additionalProperties: false,
+      $defs: { role: { enum: ['admin', 'member'] } }
+    }
+  }
+};
+
+let nile;
+let key;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  key = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('output is checked against the JSON Schema', () => {
+  const format = compileResponseFormat(personSchema);
+
+  assert.deepEqual(validateOutput('{"name":"Ada","age":36,"role":"admin"}', format), { valid: true, value: { name: 'Ada', age: 36, role: 'admin' } });
+  assert.deepEqual(validateOutput('```json\n{"name":"Ada","age":36}\n```', format).value, { name: 'Ada', age: 36 });
+
+  const { valid, errors } = validateOutput('{"name":"Ada","age":"36","role":"owner","extra":1}', format);
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(error => error.path), ['age', 'role', 'extra']);
+});
+
+test('json_object output must be a JSON object', () => {
+  const format = compileResponseFormat({ type: 'json_object' });
+
+  assert.equal(validateOutput('[1, 2]', format).valid, false);
+  assert.match(validateOutput('not json', format).errors[0].message, /not valid JSON/);
+});
+
+test('invalid response formats are rejected', () => {
+  assert.equal(compileResponseFormat({ type: 'text' }), null);
+  assert.equal(compileResponseFormat({ type: 'json_object' }).maxRetries, 2);
+  assert.throws(() => compileResponseFormat({ type: 'xml' }), { code: 'INVALID_RESPONSE_FORMAT' });
+  assert.throws(() => compileResponseFormat({ type: 'json_schema', json_schema: {} }), { code: 'INVALID_RESPONSE_FORMAT' });
+  assert.throws(() => compileResponseFormat({ type: 'json_object' }, 9), { message: /schema_retries/ });
+  assert.throws(() => compileResponseFormat({ type: 'json_schema', json_schema: { schema: { $ref: '#/$defs/missing' } } }), { message: /unresolved \$ref/ });
+});
+
+test('/api/lynxa re-prompts until the output matches the schema', async () => {
+  queueReplies(completion('{"name":"Ada"}'), completion('{"name":"Ada","age":36}'));
+
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'Who wrote the first program?', response_format: personSchema } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.choices[0].message.parsed, { name: 'Ada', age: 36 });
+  assert.deepEqual(upstreamRequests[0].body.response_format, { type: 'json_object' });
+  assert.match(upstreamRequests[0].body.messages[0].content, /JSON Schema "person"/);
+  assert.match(upstreamRequests[1].body.messages.at(-1).content, /age/);
+});
+
+test('/api/lynxa answers 422 once the retries are used up', async () => {
+  queueReplies(completion('{"name":"Ada"}'), completion('still wrong'));
+
+  const res = createResponse();
+  await lynxa(createRequest({
+    apiKey: key.api_key,
+    body: { model: TEST_MODEL, message: 'Describe Ada', response_format: personSchema, schema_retries: 1 }
+  }), res);
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.error.type, 'schema_validation_failed');
+  assert.equal(res.body.error.attempts, 2);
+  assert.equal(upstreamRequests.length, 2);
+});
+
+test('/api/lynxa refuses to stream json_schema output', async () => {
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'hi', stream: true, response_format: personSchema } }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_RESPONSE_FORMAT');
+});
@@ -0,0 +1,120 @@
+// tests/templates.test.js - Organization prompt templates managed through /api/organizations and used by /api/lynxa
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { validateTemplateFields, renderTemplate, extractPlaceholders } from '../utils/templates.js';
+
+const { default: organizations } = await import('../api/organizations.js');
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const greeting = {
+  name: 'greeting',
+  messages: [
+    { role: 'system', content: 'You work for {{ company }}.' },
+    { role: 'user', content: 'Greet {{name}} in {{language}}.' }
+  ],
+  variables: [
+    { name: 'company', default: 'Nexariq' },
+    { name: 'name' },
+    { name: 'language', type: 'string', default: 'English' }
+  ]
+};
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function call(handler, key, options) {
+  const res = createResponse();
+  await handler(createRequest({ apiKey: key.api_key, ...options }), res);
+  return res;
+}
+
+test('template fields are validated against their placeholders', () => {
+  assert.deepEqual(extractPlaceholders(greeting.messages), ['company', 'name', 'language']);
+  assert.deepEqual(validateTemplateFields(greeting), []);
+
+  const errors = validateTemplateFields({
+    name: 'bad name',
+    messages: [{ role: 'tool', content: 'Hi {{who}}' }],
+    variables: [{ name: 'count', type: 'integer', default: 1.5 }, { name: 'count' }]
+  });
+  assert.deepEqual(errors.map(error => error.field), ['name', 'messages[0].role', 'variables[0].default', 'variables[1].name', 'variables']);
+  assert.match(errors.at(-1).message, /\{\{who\}\} is not declared/);
+});
+
+test('rendering fills defaults and reports every bad variable', () => {
+  const template = { name: 'count', messages: [{ role: 'user', content: 'Count to {{n}} for {{who}}' }], variables: [{ name: 'n', type: 'integer' }, { name: 'who', type: 'string', default: 'me' }] };
+
+  assert.deepEqual(renderTemplate(template, { n: 3 }).messages, [{ role: 'user', content: 'Count to 3 for me' }]);
+
+  const { error } = renderTemplate(template, { n: '3', extra: true });
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(error.details.map(detail => detail.type), ['integer.base', 'object.unknown']);
+  assert.deepEqual(renderTemplate(template).error.details.map(detail => detail.field), ['variables.n']);
+});
+
+test('/api/lynxa renders a stored template before the caller\'s message', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+  const created = await call(organizations, admin, { query: { action: 'templates' }, body: greeting });
+  assert.equal(created.statusCode, 201);
+
+  queueReplies(completion('Bonjour Ada!'));
+  const res = await call(lynxa, admin, { body: { model: TEST_MODEL, template_id: 'greeting', variables: { name: 'Ada', language: 'French' }, message: 'Be brief.' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(upstreamRequests[0].body.messages.slice(-3), [
+    { role: 'system', content: 'You work for Nexariq.' },
+    { role: 'user', content: 'Greet Ada in French.' },
+    { role: 'user', content: 'Be brief.' }
+  ]);
+  assert.deepEqual(res.body.template, { id: created.body.template.id, name: 'greeting', version: 1 });
+});
+
+test('updates create versions; old versions can be pinned or rolled back to', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+  await call(organizations, admin, { query: { action: 'templates' }, body: greeting });
+
+  const updated = await call(organizations, admin, {
+    method: 'PUT',
+    query: { action: 'templates', template: 'greeting' },
+    body: { messages: [{ role: 'user', content: 'Say hi to {{name}}.' }], variables: [{ name: 'name' }] }
+  });
+  assert.equal(updated.body.template.current_version, 2);
+
+  queueReplies(completion('Hi!'), completion('Hello!'), completion('Hello again!'));
+  await call(lynxa, admin, { body: { model: TEST_MODEL, template_id: 'greeting', variables: { name: 'Ada' } } });
+  await call(lynxa, admin, { body: { model: TEST_MODEL, template_id: 'greeting', template_version: 1, variables: { name: 'Ada' } } });
+  assert.equal(upstreamRequests[0].body.messages.at(-1).content, 'Say hi to Ada.');
+  assert.equal(upstreamRequests[1].body.messages.at(-1).content, 'Greet Ada in English.');
+
+  const rolledBack = await call(organizations, admin, { query: { action: 'rollback-template', template: 'greeting' }, body: { version: 1 } });
+  assert.equal(rolledBack.statusCode, 200);
+  const res = await call(lynxa, admin, { body: { model: TEST_MODEL, template_id: 'greeting', variables: { name: 'Ada' } } });
+  assert.equal(res.body.template.version, 1);
+});
+
+test('templates are private to their organization and checked before calling upstream', async () => {
+  const admin = await createTestKey(nile, { plan: 'pro' });
+  const other = await createTestKey(nile, { plan: 'pro' });
+  await call(organizations, admin, { query: { action: 'templates' }, body: greeting });
+
+  const missing = await call(lynxa, other, { body: { model: TEST_MODEL, template_id: 'greeting', variables: { name: 'Ada' } } });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.code, 'TEMPLATE_NOT_FOUND');
+
+  const invalid = await call(lynxa, admin, { body: { model: TEST_MODEL, template_id: 'greeting' } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.details[0].field, 'variables.name');
+
+  const member = await createTestKey(nile, { role: 'user', organizationId: admin.organization_id });
+  const forbidden = await call(organizations, member, { query: { action: 'templates' }, body: { ...greeting, name: 'rogue' } });
+  assert.equal(forbidden.statusCode, 403);
+  assert.equal(upstreamRequests.length, 0);
+});
@@ -0,0 +1,79 @@
+// tests/threads-api.test.js - Conversation threads through /api/threads and /api/lynxa
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+
+const { default: threads } = await import('../api/threads.js');
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+let owner;
+let stranger;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  owner = await createTestKey(nile, { plan: 'pro' });
+  stranger = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function call(handler, key, options) {
+  const res = createResponse();
+  await handler(createRequest({ apiKey: key.api_key, ...options }), res);
+  return res;
+}
+
+async function createThread(title) {
+  const res = await call(threads, owner, { body: { title } });
+  assert.equal(res.statusCode, 201);
+  return res.body.thread.id;
+}
+
+test('thread turns are stored and sent back as history', async () => {
+  const threadId = await createThread('Trip planning');
+
+  queueReplies(completion('Paris is lovely.'), completion('About 2.1 million.'));
+  const first = await call(lynxa, owner, { body: { model: TEST_MODEL, message: 'Where should I go?', thread_id: threadId } });
+  const second = await call(lynxa, owner, { body: { model: TEST_MODEL, message: 'How many people live there?', thread_id: threadId } });
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+  assert.deepEqual(upstreamRequests[1].body.messages.slice(1), [
+    { role: 'user', content: 'Where should I go?' },
+    { role: 'assistant', content: 'Paris is lovely.' },
+    { role: 'user', content: 'How many people live there?' }
+  ]);
+
+  const res = await call(threads, owner, { method: 'GET', query: { thread_id: threadId } });
+  assert.equal(res.body.thread.message_count, 4);
+  assert.deepEqual(res.body.thread.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+});
+
+test('threads are private to their owner', async () => {
+  const threadId = await createThread('Private');
+
+  const read = await call(threads, stranger, { method: 'GET', query: { thread_id: threadId } });
+  const chat = await call(lynxa, stranger, { body: { model: TEST_MODEL, message: 'hi', thread_id: threadId } });
+
+  assert.equal(read.statusCode, 404);
+  assert.equal(chat.statusCode, 404);
+  assert.equal(chat.body.code, 'THREAD_NOT_FOUND');
+  assert.equal(upstreamRequests.length, 0);
+});
+
+test('threads can be renamed and deleted', async () => {
+  const threadId = await createThread('Draft');
+
+  const renamed = await call(threads, owner, { method: 'PUT', query: { thread_id: threadId }, body: { title: '  Final  ' } });
+  assert.equal(renamed.body.thread.title, 'Final');
+
+  const invalid = await call(threads, owner, { method: 'PUT', query: { thread_id: threadId }, body: { title: '' } });
+  assert.equal(invalid.body.code, 'INVALID_TITLE');
+
+  const deleted = await call(threads, owner, { method: 'DELETE', query: { thread_id: threadId } });
+  assert.equal(deleted.statusCode, 200);
+  assert.equal((await call(threads, owner, { method: 'GET', query: { thread_id: threadId } })).statusCode, 404);
+});
@@ -0,0 +1,56 @@
+// tests/threads.test.js - Thread storage round trip
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendThreadMessages, getThreadMessages } from '../utils/threads.js';
+
+// Keeps thread_messages rows in memory; JSONB columns come back parsed, as with pg
+function createFakeNile() {
+  const rows = [];
+  return {
+    db: {
+      async query(sql, params) {
+        if (sql.includes('INSERT INTO thread_messages')) {
+          const [threadId, role, content, contentParts, toolCalls, toolCallId] = params;
+          rows.push({
+            thread_id: threadId,
+            role,
+            content,
+            content_parts: contentParts === null ? null : JSON.parse(contentParts),
+            tool_calls: toolCalls === null ? null : JSON.parse(toolCalls),
+            tool_call_id: toolCallId
+          });
+        } else if (sql.includes('FROM thread_messages')) {
+          return { rows: rows.filter(row => row.thread_id === params[0]) };
+        }
+        return { rows: [] };
+      }
+    }
+  };
+}
+
+test('an image turn reads back as content parts', async () => {
+  const nile = createFakeNile();
+  const imageTurn = {
+    role: 'user',
+    content: [
+      { type: 'text', text: 'What is in this screenshot?' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+    ]
+  };
+
+  await appendThreadMessages(nile, 'thread-1', [imageTurn, { role: 'assistant', content: 'A login form.' }]);
+  const history = await getThreadMessages(nile, 'thread-1');
+
+  assert.deepEqual(history, [imageTurn, { role: 'assistant', content: 'A login form.' }]);
+});
+
+test('assistant turns without text keep null content and their tool calls', async () => {
+  const nile = createFakeNile();
+  const toolCalls = [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }];
+
+  await appendThreadMessages(nile, 'thread-1', [{ role: 'assistant', content: null, tool_calls: toolCalls }]);
+  const [message] = await getThreadMessages(nile, 'thread-1');
+
+  assert.equal(message.content, null);
+  assert.deepEqual(message.tool_calls, toolCalls);
+});
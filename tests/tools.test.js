@@ -0,0 +1,108 @@
+// tests/tools.test.js - Tool / function calling
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { normalizeTools, normalizeToolChoice, normalizeToolMessages, createToolCallAccumulator } from '../utils/tools.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const weatherTool = {
+  type: 'function',
+  function: { name: 'get_weather', description: 'Current weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+};
+
+let nile;
+let key;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+  key = await createTestKey(nile, { plan: 'pro' });
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('bare function definitions are normalized and invalid ones rejected', () => {
+  assert.deepEqual(normalizeTools([{ name: 'ping' }]), [
+    { type: 'function', function: { name: 'ping', parameters: { type: 'object', properties: {} } } }
+  ]);
+  assert.throws(() => normalizeTools([{ name: 'bad name' }]), { status: 400, code: 'INVALID_TOOLS' });
+  assert.throws(() => normalizeTools([{ name: 'ping' }, { name: 'ping' }]), { message: 'Duplicate tool name: ping' });
+  assert.throws(() => normalizeTools({ name: 'ping' }), { message: '"tools" must be an array' });
+});
+
+test('tool_choice must name a provided tool', () => {
+  const tools = normalizeTools([weatherTool]);
+
+  assert.deepEqual(normalizeToolChoice('get_weather', tools), { type: 'function', function: { name: 'get_weather' } });
+  assert.equal(normalizeToolChoice('auto', tools), 'auto');
+  assert.throws(() => normalizeToolChoice('required', undefined), { code: 'INVALID_TOOLS' });
+  assert.throws(() => normalizeToolChoice({ type: 'function', function: { name: 'other' } }, tools), { code: 'INVALID_TOOLS' });
+});
+
+test('tool messages get string arguments and content', () => {
+  assert.deepEqual(normalizeToolMessages([
+    { role: 'assistant', tool_calls: [{ id: 'call_1', function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: { temperature: 18 } }
+  ]), [
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":18}' }
+  ]);
+  assert.throws(() => normalizeToolMessages([{ role: 'tool', content: 'x' }]), { message: /requires "tool_call_id"/ });
+});
+
+test('streamed tool call fragments are joined by index', () => {
+  const accumulator = createToolCallAccumulator();
+  accumulator.add([{ index: 0, id: 'call_1', function: { name: 'get_', arguments: '{"ci' } }]);
+  accumulator.add([{ index: 0, function: { name: 'weather', arguments: 'ty":"Paris"}' } }, { index: 1, id: 'call_2', function: { name: 'ping' } }]);
+
+  assert.deepEqual(accumulator.calls, [
+    { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+    { id: 'call_2', type: 'function', function: { name: 'ping', arguments: '' } }
+  ]);
+});
+
+test('/api/lynxa forwards tools and returns the model\'s tool calls', async () => {
+  const toolCalls = [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }];
+  queueReplies(completion(null, { toolCalls, finishReason: 'tool_calls' }), completion('It is 18°C in Paris.'));
+
+  const first = createResponse();
+  await lynxa(createRequest({
+    apiKey: key.api_key,
+    body: { model: TEST_MODEL, message: 'Weather in Paris?', tools: [weatherTool], tool_choice: 'auto' }
+  }), first);
+
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(upstreamRequests[0].body.tools, [weatherTool]);
+  assert.equal(upstreamRequests[0].body.tool_choice, 'auto');
+  assert.deepEqual(first.body.choices[0].message.tool_calls, toolCalls);
+  assert.equal(first.body.choices[0].finish_reason, 'tool_calls');
+
+  const second = createResponse();
+  await lynxa(createRequest({
+    apiKey: key.api_key,
+    body: {
+      model: TEST_MODEL,
+      tools: [weatherTool],
+      messages: [
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', content: null, tool_calls: toolCalls },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":18}' }
+      ]
+    }
+  }), second);
+
+  assert.equal(second.statusCode, 200);
+  assert.deepEqual(upstreamRequests[1].body.messages.at(-1), { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":18}' });
+  assert.equal(second.body.choices[0].message.content, 'It is 18°C in Paris.');
+});
+
+test('/api/lynxa rejects invalid tool definitions before calling upstream', async () => {
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'hi', tools: [{ name: 'bad name' }] } }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_TOOLS');
+  assert.equal(upstreamRequests.length, 0);
+});
@@ -0,0 +1,125 @@
+// tests/transcripts.test.js - Opt-in transcripts and replay diffs through /api/transcripts
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { resolveTranscriptPolicy, diffText, diffCompletions } from '../utils/transcripts.js';
+
+const { default: transcripts } = await import('../api/transcripts.js');
+const { default: lynxa } = await import('../api/lynxa.js');
+
+const storing = { transcripts: { enabled: true, retention_days: 7 } };
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+async function call(handler, key, options) {
+  const res = createResponse();
+  await handler(createRequest({ apiKey: key.api_key, ...options }), res);
+  await res.finished;
+  return res;
+}
+
+async function chat(key, content, body = {}) {
+  queueReplies(completion(content));
+  const res = await call(lynxa, key, { body: { model: TEST_MODEL, message: 'Describe the sky', ...body } });
+  assert.equal(res.statusCode, 200);
+  return res.body;
+}
+
+test('keys follow the organization unless they opt in or out', () => {
+  assert.equal(resolveTranscriptPolicy({ organization_settings: {} }), null);
+  assert.deepEqual(resolveTranscriptPolicy({ organization_settings: storing }), { retentionDays: 7 });
+  assert.equal(resolveTranscriptPolicy({ organization_settings: storing, store_transcripts: false }), null);
+  assert.deepEqual(resolveTranscriptPolicy({ organization_settings: { transcripts: { retention_days: 999 } }, store_transcripts: true }), { retentionDays: 365 });
+});
+
+test('texts are diffed word by word', () => {
+  const segments = diffText('The sky is blue today.', 'The sky is grey today.');
+
+  assert.deepEqual(segments, [
+    { op: 'equal', text: 'The sky is ' },
+    { op: 'delete', text: 'blue' },
+    { op: 'insert', text: 'grey' },
+    { op: 'equal', text: ' today.' }
+  ]);
+
+  const diff = diffCompletions(
+    { model: 'a', choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }] },
+    { model: 'b', choices: [{ message: { content: 'Hi' }, finish_reason: 'length' }] }
+  );
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.model, { original: 'a', replay: 'b' });
+  assert.deepEqual(diff.choices[0].finish_reason, { original: 'stop', replay: 'length' });
+});
+
+test('completions are stored for opted-in organizations and can be read back', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: storing });
+  const response = await chat(key, 'The sky is blue.');
+
+  const res = await call(transcripts, key, { method: 'GET', query: { id: response.id } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.transcript.model, TEST_MODEL);
+  assert.equal(res.body.transcript.request.message, 'Describe the sky');
+  assert.equal(res.body.transcript.messages.at(-1).content, 'Describe the sky');
+  assert.equal(res.body.transcript.response.choices[0].message.content, 'The sky is blue.');
+
+  const list = await call(transcripts, key, { method: 'GET' });
+  assert.deepEqual(list.body.settings, { store_transcripts: null, organization_enabled: true, enabled: true, retention_days: 7 });
+  assert.equal(list.body.transcripts[0].request_id, response.id);
+});
+
+test('a replay re-runs the stored conversation and diffs the answers', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: storing });
+  const response = await chat(key, 'The sky is blue today.', { temperature: 0 });
+
+  queueReplies(completion('The sky is grey today.'));
+  const res = await call(transcripts, key, { query: { action: 'replay', id: response.id } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(upstreamRequests.at(-1).body.messages.at(-1).content, 'Describe the sky');
+  assert.equal(res.body.replay.choices[0].message.content, 'The sky is grey today.');
+  assert.equal(res.body.diff.identical, false);
+  assert.deepEqual(res.body.diff.choices[0].content.filter(segment => segment.op !== 'equal'), [
+    { op: 'delete', text: 'blue' },
+    { op: 'insert', text: 'grey' }
+  ]);
+});
+
+test('other organizations cannot read a transcript and opted-out keys store nothing', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: storing });
+  const outsider = await createTestKey(nile, { plan: 'pro', settings: storing });
+  const response = await chat(key, 'Blue.');
+
+  const hidden = await call(transcripts, outsider, { method: 'GET', query: { id: response.id } });
+  assert.equal(hidden.statusCode, 404);
+
+  const optOut = await call(transcripts, key, { method: 'PUT', query: { action: 'settings' }, body: { store_transcripts: false } });
+  assert.equal(optOut.body.settings.enabled, false);
+
+  const unstored = await chat(key, 'Still blue.');
+  const stored = await nile.db.query('SELECT 1 FROM transcripts WHERE request_id = $1', [unstored.id]);
+  assert.equal(stored.rows.length, 0);
+});
+
+test('the purge cron needs the secret and drops expired transcripts', async () => {
+  const key = await createTestKey(nile, { plan: 'pro', settings: storing });
+  const response = await chat(key, 'Blue.');
+  await nile.db.query(`UPDATE transcripts SET expires_at = NOW() - INTERVAL '1 day' WHERE request_id = $1`, [response.id]);
+  process.env.CRON_SECRET = 'cron-test';
+
+  const denied = createResponse();
+  await transcripts(createRequest({ query: { action: 'purge' }, headers: { authorization: 'Bearer wrong' } }), denied);
+  assert.equal(denied.statusCode, 401);
+
+  const purged = createResponse();
+  await transcripts(createRequest({ query: { action: 'purge' }, headers: { authorization: 'Bearer cron-test' } }), purged);
+  assert.equal(purged.body.deleted, 1);
+});
@@ -0,0 +1,79 @@
+// tests/validation.test.js - Request validation and max_tokens limits for /api/lynxa
+import { TEST_MODEL, completion, queueReplies, resetUpstream, upstreamRequests } from './helpers/upstream.js';
+import { useDatabase, createRequest, createResponse } from './helpers/handler.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createTestKey } from './helpers/db.js';
+import { lynxaRequestSchema, validateRequest, clampMaxTokens, DEFAULT_MAX_TOKENS } from '../utils/validation.js';
+
+const { default: lynxa } = await import('../api/lynxa.js');
+
+let nile;
+before(async () => {
+  nile = await createTestDatabase();
+  useDatabase(nile);
+});
+after(() => nile.close());
+beforeEach(resetUpstream);
+
+test('defaults are applied to a valid body', () => {
+  const { value, error } = validateRequest(lynxaRequestSchema, { message: 'Hi', user: 'end-user-1' });
+
+  assert.equal(error, undefined);
+  assert.equal(value.max_tokens, DEFAULT_MAX_TOKENS);
+  assert.equal(value.stream, false);
+  assert.equal(value.user, 'end-user-1');
+});
+
+test('every invalid field is reported with its path', () => {
+  const { error } = validateRequest(lynxaRequestSchema, {
+    messages: [{ role: 'robot', content: 'Hi' }, { role: 'user', content: [{ type: 'audio' }] }],
+    max_tokens: '100',
+    stream: 'yes'
+  });
+
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(error.details.map(detail => detail.field), ['messages[0].role', 'messages[1].content[0]', 'max_tokens', 'stream']);
+  assert.match(error.details[1].message, /content part type must be text or image_url/);
+});
+
+test('a prompt is required and tool fields must match the role', () => {
+  assert.match(validateRequest(lynxaRequestSchema, {}).error.details[0].message, /One of message string, messages array or template_id is required/);
+  assert.deepEqual(validateRequest(lynxaRequestSchema, { message: 'Hi', variables: {} }).error.details.map(detail => detail.type), ['object.with']);
+
+  const { error } = validateRequest(lynxaRequestSchema, {
+    messages: [{ role: 'user', content: 'Hi', tool_call_id: 'call_1' }, { role: 'tool', content: 'x' }]
+  });
+  assert.deepEqual(error.details.map(detail => detail.field), ['messages[0].tool_call_id', 'messages[1].tool_call_id']);
+});
+
+test('max_tokens is capped by the plan and the model', () => {
+  assert.equal(clampMaxTokens(8000, { planLimits: { max_tokens_per_request: 4096 } }), 4096);
+  assert.equal(clampMaxTokens(8000, { planLimits: { max_tokens_per_request: -1 }, modelMaxOutput: 2048 }), 2048);
+  assert.equal(clampMaxTokens(100, { planLimits: { max_tokens_per_request: 4096 }, modelMaxOutput: 2048 }), 100);
+  assert.equal(clampMaxTokens(100), 100);
+});
+
+test('/api/lynxa answers 400 with the details before calling upstream', async () => {
+  const key = await createTestKey(nile, { plan: 'pro' });
+
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, messages: [], max_tokens: 0 } }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(res.body.details.map(detail => detail.field), ['messages', 'max_tokens']);
+  assert.equal(upstreamRequests.length, 0);
+});
+
+test('/api/lynxa sends the clamped max_tokens upstream and says so', async () => {
+  const key = await createTestKey(nile, { plan: 'free' });
+  queueReplies(completion('Hi.'));
+
+  const res = createResponse();
+  await lynxa(createRequest({ apiKey: key.api_key, body: { model: TEST_MODEL, message: 'Hi', max_tokens: 6000 } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(upstreamRequests[0].body.max_tokens, 4096);
+  assert.equal(res.headers['x-lynxa-max-tokens'], '4096');
+});
@@ -0,0 +1,295 @@
+// utils/anthropic.js - Translation between the Anthropic Messages API and /api/lynxa
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'refusal'
+};
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  422: 'invalid_request_error',
+  429: 'rate_limit_error',
+  502: 'api_error',
+  503: 'overloaded_error'
+};
+
+function invalidRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Anthropic text can be a plain string or a list of text blocks
+function blocksToText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+// One Anthropic message can expand to several OpenAI messages: tool results
+// become role "tool" messages, tool_use blocks become assistant tool_calls
+function translateMessage(message, index) {
+  if (!['user', 'assistant'].includes(message?.role)) {
+    throw invalidRequest(`messages.${index}.role must be "user" or "assistant"`);
+  }
+
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+  if (!Array.isArray(message.content)) {
+    throw invalidRequest(`messages.${index}.content must be a string or an array of content blocks`);
+  }
+
+  const toolResults = [];
+  const parts = [];
+  const toolCalls = [];
+
+  for (const block of message.content) {
+    switch (block?.type) {
+      case 'text':
+        parts.push({ type: 'text', text: block.text });
+        break;
+      case 'image':
+        parts.push({
+          type: 'image_url',
+          image_url: {
+            url: block.source?.type === 'base64'
+              ? `data:${block.source.media_type};base64,${block.source.data}`
+              : block.source?.url
+          }
+        });
+        break;
+      case 'tool_use':
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+        });
+        break;
+      case 'tool_result':
+        toolResults.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: `${block.is_error ? 'Error: ' : ''}${blocksToText(block.content)}`
+        });
+        break;
+      default:
+        throw invalidRequest(`messages.${index}: unsupported content block type "${block?.type}"`);
+    }
+  }
+
+  const onlyText = parts.every(part => part.type === 'text');
+  const content = parts.length === 0
+    ? null
+    : onlyText ? parts.map(part => part.text).join('\n') : parts;
+
+  return [
+    ...toolResults,
+    ...(content !== null || toolCalls.length > 0
+      ? [{ role: message.role, content, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) }]
+      : [])
+  ];
+}
+
+function translateToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+
+  switch (toolChoice.type) {
+    case 'auto': return 'auto';
+    case 'any': return 'required';
+    case 'none': return 'none';
+    case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+    default: throw invalidRequest('tool_choice.type must be one of "auto", "any", "tool" or "none"');
+  }
+}
+
+/**
+ * Convert an Anthropic `/v1/messages` request body into an /api/lynxa body.
+ * Throws a 400 error for requests that are not valid Messages API input.
+ */
+export function toLynxaRequest(body = {}) {
+  const { model, system, messages, max_tokens, stream, tools, tool_choice, temperature, top_p, stop_sequences } = body;
+
+  if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+    throw invalidRequest('max_tokens: Field required and must be a positive integer');
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw invalidRequest('messages: Field required and must be a non-empty array');
+  }
+
+  const systemText = system === undefined ? null : blocksToText(system);
+
+  return {
+    ...(model && { model }),
+    max_tokens,
+    stream: Boolean(stream),
+    messages: [
+      ...(systemText ? [{ role: 'system', content: systemText }] : []),
+      ...messages.flatMap(translateMessage)
+    ],
+    ...(tools && {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }))
+    }),
+    ...(tool_choice && { tool_choice: translateToolChoice(tool_choice) }),
+    ...(tool_choice?.disable_parallel_tool_use && { parallel_tool_calls: false }),
+    ...(temperature !== undefined && { temperature }),
+    ...(top_p !== undefined && { top_p }),
+    ...(stop_sequences && { stop: stop_sequences })
+  };
+}
+
+function parseArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// Convert an /api/lynxa chat.completion into an Anthropic message
+export function toAnthropicMessage(completion) {
+  const choice = completion.choices[0];
+
+  return {
+    id: completion.id,
+    type: 'message',
+    role: 'assistant',
+    model: completion.model,
+    content: [
+      ...(choice.message.content ? [{ type: 'text', text: choice.message.content }] : []),
+      ...(choice.message.tool_calls || []).map(call => ({
+        type: 'tool_use',
+        id: call.id,
+        name: call.function.name,
+        input: parseArguments(call.function.arguments)
+      }))
+    ],
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: completion.usage?.prompt_tokens ?? 0,
+      output_tokens: completion.usage?.completion_tokens ?? 0
+    }
+  };
+}
+
+// Anthropic error envelope for any /api/lynxa error body
+export function toAnthropicError(status, body) {
+  const fieldErrors = body?.details?.length > 0 && body.details[0].field !== undefined ? body.details : null;
+  const message = fieldErrors
+    ? fieldErrors.map(detail => detail.message).join('; ')
+    : typeof body?.error === 'string' ? body.error : body?.error?.message || body?.message || 'Request failed';
+
+  return {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error'),
+      message
+    }
+  };
+}
+
+function sseEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+/**
+ * Stateful translator from /api/lynxa SSE chunks (OpenAI format) to Anthropic
+ * stream events. `translate(chunk)` takes one parsed `data:` payload and
+ * returns the event text to forward (possibly empty).
+ */
+export function createStreamTranslator() {
+  let started = false;
+  let blockIndex = -1;
+  let openBlock = null; // 'text' | tool call index
+  let stopped = false;
+
+  const start = (chunk) => {
+    if (started) return '';
+    started = true;
+    return sseEvent('message_start', {
+      message: {
+        id: chunk.id,
+        type: 'message',
+        role: 'assistant',
+        model: chunk.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    });
+  };
+
+  const closeBlock = () => {
+    if (openBlock === null) return '';
+    openBlock = null;
+    return sseEvent('content_block_stop', { index: blockIndex });
+  };
+
+  return {
+    translate(chunk) {
+      if (stopped) return '';
+
+      if (chunk.error) {
+        stopped = true;
+        return sseEvent('error', { error: { type: 'api_error', message: chunk.error.message || chunk.error } });
+      }
+
+      let out = start(chunk);
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta || {};
+
+      if (delta.content) {
+        if (openBlock !== 'text') {
+          out += closeBlock();
+          blockIndex++;
+          openBlock = 'text';
+          out += sseEvent('content_block_start', { index: blockIndex, content_block: { type: 'text', text: '' } });
+        }
+        out += sseEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: delta.content } });
+      }
+
+      for (const call of delta.tool_calls || []) {
+        if (call.id && openBlock !== `tool:${call.index}`) {
+          out += closeBlock();
+          blockIndex++;
+          openBlock = `tool:${call.index}`;
+          out += sseEvent('content_block_start', {
+            index: blockIndex,
+            content_block: { type: 'tool_use', id: call.id, name: call.function?.name, input: {} }
+          });
+        }
+        if (call.function?.arguments) {
+          out += sseEvent('content_block_delta', {
+            index: blockIndex,
+            delta: { type: 'input_json_delta', partial_json: call.function.arguments }
+          });
+        }
+      }
+
+      if (choice?.finish_reason) {
+        stopped = true;
+        out += closeBlock();
+        out += sseEvent('message_delta', {
+          delta: { stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn', stop_sequence: null },
+          usage: {
+            input_tokens: chunk.usage?.prompt_tokens ?? 0,
+            output_tokens: chunk.usage?.completion_tokens ?? 0
+          }
+        });
+        out += sseEvent('message_stop', {});
+      }
+
+      return out;
+    }
+  };
+}
@@ -0,0 +1,29 @@
+// utils/audit.js - Audit log entries masked with the organization's redaction policy
+import { buildRedactionPolicy, redactValue } from './redaction.js';
+
+/**
+ * Write an `audit_logs` entry. `metadata` is masked with the redaction policy
+ * in the organization's `settings.redaction` (`enabled: false` stores it
+ * as-is); pass `settings` when the organization row is already loaded or no
+ * longer exists.
+ */
+export async function recordAuditLog(nile, { userId, organizationId = null, action, resourceType, resourceId, metadata = {}, settings }) {
+  let organizationSettings = settings;
+  if (organizationSettings === undefined && organizationId) {
+    const result = await nile.db.query('SELECT settings FROM organizations WHERE id = $1', [organizationId]);
+    organizationSettings = result.rows[0]?.settings;
+  }
+
+  await nile.db.query(
+    `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [
+      userId,
+      organizationId,
+      action,
+      resourceType,
+      resourceId,
+      JSON.stringify(redactValue(metadata, buildRedactionPolicy(organizationSettings)))
+    ]
+  );
+}
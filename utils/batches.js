@@ -0,0 +1,498 @@
+// utils/batches.js - Batch completion parsing and background processing
+import { dispatchChatCompletion, resolveModel, getContextWindow } from './providers.js';
+import { resolvePersona, DEFAULT_SYSTEM_PROMPT } from './personas.js';
+import { resolveTemplate, renderTemplate } from './templates.js';
+import { getModelEntry, checkModelAccess } from './models.js';
+import { normalizeTools, normalizeToolChoice, normalizeToolMessages } from './tools.js';
+import { compileResponseFormat, buildFormatInstruction, validateOutput, buildCorrectionMessages } from './structured-output.js';
+import { buildModerationPolicy, moderateMessages, moderateText, logModerationEvent } from './moderation.js';
+import { resolveContextOptions, fitContext } from './context.js';
+import { estimateUsage } from './tokens.js';
+import { recordUsage } from './usage.js';
+import { releaseQuota } from './quotas.js';
+import { resolveSampling } from './sampling.js';
+import { buildRedactionPolicy, redactMessages } from './redaction.js';
+import { lynxaRequestSchema, validateRequest, clampMaxTokens, DEFAULT_MAX_TOKENS } from './validation.js';
+import { validateImages, hasImages } from './images.js';
+import { randomBytes } from 'crypto';
+
+export const BATCH_MAX_ITEMS = parseInt(process.env.LYNXA_BATCH_MAX_ITEMS || '5000');
+export const BATCH_DISCOUNT = parseFloat(process.env.LYNXA_BATCH_DISCOUNT || '0.5');
+const BATCH_CONCURRENCY = parseInt(process.env.LYNXA_BATCH_CONCURRENCY || '4');
+const MAX_ATTEMPTS = 3;
+
+// Items claimed by a worker that died (e.g. a function timeout) are retried after this
+const STALE_CLAIM_MINUTES = 10;
+
+// Upstream failures are retried after this delay, doubled on every further attempt
+const RETRY_DELAY_SECONDS = parseInt(process.env.LYNXA_BATCH_RETRY_DELAY_SECONDS || '30');
+
+function itemError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Split a JSONL upload into entries; problems are reported by line number
+export function parseJsonl(text) {
+  const entries = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      errors.push({ line: i + 1, message: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Validate batch entries. Each entry is either an OpenAI batch line
+ * (`{ custom_id, body }`) or a bare /api/lynxa request body.
+ * Returns `{ items: [{ custom_id, request }], errors: [{ index, message }] }`.
+ */
+export function parseBatchRequests(entries) {
+  const items = [];
+  const errors = [];
+  const customIds = new Set();
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push({ index, message: 'Each request must be a JSON object' });
+      return;
+    }
+
+    const request = entry.body && typeof entry.body === 'object' ? entry.body : entry;
+    const customId = entry.custom_id ?? `request-${index + 1}`;
+
+    if (typeof customId !== 'string' || customId.length === 0 || customId.length > 255) {
+      errors.push({ index, message: '"custom_id" must be a string of 1-255 characters' });
+      return;
+    }
+    if (customIds.has(customId)) {
+      errors.push({ index, message: `Duplicate custom_id "${customId}"` });
+      return;
+    }
+    customIds.add(customId);
+
+    const { error } = validateRequest(lynxaRequestSchema, request);
+    if (error) {
+      errors.push({ index, message: error.details[0].message, details: error.details });
+      return;
+    }
+    const imageCheck = validateImages(request.messages);
+    if (imageCheck.error) {
+      errors.push({ index, message: imageCheck.error.details[0].message, details: imageCheck.error.details });
+      return;
+    }
+    if (request.stream) {
+      errors.push({ index, message: 'Streaming is not supported in batches' });
+      return;
+    }
+    if (request.n > 1) {
+      errors.push({ index, message: 'n > 1 is not supported in batches' });
+      return;
+    }
+    if (request.model && !resolveModel(request.model)) {
+      errors.push({ index, message: `Unknown model: ${request.model}` });
+      return;
+    }
+
+    const { custom_id, ...body } = request;
+    items.push({ custom_id: customId, request: body });
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Run one batch request through the same pipeline as /api/lynxa (template,
+ * persona, moderation, context fitting, tools, JSON output) and return
+ * `{ body, provider, usage, usageSource, template }` with an OpenAI
+ * chat.completion body.
+ * Throws errors with `status` and `code` when the item cannot be completed.
+ */
+export async function runBatchItem(nile, job, item) {
+  const request = item.request;
+  const userData = { id: job.api_key_id, user_id: job.user_id, organization_id: job.organization_id };
+  const requestId = `batch_req_${randomBytes(12).toString('hex')}`;
+
+  let template = null;
+  let templateMessages = [];
+  if (request.template_id) {
+    const found = await resolveTemplate(nile, job.organization_id, request.template_id, request.template_version);
+    if (!found) {
+      throw itemError(`Template not found: ${request.template_id}`, 'TEMPLATE_NOT_FOUND', 404);
+    }
+
+    const rendered = renderTemplate(found, request.variables);
+    if (rendered.error) {
+      throw itemError(rendered.error.details[0].message, 'VALIDATION_ERROR');
+    }
+
+    templateMessages = rendered.messages;
+    template = { id: found.id, name: found.name, version: found.version };
+  }
+
+  let messages = normalizeToolMessages([
+    ...templateMessages,
+    ...(typeof request.message === 'string' ? [{ role: 'user', content: request.message }] : request.messages || [])
+  ]);
+  const tools = normalizeTools(request.tools);
+  const toolChoice = normalizeToolChoice(request.tool_choice, tools);
+  const responseFormat = compileResponseFormat(request.response_format, request.schema_retries);
+
+  const persona = await resolvePersona(nile, job.organization_id, request.persona);
+  if (request.persona && !persona) {
+    throw itemError(`Persona not found: ${request.persona}`, 'PERSONA_NOT_FOUND', 404);
+  }
+
+  const model = request.model || persona?.model || 'lynxa-pro';
+  const modelEntry = await getModelEntry(nile, model);
+  if (!modelEntry) {
+    throw itemError(`Unknown model: ${model}`, 'UNKNOWN_MODEL');
+  }
+
+  const accessError = checkModelAccess(modelEntry, job.organization_plan, {
+    tools: Boolean(tools),
+    jsonMode: Boolean(responseFormat),
+    vision: hasImages(messages)
+  });
+  if (accessError) {
+    throw itemError(accessError.body.error, accessError.body.code, accessError.status);
+  }
+
+  const moderationPolicy = buildModerationPolicy(job.organization_settings);
+  if (moderationPolicy?.checkInput) {
+    const { findings, messages: moderated } = moderateMessages(messages, moderationPolicy);
+    if (findings.length > 0) {
+      await logModerationEvent(nile, userData, { stage: 'input', action: moderationPolicy.action, findings, requestId, model });
+      if (moderationPolicy.action === 'block') {
+        throw itemError('The request was blocked by your organization\'s content policy', 'CONTENT_POLICY_VIOLATION');
+      }
+      messages = moderated;
+    }
+  }
+
+  const redactionPolicy = buildRedactionPolicy(job.organization_settings);
+  if (redactionPolicy?.prompts) {
+    messages = redactMessages(messages, redactionPolicy).messages;
+  }
+
+  const systemPrompt = persona?.system_prompt ?? DEFAULT_SYSTEM_PROMPT;
+  const sampling = resolveSampling(request, {
+    settings: job.organization_settings,
+    planLimits: job.plan_limits,
+    personaTemperature: persona?.temperature
+  });
+  if (sampling.error) {
+    throw itemError(sampling.error.details[0].message, 'VALIDATION_ERROR');
+  }
+
+  const maxTokens = clampMaxTokens(request.max_tokens ?? DEFAULT_MAX_TOKENS, {
+    planLimits: job.plan_limits,
+    modelMaxOutput: modelEntry.max_output_tokens
+  });
+  const { messages: upstreamMessages } = await fitContext([
+    {
+      role: 'system',
+      content: responseFormat ? `${systemPrompt}\n\n${buildFormatInstruction(responseFormat)}` : systemPrompt
+    },
+    ...messages
+  ], {
+    ...resolveContextOptions(request.context_strategy, request.context_keep_last),
+    contextWindow: getContextWindow(model),
+    reservedTokens: maxTokens
+  });
+
+  const payload = {
+    max_tokens: maxTokens,
+    ...sampling.params,
+    stream: false,
+    ...(tools && { tools }),
+    ...(toolChoice && { tool_choice: toolChoice }),
+    ...(request.parallel_tool_calls !== undefined && { parallel_tool_calls: request.parallel_tool_calls }),
+    ...(responseFormat && { response_format: { type: 'json_object' } })
+  };
+
+  // Tokens of every attempt (format retries included) are metered together
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let usageEstimated = false;
+  let provider;
+
+  const complete = async (sentMessages) => {
+    const dispatched = await dispatchChatCompletion(model, { ...payload, messages: sentMessages });
+    provider = dispatched.provider;
+
+    if (!dispatched.response.ok) {
+      const details = await dispatched.response.json().catch(() => null);
+      const error = itemError(details?.error?.message || `Upstream returned ${dispatched.response.status}`, 'UPSTREAM_ERROR', dispatched.response.status);
+      if (usage.total_tokens > 0) {
+        error.usage = usage;
+        error.provider = provider;
+      }
+      throw error;
+    }
+
+    const completion = await dispatched.response.json();
+    const { message } = completion.choices[0];
+    const attemptUsage = completion.usage
+      ? {
+          prompt_tokens: completion.usage.prompt_tokens ?? 0,
+          completion_tokens: completion.usage.completion_tokens ?? 0
+        }
+      : estimateUsage(sentMessages, (message.content || '') + (message.tool_calls ? JSON.stringify(message.tool_calls) : ''));
+    if (!completion.usage) usageEstimated = true;
+
+    usage.prompt_tokens += attemptUsage.prompt_tokens;
+    usage.completion_tokens += attemptUsage.completion_tokens;
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    return completion;
+  };
+
+  let data = await complete(upstreamMessages);
+  let choice = data.choices[0];
+
+  let content = choice.message.content ?? null;
+  let parsed;
+  let finishReason = choice.finish_reason || 'stop';
+
+  // Re-prompt with the validation errors up to `schema_retries` times, as /api/lynxa does
+  if (responseFormat && !choice.message.tool_calls?.length) {
+    let check = validateOutput(content, responseFormat);
+    for (let attempt = 1; !check.valid && attempt <= responseFormat.maxRetries; attempt++) {
+      data = await complete([...upstreamMessages, ...buildCorrectionMessages(choice.message.content, check.errors)]);
+      choice = data.choices[0];
+      content = choice.message.content ?? null;
+      finishReason = choice.finish_reason || 'stop';
+      check = validateOutput(content, responseFormat);
+    }
+
+    if (!check.valid) {
+      const error = itemError(
+        `Model output did not match the requested JSON format after ${responseFormat.maxRetries + 1} attempt(s)`,
+        'schema_validation_failed',
+        422
+      );
+      error.usage = usage;
+      error.provider = provider;
+      throw error;
+    }
+    parsed = check.value;
+    content = JSON.stringify(parsed);
+  }
+
+  if (moderationPolicy?.checkOutput && content) {
+    const { findings, text } = moderateText(content, moderationPolicy);
+    if (findings.length > 0) {
+      await logModerationEvent(nile, userData, { stage: 'output', action: moderationPolicy.action, findings, requestId, model });
+      if (moderationPolicy.action === 'block') {
+        content = null;
+        parsed = undefined;
+        finishReason = 'content_filter';
+      } else if (text !== content) {
+        content = text;
+        parsed = undefined;
+      }
+    }
+  }
+
+  const toolCalls = choice.message.tool_calls?.length
+    ? normalizeToolMessages([{ role: 'assistant', tool_calls: choice.message.tool_calls }])[0].tool_calls
+    : null;
+
+  return {
+    provider,
+    usage,
+    template,
+    usageSource: usageEstimated ? 'estimate' : 'upstream',
+    body: {
+      id: requestId,
+      object: 'chat.completion',
+      model,
+      provider,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls && { tool_calls: toolCalls }),
+          ...(parsed !== undefined && { parsed })
+        },
+        finish_reason: finishReason
+      }],
+      usage,
+      ...(persona && { persona: { name: persona.name, version: persona.version } }),
+      ...(template && { template })
+    }
+  };
+}
+
+// Claim the next runnable item (optionally of one job) for this worker
+async function claimNextItem(nile, batchId) {
+  const result = await nile.db.query(
+    `UPDATE batch_items SET status = 'processing', claimed_at = NOW(), attempts = attempts + 1
+     WHERE id = (
+       SELECT bi.id FROM batch_items bi
+       JOIN batch_jobs bj ON bj.id = bi.batch_id
+       WHERE bj.status IN ('queued', 'in_progress')
+         AND ($1::uuid IS NULL OR bi.batch_id = $1)
+         AND ((bi.status = 'pending' AND (bi.next_attempt_at IS NULL OR bi.next_attempt_at <= NOW()))
+              OR (bi.status = 'processing' AND bi.claimed_at < NOW() - INTERVAL '${STALE_CLAIM_MINUTES} minutes'))
+       ORDER BY bi.created_at ASC, bi.item_index ASC
+       LIMIT 1
+       FOR UPDATE OF bi SKIP LOCKED
+     )
+     RETURNING *`,
+    [batchId || null]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function loadJob(nile, batchId) {
+  const result = await nile.db.query(
+    `SELECT bj.*, u.email, ak.api_key, ak.name, ak.monthly_request_quota, ak.monthly_token_quota,
+            o.settings as organization_settings, o.plan as organization_plan,
+            p.limits as plan_limits
+     FROM batch_jobs bj
+     JOIN users u ON bj.user_id = u.id
+     JOIN api_keys ak ON bj.api_key_id = ak.id
+     LEFT JOIN organizations o ON bj.organization_id = o.id
+     LEFT JOIN plans p ON LOWER(p.name) = LOWER(COALESCE(o.plan, 'free'))
+     WHERE bj.id = $1`,
+    [batchId]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function finishItem(nile, job, item, { status, response = null, error = null }) {
+  await nile.db.query(
+    `UPDATE batch_items SET status = $1, response = $2, error = $3, completed_at = NOW()
+     WHERE id = $4`,
+    [status, response && JSON.stringify(response), error && JSON.stringify(error), item.id]
+  );
+
+  await nile.db.query(
+    `UPDATE batch_jobs
+     SET ${status === 'succeeded' ? 'completed_items = completed_items + 1' : 'failed_items = failed_items + 1'}
+     WHERE id = $1`,
+    [item.batch_id]
+  );
+
+  await nile.db.query(
+    `UPDATE batch_jobs SET status = 'completed', completed_at = NOW()
+     WHERE id = $1 AND status = 'in_progress' AND completed_items + failed_items >= total_items`,
+    [item.batch_id]
+  );
+
+  // The item is metered (or failed) now, so its request no longer needs the creation hold
+  await releaseQuota(nile, { holds: job.quota_holds }, { requests: 1 });
+}
+
+/**
+ * Work through pending batch items with BATCH_CONCURRENCY workers until none
+ * are left or `deadline` (epoch ms) passes. Pass `batchId` to only process one
+ * job. Each finished item is metered at the job's discounted price and gives
+ * back its request of the hold taken when the batch was created.
+ * Returns `{ processed, succeeded, failed }`.
+ */
+export async function processBatches(nile, { deadline, batchId } = {}) {
+  const priceResult = await nile.db.query(
+    `SELECT cost_per_request FROM api_endpoints WHERE path = '/api/lynxa' AND method = 'POST'`
+  );
+  const basePrice = parseFloat(priceResult.rows[0]?.cost_per_request || 0);
+  const jobs = new Map();
+  const stats = { processed: 0, succeeded: 0, failed: 0 };
+
+  const worker = async () => {
+    while (!deadline || Date.now() < deadline) {
+      const item = await claimNextItem(nile, batchId);
+      if (!item) return;
+
+      if (!jobs.has(item.batch_id)) {
+        jobs.set(item.batch_id, await loadJob(nile, item.batch_id));
+        await nile.db.query(
+          `UPDATE batch_jobs SET status = 'in_progress', started_at = COALESCE(started_at, NOW())
+           WHERE id = $1 AND status = 'queued'`,
+          [item.batch_id]
+        );
+      }
+      const job = jobs.get(item.batch_id);
+      const startTime = Date.now();
+      stats.processed++;
+
+      const meter = ({ usage, provider, model, statusCode, usageSource, template }) => recordUsage(
+        // The job row carries what usage and quota tracking need from the key and organization
+        { ...job, id: job.api_key_id },
+        job.api_key,
+        {
+          endpoint: '/api/batches',
+          statusCode,
+          promptTokens: usage.prompt_tokens,
+          completionTokens: usage.completion_tokens,
+          cost: basePrice * (1 - parseFloat(job.discount || 0)),
+          responseTime: Date.now() - startTime,
+          requestId: item.id,
+          metadata: {
+            batch_id: job.id,
+            custom_id: item.custom_id,
+            model,
+            provider,
+            discount: parseFloat(job.discount || 0),
+            ...(template && { template }),
+            usage_source: usageSource
+          }
+        },
+        nile
+      );
+
+      try {
+        const result = await runBatchItem(nile, job, item);
+        await meter({ ...result, model: result.body.model, statusCode: 200 });
+        await finishItem(nile, job, item, { status: 'succeeded', response: result.body });
+        stats.succeeded++;
+      } catch (error) {
+        // Upstream outages are retried; request problems fail the item right away
+        const retryable = !error.status || error.status >= 500 || error.status === 429;
+        if (retryable && item.attempts < MAX_ATTEMPTS) {
+          await nile.db.query(
+            `UPDATE batch_items SET status = 'pending', claimed_at = NULL,
+                    next_attempt_at = NOW() + make_interval(secs => $2::int)
+             WHERE id = $1`,
+            [item.id, RETRY_DELAY_SECONDS * 2 ** (item.attempts - 1)]
+          );
+          continue;
+        }
+
+        if (error.usage) {
+          await meter({ ...error, model: item.request.model || null, statusCode: error.status, usageSource: 'upstream' });
+        }
+        await finishItem(nile, job, item, {
+          status: 'failed',
+          error: { code: error.code || 'INTERNAL_ERROR', message: error.message, status: error.status || 500 }
+        });
+        stats.failed++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, worker));
+  return stats;
+}
+
+// One line of the downloadable JSONL output, in the OpenAI batch output format
+export function toOutputLine(item) {
+  return JSON.stringify({
+    id: item.id,
+    custom_id: item.custom_id,
+    response: item.response ? { status_code: 200, body: item.response } : null,
+    error: item.error || (item.status === 'cancelled' ? { code: 'BATCH_CANCELLED', message: 'The batch was cancelled' } : null)
+  });
+}
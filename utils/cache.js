@@ -0,0 +1,105 @@
+// utils/cache.js - Key/value cache backed by Redis, with an in-memory fallback
+import { createClient } from 'redis';
+import { createHash } from 'crypto';
+
+const MEMORY_CACHE_MAX_ENTRIES = parseInt(process.env.LYNXA_MEMORY_CACHE_MAX_ENTRIES || '1000');
+
+// In-memory store: Map keeps insertion order, so the first key is the oldest
+const memoryStore = new Map();
+let redisClientPromise = null;
+
+async function getRedisClient() {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!redisClientPromise) {
+    redisClientPromise = (async () => {
+      try {
+        const client = createClient({
+          url: process.env.REDIS_URL,
+          socket: { connectTimeout: 2000, reconnectStrategy: false }
+        });
+        client.on('error', (error) => console.warn('Redis cache error:', error.message));
+        await client.connect();
+        return client;
+      } catch (error) {
+        console.warn('Redis unavailable, using in-memory cache:', error.message);
+        return null;
+      }
+    })();
+  }
+
+  const client = await redisClientPromise;
+  if (client && !client.isReady) {
+    // Reconnect on the next call instead of pinning a dead client
+    redisClientPromise = null;
+    return null;
+  }
+  return client;
+}
+
+function memoryGet(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function memorySet(key, value, ttlSeconds) {
+  memoryStore.delete(key);
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  while (memoryStore.size > MEMORY_CACHE_MAX_ENTRIES) {
+    memoryStore.delete(memoryStore.keys().next().value);
+  }
+}
+
+export async function cacheGet(key) {
+  try {
+    const client = await getRedisClient();
+    if (client) {
+      const raw = await client.get(key);
+      return raw ? JSON.parse(raw) : null;
+    }
+  } catch (error) {
+    console.warn('Cache read failed:', error.message);
+  }
+
+  return memoryGet(key);
+}
+
+export async function cacheSet(key, value, ttlSeconds) {
+  try {
+    const client = await getRedisClient();
+    if (client) {
+      await client.set(key, JSON.stringify(value), { EX: ttlSeconds });
+      return;
+    }
+  } catch (error) {
+    console.warn('Cache write failed:', error.message);
+  }
+
+  memorySet(key, value, ttlSeconds);
+}
+
+// JSON with object keys sorted, so equal values always serialize identically
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Stable SHA-256 key for any JSON-serializable value
+export function hashKey(prefix, value) {
+  return `${prefix}:${createHash('sha256').update(stableStringify(value)).digest('hex')}`;
+}
@@ -0,0 +1,166 @@
+// utils/context.js - Fit conversations into a model's context window
+import { dispatchChatCompletion } from './providers.js';
+import { estimateMessageTokens } from './tokens.js';
+
+export const CONTEXT_STRATEGIES = ['drop_oldest', 'keep_last', 'summarize', 'none'];
+
+const DEFAULT_STRATEGY = process.env.LYNXA_CONTEXT_STRATEGY || 'drop_oldest';
+const DEFAULT_KEEP_LAST = parseInt(process.env.LYNXA_CONTEXT_KEEP_LAST || '20');
+const SUMMARY_MODEL = process.env.LYNXA_SUMMARY_MODEL || 'lynxa-lite';
+const SUMMARY_MAX_TOKENS = 512;
+
+const SUMMARY_PROMPT = 'Summarize the following conversation so it can replace the original messages as context for continuing it. Keep names, facts, decisions, open questions and any instructions the user gave. Be concise and write in the third person.';
+
+function contextError(message, code = 'INVALID_CONTEXT_STRATEGY') {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate the `context_strategy` / `context_keep_last` request fields,
+ * falling back to the LYNXA_CONTEXT_* defaults.
+ */
+export function resolveContextOptions(strategy = DEFAULT_STRATEGY, keepLast = DEFAULT_KEEP_LAST) {
+  if (!CONTEXT_STRATEGIES.includes(strategy)) {
+    throw contextError(`"context_strategy" must be one of ${CONTEXT_STRATEGIES.map(s => `"${s}"`).join(', ')}`);
+  }
+  if (!Number.isInteger(keepLast) || keepLast < 1) {
+    throw contextError('"context_keep_last" must be a positive integer');
+  }
+
+  return { strategy, keepLast };
+}
+
+// Split messages into units that are kept or dropped together: system
+// messages are pinned, and an assistant tool call travels with its results
+function toUnits(messages) {
+  const units = [];
+
+  for (const message of messages) {
+    const previous = units[units.length - 1];
+    if (message.role === 'tool' && previous?.messages[0].tool_calls) {
+      previous.messages.push(message);
+    } else {
+      units.push({ pinned: message.role === 'system', messages: [message] });
+    }
+  }
+
+  return units;
+}
+
+const flatten = units => units.flatMap(unit => unit.messages);
+
+// Drop the oldest unpinned units until the prompt fits `budget`, always
+// keeping the most recent one
+function dropOldest(units, budget, dropped) {
+  while (estimateMessageTokens(flatten(units)) > budget) {
+    const index = units.findIndex(unit => !unit.pinned);
+    const remaining = units.filter(unit => !unit.pinned).length;
+    if (index === -1 || remaining <= 1) break;
+
+    dropped.push(...units.splice(index, 1)[0].messages);
+  }
+}
+
+// Condense older turns with a cheaper model; returns `{ text, usage }`
+export async function summarizeMessages(messages) {
+  const transcript = messages
+    .map(m => `${m.role}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? m.tool_calls)}`)
+    .join('\n');
+
+  const { response } = await dispatchChatCompletion(SUMMARY_MODEL, {
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: transcript }
+    ],
+    max_tokens: SUMMARY_MAX_TOKENS,
+    temperature: 0,
+    stream: false
+  });
+
+  if (!response.ok) {
+    throw new Error(`Summary model returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  const text = data.choices?.[0]?.message?.content;
+  if (!text) throw new Error('Summary model returned no content');
+
+  return { text, usage: data.usage || null };
+}
+
+/**
+ * Trim `messages` so the prompt plus `reservedTokens` (completion budget,
+ * tool definitions) fits `contextWindow`. Returns `{ messages, report }`;
+ * `report` is null when nothing had to change, otherwise it describes what
+ * was trimmed. Throws a 400 CONTEXT_LENGTH_EXCEEDED error when even the
+ * minimal prompt does not fit.
+ */
+export async function fitContext(messages, { contextWindow, reservedTokens = 0, strategy, keepLast }) {
+  const budget = contextWindow - reservedTokens;
+  const originalTokens = estimateMessageTokens(messages);
+  const units = toUnits(messages);
+  const dropped = [];
+  let summary = null;
+
+  if (strategy === 'keep_last' && originalTokens > budget) {
+    // Keep system messages plus the last N turns, then trim further if needed
+    const unpinned = units.filter(unit => !unit.pinned);
+    for (const unit of unpinned.slice(0, Math.max(0, unpinned.length - keepLast))) {
+      dropped.push(...units.splice(units.indexOf(unit), 1)[0].messages);
+    }
+    dropOldest(units, budget, dropped);
+  } else if (strategy === 'drop_oldest') {
+    dropOldest(units, budget, dropped);
+  } else if (strategy === 'summarize' && originalTokens > budget) {
+    // Leave room for the summary that replaces the dropped turns
+    const insertAt = units.findIndex(unit => !unit.pinned);
+    dropOldest(units, budget - SUMMARY_MAX_TOKENS, dropped);
+
+    if (dropped.length > 0) {
+      try {
+        summary = await summarizeMessages(dropped);
+        const summaryMessage = { role: 'system', content: `Summary of the earlier conversation:\n${summary.text}` };
+
+        if (estimateMessageTokens([...flatten(units), summaryMessage]) > budget) {
+          throw new Error('summary does not fit the remaining context');
+        }
+        units.splice(insertAt, 0, { pinned: true, messages: [summaryMessage] });
+      } catch (error) {
+        console.warn('Context summary failed, dropping oldest turns instead:', error.message);
+        summary = { failed: true, usage: summary?.usage };
+      }
+    }
+  }
+
+  const result = flatten(units);
+  const promptTokens = estimateMessageTokens(result);
+
+  if (strategy !== 'none' && promptTokens > budget) {
+    throw contextError(
+      `The prompt needs ~${promptTokens} tokens but only ${budget} are available in the ${contextWindow}-token context window after reserving ${reservedTokens} for the completion. Shorten the latest message or lower max_tokens.`,
+      'CONTEXT_LENGTH_EXCEEDED'
+    );
+  }
+
+  if (dropped.length === 0) {
+    return { messages, report: null };
+  }
+
+  return {
+    messages: result,
+    report: {
+      strategy,
+      context_window: contextWindow,
+      original_prompt_tokens: originalTokens,
+      prompt_tokens: promptTokens,
+      dropped_messages: dropped.length,
+      ...(summary && { summary_model: SUMMARY_MODEL }),
+      ...(summary && !summary.failed && { summarized_messages: dropped.length }),
+      ...(summary?.failed && { summary_failed: true })
+    },
+    summaryUsage: summary?.usage || null
+  };
+}
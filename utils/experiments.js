@@ -0,0 +1,185 @@
+// utils/experiments.js - A/B experiments on /api/lynxa driven by feature flags
+//
+// An enabled `feature_flags` row whose `conditions` hold an `experiment`
+// splits the flag's audience between variants:
+//   {
+//     "experiment": {
+//       "unit": "user",
+//       "variants": [
+//         { "name": "control", "weight": 50 },
+//         { "name": "lite", "weight": 50, "model": "lynxa-lite", "temperature": 0.3 }
+//       ]
+//     }
+//   }
+// The audience is `target_users`, `target_organizations` and
+// `rollout_percentage` of everyone else. Assignment hashes the flag name with
+// the unit's id (`user`, `organization` or `api_key`), so the same caller
+// always lands in the same variant. A variant only fills fields the request
+// leaves unset, and is skipped for callers whose plan or organization lacks
+// the model or persona it names.
+import { createHash } from 'crypto';
+import { cacheGet, cacheSet } from './cache.js';
+import { getModelEntry, planIncludes } from './models.js';
+import { resolvePersona } from './personas.js';
+
+const EXPERIMENT_CACHE_KEY = 'lynxa:experiments';
+const EXPERIMENT_CACHE_SECONDS = parseInt(process.env.LYNXA_EXPERIMENT_CACHE_SECONDS || '60');
+
+const EXPERIMENT_UNITS = ['user', 'organization', 'api_key'];
+const VARIANT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Request fields a variant may set; `n` and logprobs would change the response shape
+export const VARIANT_FIELDS = ['model', 'persona', 'temperature', 'top_p', 'presence_penalty', 'frequency_penalty', 'seed', 'stop'];
+
+/**
+ * Check an experiment definition. Returns a list of problems; experiments
+ * with problems are skipped.
+ */
+export function validateExperiment(experiment) {
+  const errors = [];
+
+  if (experiment?.unit !== undefined && !EXPERIMENT_UNITS.includes(experiment.unit)) {
+    errors.push(`unit must be one of: ${EXPERIMENT_UNITS.join(', ')}`);
+  }
+
+  const variants = experiment?.variants;
+  if (!Array.isArray(variants) || variants.length < 2) {
+    errors.push('variants must be an array of at least 2 variants');
+    return errors;
+  }
+
+  const names = new Set();
+  variants.forEach((variant, index) => {
+    if (!variant || typeof variant.name !== 'string' || !VARIANT_NAME_PATTERN.test(variant.name)) {
+      errors.push(`variants[${index}].name must be 1-64 letters, digits, "_" or "-"`);
+      return;
+    }
+    if (names.has(variant.name)) errors.push(`variant ${variant.name} is declared more than once`);
+    names.add(variant.name);
+
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || variant.weight < 0)) {
+      errors.push(`variants[${index}].weight must be a non-negative number`);
+    }
+
+    for (const key of Object.keys(variant)) {
+      if (key !== 'name' && key !== 'weight' && !VARIANT_FIELDS.includes(key)) {
+        errors.push(`variants[${index}].${key} is not a field variants can set (${VARIANT_FIELDS.join(', ')})`);
+      }
+    }
+  });
+
+  if (variants.every(variant => (variant?.weight ?? 1) === 0)) {
+    errors.push('at least one variant needs a weight above 0');
+  }
+
+  return errors;
+}
+
+/**
+ * Enabled experiments, cached briefly so each request does not query
+ * `feature_flags`. Invalid definitions are logged and left out.
+ */
+export async function loadExperiments(nile) {
+  const cached = await cacheGet(EXPERIMENT_CACHE_KEY);
+  if (cached) return cached;
+
+  const result = await nile.db.query(
+    `SELECT name, rollout_percentage, target_organizations, target_users, conditions->'experiment' AS experiment
+     FROM feature_flags
+     WHERE is_enabled = TRUE AND conditions ? 'experiment'
+     ORDER BY name`
+  );
+
+  const experiments = result.rows.filter((flag) => {
+    const errors = validateExperiment(flag.experiment);
+    if (errors.length > 0) console.warn(`Skipping experiment ${flag.name}:`, errors.join('; '));
+    return errors.length === 0;
+  });
+
+  await cacheSet(EXPERIMENT_CACHE_KEY, experiments, EXPERIMENT_CACHE_SECONDS);
+  return experiments;
+}
+
+// Stable position in [0, 1) for `seed`
+function bucket(seed) {
+  return parseInt(createHash('sha256').update(seed).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+function unitId(unit, userData) {
+  if (unit === 'api_key') return userData.id;
+  if (unit === 'organization') return userData.organization_id || userData.user_id;
+  return userData.user_id;
+}
+
+function inAudience(flag, userData, id) {
+  if (flag.target_users?.includes(userData.user_id)) return true;
+  if (userData.organization_id && flag.target_organizations?.includes(userData.organization_id)) return true;
+  return bucket(`${flag.name}:rollout:${id}`) * 100 < (flag.rollout_percentage || 0);
+}
+
+/**
+ * The variant of each experiment this caller takes part in, as
+ * `[{ name, variant, overrides }]` in experiment name order.
+ */
+export function assignExperiments(experiments, userData) {
+  const assignments = [];
+
+  for (const flag of experiments) {
+    const id = unitId(flag.experiment.unit || 'user', userData);
+    if (!id || !inAudience(flag, userData, id)) continue;
+
+    const variants = flag.experiment.variants;
+    const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+    let point = bucket(`${flag.name}:variant:${id}`) * totalWeight;
+    const chosen = variants.find((variant) => {
+      point -= variant.weight ?? 1;
+      return point < 0;
+    }) || variants[variants.length - 1];
+
+    const { name, weight, ...overrides } = chosen;
+    assignments.push({ name: flag.name, variant: name, overrides });
+  }
+
+  return assignments;
+}
+
+// Variants are global, but personas belong to one organization and models are gated by plan
+async function isVariantAvailable(nile, fields, userData) {
+  if (fields.model) {
+    const entry = await getModelEntry(nile, fields.model);
+    if (!entry || !planIncludes(userData.organization_plan, entry.min_plan)) return false;
+  }
+  if (fields.persona && !await resolvePersona(nile, userData.organization_id, fields.persona)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Fill the fields the request leaves unset from each assigned variant
+ * (earlier experiments first). Returns `{ body, assignments }`, where
+ * `assignments` drops variants the caller cannot use.
+ */
+export async function applyVariants(nile, body, assignments, userData) {
+  let merged = body;
+  const applied = [];
+
+  for (const assignment of assignments) {
+    const fields = Object.fromEntries(
+      Object.entries(assignment.overrides).filter(([key]) => merged[key] === undefined)
+    );
+    if (!await isVariantAvailable(nile, fields, userData)) continue;
+
+    merged = { ...merged, ...fields };
+    applied.push(assignment);
+  }
+
+  return { body: merged, assignments: applied };
+}
+
+// `{ experiment: variant }` for usage metadata, or null
+export function describeAssignments(assignments) {
+  return assignments.length > 0
+    ? Object.fromEntries(assignments.map(assignment => [assignment.name, assignment.variant]))
+    : null;
+}
@@ -0,0 +1,226 @@
+// utils/idempotency.js - Idempotency-Key handling for POST endpoints
+//
+// The first request with a given key (per API key) is executed and its
+// response stored; retries with the same body get the stored response back
+// with `Idempotent-Replayed: true`. A retry with a different body is rejected
+// with 422, and a retry that arrives while the first is still running gets 409.
+// Server errors (5xx) and 429s are not stored, so the client can retry them.
+import { hashKey } from './cache.js';
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.LYNXA_IDEMPOTENCY_TTL_HOURS || '24');
+
+// A request that has not finished after this long (e.g. the function was
+// killed) no longer blocks retries with the same key
+const IN_FLIGHT_LOCK_SECONDS = parseInt(process.env.LYNXA_IDEMPOTENCY_LOCK_SECONDS || '300');
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers worth replaying; CORS and framework headers are set per request
+const REPLAYED_HEADERS = /^(content-type|retry-after|x-lynxa-.*|x-quota-.*)$/i;
+
+/**
+ * Claim `key` for this request. Returns `{ state: 'new', id }` when the caller
+ * should run the request, or `{ state: 'replay' | 'mismatch' | 'in_progress', record }`.
+ */
+async function beginRequest(nile, { apiKeyId, key, endpoint, requestHash }) {
+  // Expired keys are swept per API key as new ones come in
+  await nile.db.query(
+    'DELETE FROM idempotency_keys WHERE api_key_id = $1 AND expires_at < NOW()',
+    [apiKeyId]
+  );
+
+  // Take the key when it is unused, expired, or abandoned by a request with the same body
+  const claimed = await nile.db.query(
+    `INSERT INTO idempotency_keys (api_key_id, idempotency_key, endpoint, request_hash, status, locked_until, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, 'in_progress', NOW() + make_interval(secs => $5), NOW() + make_interval(hours => $6), NOW())
+     ON CONFLICT (api_key_id, idempotency_key) DO UPDATE
+       SET endpoint = EXCLUDED.endpoint,
+           request_hash = EXCLUDED.request_hash,
+           status = 'in_progress',
+           response_status = NULL,
+           response_headers = NULL,
+           response_body = NULL,
+           locked_until = EXCLUDED.locked_until,
+           expires_at = EXCLUDED.expires_at,
+           created_at = NOW(),
+           completed_at = NULL
+       WHERE idempotency_keys.expires_at < NOW()
+          OR (idempotency_keys.status = 'in_progress'
+              AND idempotency_keys.locked_until < NOW()
+              AND idempotency_keys.request_hash = EXCLUDED.request_hash)
+     RETURNING id`,
+    [apiKeyId, key, endpoint, requestHash, IN_FLIGHT_LOCK_SECONDS, IDEMPOTENCY_TTL_HOURS]
+  );
+
+  if (claimed.rows.length > 0) {
+    return { state: 'new', id: claimed.rows[0].id };
+  }
+
+  const existing = await nile.db.query(
+    `SELECT id, endpoint, request_hash, status, response_status, response_headers, response_body, locked_until
+     FROM idempotency_keys
+     WHERE api_key_id = $1 AND idempotency_key = $2`,
+    [apiKeyId, key]
+  );
+
+  const record = existing.rows[0];
+  if (!record) {
+    // Released between the two queries; treat it as a concurrent duplicate
+    return { state: 'in_progress', record: { locked_until: null } };
+  }
+  if (record.request_hash !== requestHash) return { state: 'mismatch', record };
+  if (record.status === 'completed') return { state: 'replay', record };
+  return { state: 'in_progress', record };
+}
+
+// Wrap `res` to record what the handler sends, for storage. Recording happens
+// at the handler's level, so a response adapter further down (e.g. the OpenAI
+// translation) is applied again on replay rather than twice. `onFinish` runs
+// once when the response ends, unless the client disconnected first (a
+// partial stream is not stored).
+function captureResponse(res, onFinish) {
+  const chunks = [];
+  let jsonBody;
+  let finished = false;
+  let disconnected = false;
+
+  res.on?.('close', () => {
+    if (!finished) disconnected = true;
+  });
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    if (disconnected) return;
+
+    const headers = Object.fromEntries(
+      Object.entries(res.getHeaders?.() || {}).filter(([name]) => REPLAYED_HEADERS.test(name))
+    );
+    onFinish({
+      status: res.statusCode,
+      headers,
+      body: jsonBody !== undefined ? { json: jsonBody } : { text: chunks.join('') }
+    });
+  };
+
+  const overrides = {
+    status(code) {
+      res.status(code);
+      return proxy;
+    },
+    json(value) {
+      jsonBody = value;
+      const result = res.json(value);
+      finish();
+      return result;
+    },
+    write(chunk, ...rest) {
+      if (chunk !== undefined) chunks.push(String(chunk));
+      return res.write(chunk, ...rest);
+    },
+    end(chunk, ...rest) {
+      if (chunk !== undefined && typeof chunk !== 'function') chunks.push(String(chunk));
+      const result = res.end(chunk, ...rest);
+      finish();
+      return result;
+    }
+  };
+
+  const proxy = new Proxy(res, {
+    get(target, prop) {
+      if (prop in overrides) return overrides[prop];
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  return { res: proxy, isFinished: () => finished && !disconnected };
+}
+
+function replayResponse(res, record) {
+  for (const [name, value] of Object.entries(record.response_headers || {})) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.status(record.response_status);
+
+  const body = record.response_body;
+  if (body && 'json' in body) {
+    return res.json(body.json);
+  }
+  return res.end(body?.text ?? '');
+}
+
+/**
+ * Run `run(res)` under the request's `Idempotency-Key` header, if it has one;
+ * `run` must respond through the `res` it is given so the response can be
+ * stored. `endpoint` names the operation, so a key reused on another endpoint
+ * counts as a different request. Requests without the header run as usual.
+ */
+export async function withIdempotency(nile, req, res, { apiKeyId, endpoint }, run) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return run(res);
+
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const requestHash = hashKey('idempotency', { endpoint, body: req.body ?? null });
+  let claim;
+  try {
+    claim = await beginRequest(nile, { apiKeyId, key, endpoint, requestHash });
+  } catch (error) {
+    // Running without the check could duplicate exactly what the client is guarding against
+    console.error('Idempotency check failed:', error.message);
+    return res.status(500).json({
+      error: 'Database error while checking Idempotency-Key',
+      code: 'IDEMPOTENCY_ERROR'
+    });
+  }
+
+  if (claim.state === 'replay') {
+    return replayResponse(res, claim.record);
+  }
+
+  if (claim.state === 'mismatch') {
+    return res.status(422).json({
+      error: 'Idempotency-Key was already used with a different request body',
+      code: 'IDEMPOTENCY_KEY_REUSED'
+    });
+  }
+
+  if (claim.state === 'in_progress') {
+    const lockedUntil = claim.record.locked_until ? new Date(claim.record.locked_until).getTime() : Date.now();
+    res.setHeader('Retry-After', String(Math.max(1, Math.min(30, Math.ceil((lockedUntil - Date.now()) / 1000)))));
+    return res.status(409).json({
+      error: 'A request with this Idempotency-Key is still being processed',
+      code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+    });
+  }
+
+  let captured = null;
+  const capture = captureResponse(res, (response) => { captured = response; });
+
+  try {
+    return await run(capture.res);
+  } finally {
+    try {
+      // Unfinished (client went away), server-side failures and rate limits free the key for a retry
+      if (!capture.isFinished() || !captured || captured.status >= 500 || captured.status === 429) {
+        await nile.db.query('DELETE FROM idempotency_keys WHERE id = $1', [claim.id]);
+      } else {
+        await nile.db.query(
+          `UPDATE idempotency_keys
+           SET status = 'completed', response_status = $1, response_headers = $2, response_body = $3, completed_at = NOW()
+           WHERE id = $4`,
+          [captured.status, JSON.stringify(captured.headers), JSON.stringify(captured.body), claim.id]
+        );
+      }
+    } catch (error) {
+      console.warn('Idempotency record update failed:', error.message);
+    }
+  }
+}
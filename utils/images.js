@@ -0,0 +1,309 @@
+// utils/images.js - Image input for vision models: data URL checks, uploads and token estimates
+//
+// Images reach /api/lynxa as OpenAI-style `image_url` content parts holding a
+// base64 data URL, or as multipart uploads that become such parts. Remote
+// URLs are not fetched, so every image can be checked here: the declared type
+// must be PNG, JPEG, WebP or GIF and match the file's signature, and the
+// decoded size must stay under LYNXA_MAX_IMAGE_BYTES.
+
+// Base64 adds a third to the size, and the whole request must fit Vercel's 4.5 MB body limit
+export const MAX_IMAGE_BYTES = parseInt(process.env.LYNXA_MAX_IMAGE_BYTES || String(3 * 1024 * 1024));
+export const MAX_IMAGES = parseInt(process.env.LYNXA_MAX_IMAGES || '5');
+
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Enough of the file to read the signature and, for nearly all images, the dimensions
+const HEADER_BASE64_CHARS = 256 * 1024;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Multipart text fields arrive as strings; these are converted to the types the
+// request schema expects (values that do not convert are left for it to reject)
+const NUMBER_FIELDS = [
+  'max_tokens', 'template_version', 'schema_retries', 'context_keep_last',
+  'temperature', 'top_p', 'presence_penalty', 'frequency_penalty', 'n', 'seed', 'top_logprobs'
+];
+const BOOLEAN_FIELDS = ['stream', 'cache', 'parallel_tool_calls', 'logprobs'];
+
+// Vision token accounting (OpenAI tile model): low detail is a flat 85 tokens;
+// otherwise the image is fitted into 2048x2048, its short side scaled to 768,
+// and every 512px tile costs 170 tokens on top of the base 85
+const IMAGE_BASE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+const IMAGE_TILE_SIZE = 512;
+// Unknown dimensions are billed as a 1024x1024 image (4 tiles)
+const DEFAULT_IMAGE_TOKENS = IMAGE_BASE_TOKENS + 4 * IMAGE_TILE_TOKENS;
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// `data:<type>;base64,<data>` -> { mimeType, data }, or null
+function parseDataUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith('data:')) return null;
+
+  const comma = url.indexOf(',');
+  if (comma === -1) return null;
+
+  const [mimeType, ...params] = url.slice(5, comma).split(';');
+  if (!params.includes('base64')) return null;
+
+  return { mimeType: mimeType.toLowerCase(), data: url.slice(comma + 1) };
+}
+
+function decodedSize(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+function decodeHeader(data) {
+  const length = Math.min(data.length, HEADER_BASE64_CHARS - (HEADER_BASE64_CHARS % 4));
+  return Buffer.from(data.slice(0, length), 'base64');
+}
+
+// Image type from the file signature
+export function sniffImageType(bytes) {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+  if (bytes.length >= 6 && bytes.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (bytes.length >= 12 && bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// Walk JPEG segments up to the start-of-frame marker
+function jpegDimensions(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: bytes.readUInt16BE(offset + 5), width: bytes.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + bytes.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(bytes) {
+  if (bytes.length < 30) return null;
+
+  const chunk = bytes.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = bytes.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Pixel size from the file header, or null when it cannot be read
+function imageDimensions(bytes, type) {
+  switch (type) {
+    case 'image/png':
+      return bytes.length >= 24 ? { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) } : null;
+    case 'image/gif':
+      return bytes.length >= 10 ? { width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) } : null;
+    case 'image/jpeg':
+      return jpegDimensions(bytes);
+    case 'image/webp':
+      return webpDimensions(bytes);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check one image URL. Returns `{ type, bytes, width, height }`, or
+ * `{ error: { message, type } }` describing the first problem found.
+ */
+export function inspectImage(url) {
+  const parsed = parseDataUrl(url);
+  if (!parsed) {
+    return {
+      error: {
+        message: 'image_url.url must be a base64 data URL (data:image/png;base64,...) or a multipart upload; remote URLs are not supported',
+        type: 'image.url'
+      }
+    };
+  }
+
+  if (!IMAGE_TYPES.includes(parsed.mimeType)) {
+    return { error: { message: `image type ${parsed.mimeType || '(none)'} is not supported; use ${IMAGE_TYPES.join(', ')}`, type: 'image.type' } };
+  }
+
+  const bytes = decodedSize(parsed.data);
+  if (bytes > MAX_IMAGE_BYTES) {
+    return { error: { message: `image is ${formatBytes(bytes)}; the limit is ${formatBytes(MAX_IMAGE_BYTES)}`, type: 'image.size' } };
+  }
+
+  if (parsed.data.length === 0 || parsed.data.length % 4 !== 0 || !BASE64_PATTERN.test(parsed.data)) {
+    return { error: { message: 'image data is not valid base64', type: 'image.base64' } };
+  }
+
+  const header = decodeHeader(parsed.data);
+  const actualType = sniffImageType(header);
+  if (actualType !== parsed.mimeType) {
+    return {
+      error: {
+        message: actualType
+          ? `image is declared as ${parsed.mimeType} but contains ${actualType}`
+          : `image data is not a valid ${parsed.mimeType} file`,
+        type: 'image.type'
+      }
+    };
+  }
+
+  return { type: actualType, bytes, ...imageDimensions(header, actualType) };
+}
+
+/**
+ * Check every image in the request's `messages`. Returns `{ count }`, or
+ * `{ error }` holding the 400 body with one entry per invalid image.
+ */
+export function validateImages(messages = []) {
+  const details = [];
+  let count = 0;
+
+  messages.forEach((message, messageIndex) => {
+    if (!Array.isArray(message?.content)) return;
+
+    message.content.forEach((part, partIndex) => {
+      if (part?.type !== 'image_url') return;
+      count++;
+
+      const result = inspectImage(part.image_url?.url);
+      if (result.error) {
+        details.push({ field: `messages[${messageIndex}].content[${partIndex}].image_url.url`, ...result.error });
+      }
+    });
+  });
+
+  if (count > MAX_IMAGES) {
+    details.unshift({ field: 'messages', message: `${count} images were sent; the limit is ${MAX_IMAGES} per request`, type: 'image.count' });
+  }
+
+  if (details.length > 0) {
+    return { error: { error: 'Invalid image input', code: 'INVALID_IMAGE', details } };
+  }
+  return { count };
+}
+
+function imagePartsOf(messages = []) {
+  return messages.flatMap(message => (
+    Array.isArray(message?.content) ? message.content.filter(part => part?.type === 'image_url') : []
+  ));
+}
+
+export function hasImages(messages) {
+  return imagePartsOf(messages).length > 0;
+}
+
+// Prompt tokens one `image_url` part costs a vision model
+export function estimateImageTokens(imageUrl) {
+  if (imageUrl?.detail === 'low') return IMAGE_BASE_TOKENS;
+
+  const parsed = parseDataUrl(imageUrl?.url);
+  if (!parsed) return DEFAULT_IMAGE_TOKENS;
+
+  const header = decodeHeader(parsed.data);
+  const dimensions = imageDimensions(header, sniffImageType(header));
+  if (!dimensions?.width || !dimensions?.height) return DEFAULT_IMAGE_TOKENS;
+
+  let { width, height } = dimensions;
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  width *= fit;
+  height *= fit;
+  const shrink = Math.min(1, 768 / Math.min(width, height));
+  width *= shrink;
+  height *= shrink;
+
+  return IMAGE_BASE_TOKENS + IMAGE_TILE_TOKENS * Math.ceil(width / IMAGE_TILE_SIZE) * Math.ceil(height / IMAGE_TILE_SIZE);
+}
+
+// `{ count, tokens }` for the images in a conversation, or null without images
+export function describeImages(messages) {
+  const parts = imagePartsOf(messages);
+  if (parts.length === 0) return null;
+
+  return {
+    count: parts.length,
+    tokens: parts.reduce((sum, part) => sum + estimateImageTokens(part.image_url), 0)
+  };
+}
+
+function convertTextFields(fields) {
+  const body = { ...fields };
+
+  for (const name of NUMBER_FIELDS) {
+    const value = body[name];
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      body[name] = Number(value);
+    }
+  }
+  for (const name of BOOLEAN_FIELDS) {
+    if (body[name] === 'true' || body[name] === 'false') body[name] = body[name] === 'true';
+  }
+
+  return body;
+}
+
+/**
+ * Turn a multipart /api/lynxa request into a JSON body. The `request` field
+ * holds the body as JSON; without it the text fields (`message`, `model`,
+ * `max_tokens`, `stream`, ...) are used, with numbers and booleans converted
+ * from their string form. Uploaded files become `image_url` parts of
+ * the last user message (a plain `message` turns into a one-message
+ * `messages` array). Returns `{ body }` or `{ error }`.
+ */
+export function buildUploadRequest(fields = {}, files = []) {
+  let body;
+  if (fields.request !== undefined) {
+    try {
+      body = JSON.parse(fields.request);
+    } catch {
+      body = null;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { error: { error: 'The "request" field must hold a JSON request body', code: 'INVALID_MULTIPART' } };
+    }
+  } else {
+    body = convertTextFields(fields);
+  }
+
+  if (files.length === 0) return { body };
+
+  const parts = files.map((file) => {
+    // Browsers send unknown types as application/octet-stream; the signature then decides
+    const type = IMAGE_TYPES.includes(file.mimetype) ? file.mimetype : sniffImageType(file.buffer) || file.mimetype;
+    return { type: 'image_url', image_url: { url: `data:${type};base64,${file.buffer.toString('base64')}` } };
+  });
+
+  if (typeof body.message === 'string') {
+    const { message, ...rest } = body;
+    return { body: { ...rest, messages: [{ role: 'user', content: [{ type: 'text', text: message }, ...parts] }] } };
+  }
+
+  const messages = Array.isArray(body.messages) ? [...body.messages] : [];
+  const index = messages.findLastIndex(message => message?.role === 'user');
+  if (index === -1) {
+    messages.push({ role: 'user', content: parts });
+  } else {
+    const { content } = messages[index];
+    messages[index] = {
+      ...messages[index],
+      content: [...(typeof content === 'string' ? [{ type: 'text', text: content }] : Array.isArray(content) ? content : []), ...parts]
+    };
+  }
+
+  return { body: { ...body, messages } };
+}
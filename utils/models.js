@@ -0,0 +1,102 @@
+// utils/models.js - Model catalog and plan entitlements
+import { listModels, getContextWindow } from './providers.js';
+
+// Plans in ascending order; a model's min_plan admits that plan and every later one
+export const PLAN_TIERS = ['free', 'pro', 'enterprise', 'custom'];
+
+const DEFAULT_CAPABILITIES = { streaming: true, tools: true, json_mode: true, vision: false };
+
+// Billing stores plan names as written in `plans` ("Pro"), organizations use the lowercase form
+function planRank(plan) {
+  const rank = PLAN_TIERS.indexOf(String(plan || 'free').toLowerCase());
+  return rank === -1 ? 0 : rank;
+}
+
+export function planIncludes(plan, minPlan) {
+  return planRank(plan) >= planRank(minPlan);
+}
+
+function planLabel(plan) {
+  const name = PLAN_TIERS[planRank(plan)];
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Catalog row (or a routable model with no row) in the shape /api/models returns
+function toCatalogEntry(id, row) {
+  return {
+    id,
+    name: row?.name || id,
+    description: row?.description || null,
+    context_length: getContextWindow(id),
+    max_output_tokens: row?.max_output_tokens ?? null,
+    pricing: {
+      currency: 'USD',
+      input_per_1k_tokens: row ? parseFloat(row.input_cost_per_1k) : null,
+      output_per_1k_tokens: row ? parseFloat(row.output_cost_per_1k) : null
+    },
+    capabilities: { ...DEFAULT_CAPABILITIES, ...row?.capabilities },
+    min_plan: String(row?.min_plan || 'free').toLowerCase()
+  };
+}
+
+/**
+ * Routable models with their catalog data. Models without a `models` row are
+ * open to every plan; rows marked inactive hide the model entirely.
+ */
+export async function getModelCatalog(nile) {
+  const result = await nile.db.query('SELECT * FROM models');
+  const rows = new Map(result.rows.map(row => [row.id, row]));
+
+  return listModels()
+    .filter(id => rows.get(id)?.is_active !== false)
+    .map(id => toCatalogEntry(id, rows.get(id)));
+}
+
+// Catalog entry for one model, or null when it is unknown or disabled
+export async function getModelEntry(nile, modelId) {
+  if (!listModels().includes(modelId)) return null;
+
+  const result = await nile.db.query('SELECT * FROM models WHERE id = $1', [modelId]);
+  const row = result.rows[0];
+  if (row?.is_active === false) return null;
+
+  return toCatalogEntry(modelId, row);
+}
+
+/**
+ * Check that `plan` may use `entry` with the requested features. Returns null
+ * when allowed, otherwise an `{ status, body }` error response.
+ */
+export function checkModelAccess(entry, plan, { stream = false, tools = false, jsonMode = false, vision = false } = {}) {
+  if (!planIncludes(plan, entry.min_plan)) {
+    return {
+      status: 403,
+      body: {
+        error: `Model ${entry.id} requires the ${planLabel(entry.min_plan)} plan or higher; your organization is on the ${planLabel(plan)} plan`,
+        code: 'MODEL_NOT_IN_PLAN',
+        required_plan: entry.min_plan,
+        current_plan: PLAN_TIERS[planRank(plan)],
+        upgrade_url: '/api/billing?action=create-checkout'
+      }
+    };
+  }
+
+  const missing = [
+    stream && !entry.capabilities.streaming && 'streaming',
+    tools && !entry.capabilities.tools && 'tools',
+    jsonMode && !entry.capabilities.json_mode && 'json_mode',
+    vision && !entry.capabilities.vision && 'image input (vision)'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: `Model ${entry.id} does not support ${missing.join(', ')}`,
+        code: 'UNSUPPORTED_MODEL_CAPABILITY'
+      }
+    };
+  }
+
+  return null;
+}
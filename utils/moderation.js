@@ -0,0 +1,256 @@
+// utils/moderation.js - Pluggable content moderation for prompts and completions
+//
+// Organizations configure moderation in `organizations.settings.moderation`:
+//   {
+//     "enabled": true,
+//     "blocked_categories": ["violence", "self_harm"],
+//     "deny_patterns": ["\\bproject\\s+falcon\\b"],
+//     "action": "block" | "redact" | "flag",
+//     "check_input": true,
+//     "check_output": true
+//   }
+
+const ACTIONS = ['block', 'redact', 'flag'];
+const REDACTION = '[REDACTED]';
+
+// Characters held back while streaming so a match split across chunks can
+// still be caught (and redacted) before it reaches the client
+const STREAM_HOLDBACK_CHARS = 128;
+
+// Built-in lexicon for category detection. Deliberately conservative:
+// phrases rather than single words, to keep false positives low.
+const CATEGORY_PATTERNS = {
+  violence: [
+    /\b(how to|ways to) (build|make) (a |an )?(bomb|explosive|pipe bomb)\b/i,
+    /\b(i will|i'm going to|gonna) (kill|shoot|stab) (you|him|her|them)\b/i,
+    /\bmass (shooting|murder) (plan|instructions)\b/i
+  ],
+  self_harm: [
+    /\b(kill|hurt|harm) myself\b/i,
+    /\b(want|going) to (die|end my life)\b/i,
+    /\bsuicide (method|instructions|note)s?\b/i
+  ],
+  hate: [
+    /\b(all|those) \w+ (should|must) (die|be exterminated)\b/i,
+    /\b(inferior|subhuman) (race|people)\b/i
+  ],
+  harassment: [
+    /\b(i know where you live|you will regret this)\b/i,
+    /\bdox(x)?(ing)? (him|her|them|you)\b/i
+  ],
+  sexual_minors: [
+    /\b(sexual|explicit)\b.{0,40}\b(minor|child|underage)\b/i
+  ]
+};
+
+export const MODERATION_CATEGORIES = Object.keys(CATEGORY_PATTERNS);
+
+function toGlobal(pattern) {
+  return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+}
+
+// Each check returns `[{ category, rule, start, end }]` for a piece of text
+const checks = new Map();
+
+export function registerModerationCheck(name, check) {
+  checks.set(name, check);
+}
+
+registerModerationCheck('categories', (text, policy) => {
+  const findings = [];
+
+  for (const category of policy.blockedCategories) {
+    (CATEGORY_PATTERNS[category] || []).forEach((pattern, i) => {
+      for (const match of text.matchAll(toGlobal(pattern))) {
+        findings.push({ category, rule: `${category}:${i}`, start: match.index, end: match.index + match[0].length });
+      }
+    });
+  }
+
+  return findings;
+});
+
+registerModerationCheck('deny_list', (text, policy) => {
+  const findings = [];
+
+  policy.denyPatterns.forEach((pattern, i) => {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0].length === 0) continue;
+      findings.push({ category: 'deny_list', rule: `deny_patterns[${i}]`, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  return findings;
+});
+
+/**
+ * Build a moderation policy from organization settings. Returns null when
+ * moderation is not enabled. Invalid deny patterns are skipped with a warning.
+ */
+export function buildModerationPolicy(settings) {
+  const config = settings?.moderation;
+  if (!config?.enabled) return null;
+
+  const denyPatterns = [];
+  for (const source of config.deny_patterns || []) {
+    try {
+      denyPatterns.push(new RegExp(source, 'gi'));
+    } catch (error) {
+      console.warn(`Skipping invalid moderation deny pattern "${source}":`, error.message);
+    }
+  }
+
+  return {
+    action: ACTIONS.includes(config.action) ? config.action : 'block',
+    blockedCategories: (config.blocked_categories || MODERATION_CATEGORIES).filter(c => CATEGORY_PATTERNS[c]),
+    denyPatterns,
+    checkInput: config.check_input !== false,
+    checkOutput: config.check_output !== false,
+    checks: config.checks || [...checks.keys()]
+  };
+}
+
+/**
+ * Run every configured check over `text`.
+ * Returns `{ findings, text }` where `text` has matches replaced when the
+ * policy action is "redact".
+ */
+export function moderateText(text, policy) {
+  if (!text || !policy) return { findings: [], text };
+
+  const findings = policy.checks
+    .filter(name => checks.has(name))
+    .flatMap(name => checks.get(name)(text, policy));
+
+  if (findings.length === 0 || policy.action !== 'redact') {
+    return { findings, text };
+  }
+
+  // Replace right-to-left so earlier offsets stay valid; overlaps collapse
+  let redacted = text;
+  let lastStart = Infinity;
+  for (const finding of [...findings].sort((a, b) => b.start - a.start)) {
+    const end = Math.min(finding.end, lastStart);
+    if (end <= finding.start) continue;
+    redacted = redacted.slice(0, finding.start) + REDACTION + redacted.slice(end);
+    lastStart = finding.start;
+  }
+
+  return { findings, text: redacted };
+}
+
+/**
+ * Moderate the text parts of a messages array (user and tool content).
+ * Returns `{ findings, messages }` with redactions applied when configured.
+ */
+export function moderateMessages(messages, policy) {
+  const allFindings = [];
+
+  const moderated = messages.map((message, index) => {
+    if (message.role !== 'user' && message.role !== 'tool') return message;
+
+    if (typeof message.content === 'string') {
+      const { findings, text } = moderateText(message.content, policy);
+      allFindings.push(...findings.map(f => ({ ...f, message_index: index })));
+      return findings.length > 0 ? { ...message, content: text } : message;
+    }
+
+    if (Array.isArray(message.content)) {
+      let changed = false;
+      const content = message.content.map(part => {
+        if (part?.type !== 'text') return part;
+        const { findings, text } = moderateText(part.text, policy);
+        allFindings.push(...findings.map(f => ({ ...f, message_index: index })));
+        if (findings.length > 0) changed = true;
+        return findings.length > 0 ? { ...part, text } : part;
+      });
+      return changed ? { ...message, content } : message;
+    }
+
+    return message;
+  });
+
+  return { findings: allFindings, messages: moderated };
+}
+
+/**
+ * Incremental moderation for streamed output. `push(delta)` returns the text
+ * that is safe to forward now; the last STREAM_HOLDBACK_CHARS are kept until
+ * more text arrives or `flush()` is called. Once a "block" violation is seen,
+ * `blocked` is set and nothing more is emitted.
+ */
+export function createStreamModerator(policy) {
+  let pending = '';
+  let emittedLength = 0;
+  const findings = [];
+  let blocked = false;
+
+  const advance = (final) => {
+    if (blocked) return '';
+
+    // Re-scan the held-back tail together with the new text
+    const { findings: found, text } = moderateText(pending, policy);
+    const fresh = found.filter(f => !findings.some(
+      seen => seen.rule === f.rule && seen.start === f.start + emittedLength
+    ));
+    findings.push(...fresh.map(f => ({ ...f, start: f.start + emittedLength, end: f.end + emittedLength })));
+
+    if (found.length > 0 && policy.action === 'block') {
+      blocked = true;
+      pending = '';
+      return '';
+    }
+
+    const output = policy.action === 'redact' ? text : pending;
+    const cut = final ? output.length : Math.max(0, output.length - STREAM_HOLDBACK_CHARS);
+
+    // `pending` keeps the (already redacted) tail, so offsets stay relative to emitted text
+    const emitted = output.slice(0, cut);
+    const remainder = output.slice(cut);
+    emittedLength += emitted.length;
+    pending = remainder;
+    return emitted;
+  };
+
+  return {
+    push(delta) {
+      pending += delta;
+      return advance(false);
+    },
+    flush() {
+      return advance(true);
+    },
+    get findings() {
+      return findings;
+    },
+    get blocked() {
+      return blocked;
+    }
+  };
+}
+
+// Record a moderation event in audit_logs without storing the offending text
+export async function logModerationEvent(nile, userData, { stage, action, findings, requestId, model }) {
+  try {
+    await nile.db.query(
+      `INSERT INTO audit_logs (user_id, organization_id, action, resource_type, resource_id, metadata, created_at)
+       VALUES ($1, $2, $3, 'chat_completion', $4, $5, NOW())`,
+      [
+        userData.user_id,
+        userData.organization_id,
+        `moderation_${action}`,
+        requestId,
+        JSON.stringify({
+          stage,
+          model,
+          api_key_id: userData.id,
+          categories: [...new Set(findings.map(f => f.category))],
+          rules: [...new Set(findings.map(f => f.rule))],
+          match_count: findings.length
+        })
+      ]
+    );
+  } catch (error) {
+    console.warn('Moderation audit log failed:', error.message);
+  }
+}
@@ -2,6 +2,10 @@
 // THIS IS THE FIX: Use curly braces for a named import
 import { Nile } from '@niledatabase/server'; 
 import { getEnv } from './env.js';
+import { installConsoleRedaction } from './redaction.js';
+
+// Every API function loads this module, so console output is masked from here
+installConsoleRedaction();
 
 export default async function getNile() {
   try {
@@ -0,0 +1,141 @@
+// utils/openai.js - Spec-faithful OpenAI Chat Completions shapes for the /v1 routes
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'invalid_request_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  409: 'invalid_request_error',
+  413: 'invalid_request_error',
+  422: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+// Fields /api/lynxa does not understand under their OpenAI names
+export function toLynxaRequest(body = {}) {
+  const { max_completion_tokens, max_tokens, ...rest } = body;
+  const maxTokens = max_completion_tokens ?? max_tokens;
+
+  return {
+    ...rest,
+    ...(maxTokens !== undefined && { max_tokens: maxTokens })
+  };
+}
+
+// OpenAI error envelope for any /api/lynxa error body
+export function toOpenAIError(status, body) {
+  const error = body?.error;
+  const fieldErrors = body?.details?.length > 0 && body.details[0].field !== undefined ? body.details : null;
+  const message = fieldErrors
+    ? fieldErrors.map(detail => detail.message).join('; ')
+    : typeof error === 'string' ? error : error?.message || body?.message || 'Request failed';
+  const code = body?.code || (typeof error === 'object' && (error.code || error.type)) || null;
+
+  return {
+    error: {
+      message,
+      type: ERROR_TYPES[status] || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+      param: body?.param ?? fieldErrors?.[0].field ?? null,
+      code: status === 401 ? 'invalid_api_key' : code && String(code).toLowerCase()
+    }
+  };
+}
+
+// Assistant message with only the fields the spec defines
+function toOpenAIMessage(message) {
+  return {
+    role: 'assistant',
+    content: message.content ?? null,
+    ...(message.tool_calls && {
+      tool_calls: message.tool_calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.function.name, arguments: call.function.arguments }
+      }))
+    }),
+    refusal: null
+  };
+}
+
+/**
+ * Convert an /api/lynxa chat.completion into the exact OpenAI shape,
+ * dropping Lynxa-specific top-level fields.
+ */
+export function toOpenAICompletion(completion, { created, systemFingerprint }) {
+  return {
+    id: completion.id,
+    object: 'chat.completion',
+    created,
+    model: completion.model,
+    system_fingerprint: systemFingerprint,
+    choices: completion.choices.map((choice, index) => ({
+      index: choice.index ?? index,
+      message: toOpenAIMessage(choice.message),
+      logprobs: choice.logprobs ?? null,
+      finish_reason: choice.finish_reason
+    })),
+    usage: {
+      prompt_tokens: completion.usage?.prompt_tokens ?? 0,
+      completion_tokens: completion.usage?.completion_tokens ?? 0,
+      total_tokens: completion.usage?.total_tokens ?? 0
+    }
+  };
+}
+
+/**
+ * Stateful translator from /api/lynxa SSE chunks to `chat.completion.chunk`
+ * events. The first chunk carries `role`; usage is only sent, as a separate
+ * chunk with empty `choices`, when the client asked for `include_usage`.
+ */
+export function createChunkTranslator({ created, getSystemFingerprint, includeUsage }) {
+  let sentRole = false;
+
+  const chunk = (source, choices, extra = {}) => `data: ${JSON.stringify({
+    id: source.id,
+    object: 'chat.completion.chunk',
+    created,
+    model: source.model,
+    system_fingerprint: getSystemFingerprint(),
+    choices,
+    ...(includeUsage && { usage: null }),
+    ...extra
+  })}\n\n`;
+
+  return {
+    translate(data) {
+      if (data.error) {
+        return `data: ${JSON.stringify(toOpenAIError(500, data))}\n\n`;
+      }
+
+      const choice = data.choices?.[0];
+      if (!choice) return '';
+
+      let out = '';
+      const delta = {
+        ...(!sentRole && { role: 'assistant' }),
+        ...(choice.delta?.content !== undefined && { content: choice.delta.content }),
+        ...(choice.delta?.tool_calls && { tool_calls: choice.delta.tool_calls })
+      };
+      sentRole = true;
+
+      out += chunk(data, [{
+        index: 0,
+        delta: choice.finish_reason && !delta.role ? {} : delta,
+        logprobs: null,
+        finish_reason: choice.finish_reason ?? null
+      }]);
+
+      if (choice.finish_reason && includeUsage && data.usage) {
+        out += chunk(data, [], {
+          usage: {
+            prompt_tokens: data.usage.prompt_tokens,
+            completion_tokens: data.usage.completion_tokens,
+            total_tokens: data.usage.total_tokens
+          }
+        });
+      }
+
+      return out;
+    }
+  };
+}
@@ -0,0 +1,69 @@
+// utils/personas.js - Organization persona lookup and validation
+import { resolveModel } from './providers.js';
+
+export const PERSONA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_SYSTEM_PROMPT_LENGTH = 20000;
+
+// Built-in Lynxa Pro prompt, used when the organization has no default persona
+export const DEFAULT_SYSTEM_PROMPT = `You are Lynxa Pro, an advanced AI assistant developed by Nexariq, a sub-brand of AJ STUDIOZ.
+
+You should respond naturally and conversationally. When asked about your identity, mention that you're Lynxa Pro created by Nexariq (part of AJ STUDIOZ) in a natural way, but don't give the same scripted response every time. Vary your responses and be conversational like other AI assistants.
+
+Be helpful, intelligent, and professional while maintaining a friendly and approachable tone. Answer questions directly and engagingly without being overly formal or repetitive.`;
+
+/**
+ * Resolve the persona for a request: the named persona when `name` is given,
+ * otherwise the organization's default. Returns the active version as
+ * `{ name, version, system_prompt, temperature, model }`, or null.
+ */
+export async function resolvePersona(nile, organizationId, name) {
+  if (!organizationId) return null;
+
+  const result = await nile.db.query(
+    `SELECT p.name, v.version, v.system_prompt, v.temperature, v.model
+     FROM organization_personas p
+     JOIN persona_versions v ON v.persona_id = p.id AND v.version = p.current_version
+     WHERE p.organization_id = $1 AND ${name ? 'p.name = $2' : 'p.is_default = TRUE'}`,
+    name ? [organizationId, name] : [organizationId]
+  );
+
+  const persona = result.rows[0];
+  if (!persona) return null;
+
+  return {
+    ...persona,
+    temperature: persona.temperature === null ? null : parseFloat(persona.temperature)
+  };
+}
+
+/**
+ * Check persona fields from an admin request. `partial` allows omitting
+ * fields (updates). Returns a list of `{ field, message }` problems.
+ */
+export function validatePersonaFields({ name, system_prompt, temperature, model }, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !PERSONA_NAME_PATTERN.test(name)) {
+      errors.push({ field: 'name', message: 'Name must be 1-64 letters, digits, "_" or "-"' });
+    }
+  }
+
+  if (!partial || system_prompt !== undefined) {
+    if (typeof system_prompt !== 'string' || system_prompt.trim().length === 0) {
+      errors.push({ field: 'system_prompt', message: 'System prompt is required' });
+    } else if (system_prompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+      errors.push({ field: 'system_prompt', message: `System prompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters` });
+    }
+  }
+
+  if (temperature !== undefined && temperature !== null && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    errors.push({ field: 'temperature', message: 'Temperature must be a number between 0 and 2' });
+  }
+
+  if (model !== undefined && model !== null && !resolveModel(model)) {
+    errors.push({ field: 'model', message: `Unknown model: ${model}` });
+  }
+
+  return errors;
+}
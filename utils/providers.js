@@ -0,0 +1,388 @@
+// utils/providers.js - Model routing across LLM providers with ordered fallback
+import { getEnv } from './env.js';
+import { estimateTokens, estimateMessageTokens } from './tokens.js';
+import { withRetry, isRetryableStatus, checkCircuit, isCircuitOpen, recordCircuitResult } from './resilience.js';
+import { createHash } from 'crypto';
+
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.LYNXA_UPSTREAM_TIMEOUT_MS || '30000');
+
+// Provider backends. `openai` type covers Groq and any other OpenAI-compatible
+// base URL; extra backends can be registered through LYNXA_PROVIDERS (JSON).
+const DEFAULT_PROVIDERS = {
+  groq: {
+    type: 'openai',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKeyEnv: 'GROQ_API_KEY'
+  },
+  openai: {
+    type: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY'
+  }
+};
+
+// Public model IDs mapped to an ordered fallback chain of provider targets,
+// each with its context window in tokens. Overridable through LYNXA_MODELS (JSON).
+const DEFAULT_MODELS = {
+  'lynxa-pro': [
+    { provider: 'groq', model: 'llama-3.3-70b-versatile', contextWindow: 131072 },
+    { provider: 'openai', model: 'gpt-4o-mini', contextWindow: 128000 }
+  ],
+  'lynxa-lite': [
+    { provider: 'groq', model: 'llama-3.1-8b-instant', contextWindow: 131072 },
+    { provider: 'openai', model: 'gpt-4o-mini', contextWindow: 128000 }
+  ],
+  'lynxa-vision': [
+    { provider: 'groq', model: 'meta-llama/llama-4-scout-17b-16e-instruct', contextWindow: 131072 },
+    { provider: 'openai', model: 'gpt-4o-mini', contextWindow: 128000 }
+  ]
+};
+
+const DEFAULT_CONTEXT_WINDOW = parseInt(process.env.LYNXA_DEFAULT_CONTEXT_WINDOW || '8192');
+
+// Embedding model IDs, same shape as DEFAULT_MODELS plus the vector size.
+// Overridable through LYNXA_EMBEDDING_MODELS (JSON).
+const DEFAULT_EMBEDDING_MODELS = {
+  'lynxa-embed': [
+    { provider: 'openai', model: 'text-embedding-3-small', dimensions: 1536 }
+  ]
+};
+
+// Echo models for tests and local development. They answer without a network
+// call or charge, so they are only routable with LYNXA_ENABLE_MOCK_MODELS=true.
+const MOCK_MODELS_ENABLED = process.env.LYNXA_ENABLE_MOCK_MODELS === 'true';
+
+const MOCK_PROVIDERS = {
+  mock: { type: 'mock' }
+};
+
+const MOCK_MODELS = {
+  'lynxa-mock': [
+    { provider: 'mock', model: 'mock-1', contextWindow: 8192 }
+  ]
+};
+
+const MOCK_EMBEDDING_MODELS = {
+  'lynxa-embed-mock': [
+    { provider: 'mock', model: 'mock-embed-1', dimensions: 256 }
+  ]
+};
+
+function loadJsonEnv(key) {
+  const raw = process.env[key];
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`Invalid JSON in ${key}:`, error.message);
+    return {};
+  }
+}
+
+const PROVIDERS = { ...DEFAULT_PROVIDERS, ...(MOCK_MODELS_ENABLED && MOCK_PROVIDERS), ...loadJsonEnv('LYNXA_PROVIDERS') };
+const MODELS = { ...DEFAULT_MODELS, ...(MOCK_MODELS_ENABLED && MOCK_MODELS), ...loadJsonEnv('LYNXA_MODELS') };
+const EMBEDDING_MODELS = { ...DEFAULT_EMBEDDING_MODELS, ...(MOCK_MODELS_ENABLED && MOCK_EMBEDDING_MODELS), ...loadJsonEnv('LYNXA_EMBEDDING_MODELS') };
+
+export function resolveModel(modelId) {
+  return MODELS[modelId] || null;
+}
+
+export function listModels() {
+  return Object.keys(MODELS);
+}
+
+// Names of the providers a request can be routed to
+export function listProviders() {
+  return Object.keys(PROVIDERS).filter(name => isProviderConfigured(PROVIDERS[name]));
+}
+
+export function resolveEmbeddingModel(modelId) {
+  return EMBEDDING_MODELS[modelId] || null;
+}
+
+// Smallest context window in the model's chain, so a prompt that fits the
+// primary target also fits every fallback
+export function getContextWindow(modelId) {
+  const chain = resolveModel(modelId);
+  if (!chain) return null;
+
+  return Math.min(...chain.map(target => target.contextWindow || DEFAULT_CONTEXT_WINDOW));
+}
+
+// A provider is usable when it needs no credentials or its key is configured
+function isProviderConfigured(provider) {
+  if (!provider) return false;
+  if (provider.type === 'mock') return true;
+  return Boolean(provider.apiKey || (provider.apiKeyEnv && process.env[provider.apiKeyEnv]));
+}
+
+// Server-side failures, rate limits and timeouts move on to the next target
+// (after retries); other client errors (4xx) are returned to the caller as-is.
+function shouldFallback(response) {
+  return isRetryableStatus(response.status);
+}
+
+/**
+ * Send a chat completion through the model's fallback chain.
+ * `payload` is an OpenAI-style request body without `model`. Aborting
+ * `signal` (e.g. when the client disconnects) cancels the upstream request,
+ * including a response body that is still streaming.
+ * Resolves with the first upstream response that is neither a 429 nor a 5xx, and the target that served it.
+ */
+export async function dispatchChatCompletion(modelId, payload, { signal } = {}) {
+  return dispatchWithFallback(resolveModel(modelId), modelId, (provider, target) => (
+    provider.type === 'mock'
+      ? mockChatCompletion(provider, target, payload)
+      : callProvider(provider, '/chat/completions', { ...payload, model: target.model }, signal)
+  ), signal);
+}
+
+/**
+ * Create embeddings through the embedding model's fallback chain.
+ * `payload` is an OpenAI-style embeddings body (`input`, ...) without `model`.
+ */
+export async function dispatchEmbeddings(modelId, payload) {
+  return dispatchWithFallback(resolveEmbeddingModel(modelId), modelId, (provider, target) => (
+    provider.type === 'mock'
+      ? mockEmbeddings(target, payload)
+      : callProvider(provider, '/embeddings', { ...payload, model: target.model })
+  ));
+}
+
+// Try each target of `chain` in order with `call(provider, target)`
+async function dispatchWithFallback(chain, modelId, call, signal) {
+  if (!chain) {
+    const error = new Error(`Unknown model: ${modelId}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const attempts = [];
+  let lastFailure = null;
+  let circuitRetryMs = null;
+
+  for (const target of chain) {
+    const provider = PROVIDERS[target.provider];
+
+    if (!isProviderConfigured(provider)) {
+      attempts.push({ provider: target.provider, model: target.model, skipped: 'not_configured' });
+      continue;
+    }
+
+    // Fail fast while the provider's circuit is open
+    const circuit = checkCircuit(target.provider);
+    if (!circuit.allowed) {
+      attempts.push({ provider: target.provider, model: target.model, skipped: 'circuit_open' });
+      circuitRetryMs = Math.min(circuitRetryMs ?? Infinity, circuit.retryAfterMs);
+      continue;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const response = await withRetry(() => call(provider, target), {
+        signal,
+        onAttempt: outcome => recordCircuitResult(target.provider, outcome),
+        canRetry: () => !isCircuitOpen(target.provider)
+      });
+      attempts.push({
+        provider: target.provider,
+        model: target.model,
+        status: response.status,
+        latency_ms: Date.now() - startTime
+      });
+
+      if (!shouldFallback(response)) {
+        return { response, provider: target.provider, upstreamModel: target.model, attempts };
+      }
+
+      console.warn(`Provider ${target.provider} returned ${response.status} for ${modelId}, trying next target`);
+      lastFailure = { response, provider: target.provider, upstreamModel: target.model };
+    } catch (error) {
+      // The caller went away: no point trying the next target
+      if (signal?.aborted) throw error;
+
+      const timedOut = error.name === 'AbortError';
+      attempts.push({
+        provider: target.provider,
+        model: target.model,
+        error: timedOut ? 'timeout' : error.message,
+        latency_ms: Date.now() - startTime
+      });
+
+      console.warn(`Provider ${target.provider} ${timedOut ? 'timed out' : 'failed'} for ${modelId}:`, error.message);
+    }
+  }
+
+  // Every target failed: surface the last upstream response if there was one
+  if (lastFailure) {
+    return { ...lastFailure, attempts };
+  }
+
+  const error = new Error(`All providers failed for model ${modelId}`);
+  error.status = 503;
+  error.attempts = attempts;
+
+  // Open circuits tell the caller when to come back
+  if (circuitRetryMs !== null) {
+    error.retryAfter = Math.ceil(circuitRetryMs / 1000);
+    if (attempts.every(attempt => attempt.skipped)) {
+      error.message = `Providers for model ${modelId} are temporarily unavailable`;
+      error.code = 'CIRCUIT_OPEN';
+    }
+  }
+  throw error;
+}
+
+const UPSTREAM_ERRORS = {
+  400: { code: 'UPSTREAM_INVALID_REQUEST', message: 'The model provider rejected the request' },
+  429: { code: 'UPSTREAM_RATE_LIMITED', message: 'The model provider is rate limiting requests; retry later' },
+  503: { code: 'UPSTREAM_UNAVAILABLE', message: 'The model provider is unavailable; retry later' }
+};
+
+/**
+ * Translate a non-OK upstream response into the status returned to the
+ * caller. Request problems stay 400 and rate limits stay 429; anything else
+ * (provider auth or config errors, 5xx after every fallback) is a 503.
+ */
+export async function mapUpstreamError(response) {
+  const status = [400, 413, 422].includes(response.status) ? 400
+    : response.status === 429 ? 429
+      : 503;
+  const details = await response.json().catch(() => null);
+
+  return {
+    status,
+    ...UPSTREAM_ERRORS[status],
+    // Surface the provider's own explanation for request errors
+    ...(status === 400 && details?.error?.message && { message: details.error.message }),
+    details,
+    retryAfter: status === 503 || status === 429 ? response.headers.get('retry-after') : null
+  };
+}
+
+async function callProvider(provider, path, body, signal) {
+  const apiKey = provider.apiKey || getEnv(provider.apiKeyEnv);
+
+  // The timeout only covers the time to response headers so long streams
+  // are not cut off mid-generation.
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), provider.timeoutMs || UPSTREAM_TIMEOUT_MS);
+
+  try {
+    return await fetch(`${provider.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Local provider for tests and development: echoes the last user message
+// in OpenAI format (as `{"echo": ...}` in JSON mode), or calls a tool when
+// `tool_choice` forces one. `n` returns that many identical choices.
+// `failWith` simulates an upstream outage.
+function mockChatCompletion(provider, target, payload) {
+  if (provider.failWith) {
+    return new Response(JSON.stringify({ error: { message: 'Simulated provider failure' } }), {
+      status: provider.failWith,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const lastUser = [...payload.messages].reverse().find(m => m.role === 'user');
+  const forcedTool = payload.tool_choice === 'required'
+    ? payload.tools?.[0]?.function.name
+    : payload.tool_choice?.function?.name;
+  const toolCalls = forcedTool
+    ? [{ id: `call_mock_${Date.now()}`, type: 'function', function: { name: forcedTool, arguments: '{}' } }]
+    : null;
+  const lastUserText = Array.isArray(lastUser?.content)
+    ? lastUser.content.map(part => (part.type === 'text' ? part.text : `[${part.type}]`)).join(' ')
+    : lastUser?.content ?? '';
+  const echo = `Mock response to: ${lastUserText}`;
+  const jsonMode = payload.response_format?.type === 'json_object';
+  const content = toolCalls ? null : jsonMode ? JSON.stringify({ echo }) : echo;
+  const finishReason = toolCalls ? 'tool_calls' : 'stop';
+  const promptTokens = estimateMessageTokens(payload.messages);
+  const completionTokens = estimateTokens(content || JSON.stringify(toolCalls));
+  const choiceCount = payload.n || 1;
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens * choiceCount,
+    total_tokens: promptTokens + completionTokens * choiceCount
+  };
+
+  if (!payload.stream) {
+    return new Response(JSON.stringify({
+      id: `mock_${Date.now()}`,
+      object: 'chat.completion',
+      model: target.model,
+      choices: Array.from({ length: choiceCount }, (_, index) => ({
+        index,
+        message: { role: 'assistant', content, ...(toolCalls && { tool_calls: toolCalls }) },
+        finish_reason: finishReason
+      })),
+      usage
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  const encoder = new TextEncoder();
+  const deltas = toolCalls
+    ? [
+        { tool_calls: [{ index: 0, id: toolCalls[0].id, type: 'function', function: { name: forcedTool, arguments: '' } }] },
+        { tool_calls: [{ index: 0, function: { arguments: '{}' } }] }
+      ]
+    : content.split(' ').map((word, i) => ({ content: i === 0 ? word : ` ${word}` }));
+  const body = new ReadableStream({
+    start(controller) {
+      for (const delta of deltas) {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`));
+      }
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: finishReason }] })}\n\n`));
+      if (payload.stream_options?.include_usage) {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [], usage })}\n\n`));
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  });
+
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+// Deterministic unit vectors derived from a hash of the text: equal inputs
+// always map to the same vector, so tests can assert on exact values
+function mockEmbeddings(target, payload) {
+  const inputs = Array.isArray(payload.input) ? payload.input : [payload.input];
+  const dimensions = payload.dimensions || target.dimensions || 256;
+
+  const data = inputs.map((text, index) => {
+    const vector = [];
+    for (let block = 0; vector.length < dimensions; block++) {
+      const digest = createHash('sha256').update(`${block}:${text}`).digest();
+      for (let i = 0; i + 1 < digest.length && vector.length < dimensions; i += 2) {
+        vector.push(digest.readUInt16BE(i) / 32767.5 - 1);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return { object: 'embedding', index, embedding: vector.map(v => v / norm) };
+  });
+
+  const promptTokens = inputs.reduce((sum, text) => sum + estimateTokens(text), 0);
+
+  return new Response(JSON.stringify({
+    object: 'list',
+    data,
+    model: target.model,
+    usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+  }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
@@ -0,0 +1,332 @@
+// utils/quotas.js - Monthly request and token quotas per organization and API key
+//
+// Limits come from `plans.limits` (`requests_per_month`, `tokens_per_month`;
+// -1 or missing means unlimited). Organization admins can cap single keys
+// lower (`api_keys.monthly_request_quota` / `monthly_token_quota`) and, on
+// plans with `"overage": true`, let the organization run past its quota:
+//   organizations.settings.quota = { "overage": true, "max_overage_percent": 150 }
+// Usage is counted per calendar month (UTC) in `quota_usage`. Users without
+// an organization are counted on their own. Request limits are enforced
+// atomically: checkQuota holds the requests on the counters in the same
+// statement that checks them, and releaseQuota gives the hold back once the
+// request has been metered, so concurrent requests cannot all pass a check
+// made against the same count.
+
+// Notifications go out once per period when usage crosses each of these
+const WARNING_THRESHOLDS = [80, 100];
+
+const UPGRADE_URL = '/api/billing?action=create-checkout';
+
+const UNIT_LABELS = { requests: 'request', tokens: 'token' };
+
+function toLimit(value) {
+  if (value === null || value === undefined) return null;
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+// First day of the month, `offset` months from the current one (UTC)
+function monthStart(offset = 0) {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+}
+
+function currentPeriod() {
+  return monthStart().toISOString().slice(0, 10);
+}
+
+// Who the plan quota is counted against
+function ownerScope(userData) {
+  return userData.organization_id
+    ? { scope: 'organization', id: userData.organization_id }
+    : { scope: 'user', id: userData.user_id };
+}
+
+/**
+ * Limits that apply to requests made with this key. Each of `owner` (the
+ * organization, or the user without one) and `key` holds `requests` and
+ * `tokens`, null when unlimited.
+ */
+export function resolveQuotaLimits(userData) {
+  const plan = userData.plan_limits || {};
+  const config = userData.organization_settings?.quota || {};
+  const overage = plan.overage === true && config.overage === true;
+
+  return {
+    owner: { requests: toLimit(plan.requests_per_month), tokens: toLimit(plan.tokens_per_month) },
+    key: { requests: toLimit(userData.monthly_request_quota), tokens: toLimit(userData.monthly_token_quota) },
+    overage,
+    maxOveragePercent: overage && Number.isInteger(config.max_overage_percent) && config.max_overage_percent >= 100
+      ? config.max_overage_percent
+      : null
+  };
+}
+
+// Add `requests` to a counter unless that would pass `limit`; false when it would
+async function holdRequests(nile, { scope, id, period, requests, limit }) {
+  const result = await nile.db.query(
+    `INSERT INTO quota_usage (scope, scope_id, period, requests, updated_at)
+     SELECT $1::varchar, $2::uuid, $3::date, $4::int, NOW() WHERE $4::int <= $5::int
+     ON CONFLICT (scope, scope_id, period) DO UPDATE
+       SET requests = quota_usage.requests + EXCLUDED.requests, updated_at = NOW()
+       WHERE quota_usage.requests + EXCLUDED.requests <= $5::int
+     RETURNING requests`,
+    [scope, id, period, requests, limit]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Check this month's usage and hold `requests` more requests against every
+ * hard request limit. Returns `{ reset, checks, binding, exceeded, overage,
+ * error, holds }`: `binding` is the check closest to its limit (reported in
+ * the X-Quota-* headers), `exceeded` the first hard limit that would be
+ * passed, and `error` the 429 to send for it. Key sub-quotas are always hard;
+ * the organization's are soft when it has overage enabled (up to
+ * `max_overage_percent`). Pass the result to releaseQuota when the request
+ * is done.
+ */
+export async function checkQuota(nile, userData, { requests = 1 } = {}) {
+  const limits = resolveQuotaLimits(userData);
+  const owner = ownerScope(userData);
+  const reset = Math.floor(monthStart(1).getTime() / 1000);
+
+  const hasLimits = [limits.owner, limits.key].some(scope => scope.requests !== null || scope.tokens !== null);
+  if (!hasLimits) {
+    return { reset, checks: [], binding: null, exceeded: null, overage: false, error: null, holds: [] };
+  }
+
+  const period = currentPeriod();
+  const result = await nile.db.query(
+    `SELECT scope, requests, tokens FROM quota_usage
+     WHERE period = $1 AND ((scope = $2 AND scope_id = $3) OR (scope = 'api_key' AND scope_id = $4))`,
+    [period, owner.scope, owner.id, userData.id]
+  );
+
+  const usage = { owner: { requests: 0, tokens: 0 }, key: { requests: 0, tokens: 0 } };
+  for (const row of result.rows) {
+    usage[row.scope === 'api_key' ? 'key' : 'owner'] = { requests: Number(row.requests), tokens: Number(row.tokens) };
+  }
+
+  const checks = [];
+  for (const level of ['owner', 'key']) {
+    for (const unit of ['requests', 'tokens']) {
+      const limit = limits[level][unit];
+      if (limit === null) continue;
+
+      const used = usage[level][unit];
+      // Requests are counted before they run; tokens are only known afterwards
+      const after = unit === 'requests' ? used + requests : used;
+      const soft = level === 'owner' && limits.overage;
+      const hardLimit = soft
+        ? (limits.maxOveragePercent ? Math.floor(limit * limits.maxOveragePercent / 100) : Infinity)
+        : limit;
+
+      checks.push({
+        scope: level === 'owner' ? owner.scope : 'api_key',
+        scopeId: level === 'owner' ? owner.id : userData.id,
+        unit,
+        limit,
+        hardLimit,
+        used,
+        remaining: Math.max(limit - after, 0),
+        exceeded: unit === 'requests' ? after > hardLimit : used >= hardLimit,
+        overage: unit === 'requests' ? after > limit : used >= limit
+      });
+    }
+  }
+
+  // The read above can be stale by the time the request runs, so the
+  // request counters are re-checked and incremented in one statement each
+  const holds = [];
+  if (!checks.some(check => check.exceeded)) {
+    for (const check of checks) {
+      if (check.unit !== 'requests' || check.hardLimit === Infinity) continue;
+
+      const hold = { scope: check.scope, id: check.scopeId, period, requests };
+      if (!await holdRequests(nile, { ...hold, limit: check.hardLimit })) {
+        check.exceeded = true;
+        break;
+      }
+      holds.push(hold);
+    }
+
+    if (checks.some(check => check.exceeded)) {
+      await releaseQuota(nile, { holds });
+      holds.length = 0;
+    }
+  }
+
+  const binding = checks.reduce((closest, check) => (
+    !closest || check.remaining / (check.limit || 1) < closest.remaining / (closest.limit || 1) ? check : closest
+  ), null);
+  const exceeded = checks.find(check => check.exceeded) || null;
+
+  return {
+    reset,
+    checks,
+    binding,
+    exceeded,
+    overage: !exceeded && checks.some(check => check.overage),
+    holds,
+    error: exceeded && {
+      status: 429,
+      body: {
+        error: exceeded.scope === 'api_key'
+          ? `Monthly ${UNIT_LABELS[exceeded.unit]} quota exceeded for this API key`
+          : `Monthly ${UNIT_LABELS[exceeded.unit]} quota exceeded for your ${exceeded.scope === 'organization' ? 'organization' : 'account'}`,
+        code: 'QUOTA_EXCEEDED',
+        quota: {
+          scope: exceeded.scope,
+          unit: exceeded.unit,
+          limit: exceeded.limit,
+          used: exceeded.used,
+          reset: new Date(reset * 1000).toISOString()
+        },
+        ...(exceeded.scope !== 'api_key' && { upgrade_url: UPGRADE_URL })
+      }
+    }
+  };
+}
+
+/**
+ * Give back the requests checkQuota held. Call it once the request has been
+ * metered (or rejected); metered requests are counted by trackQuotaUsage.
+ * Pass `requests` to give back only part of a hold (e.g. one batch item).
+ * Failures are logged, so releasing never breaks a response.
+ */
+export async function releaseQuota(nile, quota, { requests } = {}) {
+  for (const hold of quota?.holds || []) {
+    try {
+      await nile.db.query(
+        `UPDATE quota_usage SET requests = GREATEST(requests - $4, 0), updated_at = NOW()
+         WHERE scope = $1 AND scope_id = $2 AND period = $3`,
+        [hold.scope, hold.id, hold.period, requests ?? hold.requests]
+      );
+    } catch (error) {
+      console.warn('Quota release failed:', error.message);
+    }
+  }
+}
+
+// X-Quota-Limit / -Remaining / -Reset (Unix seconds) for the binding limit
+export function setQuotaHeaders(res, quota) {
+  if (!quota.binding) return;
+
+  res.setHeader('X-Quota-Limit', String(quota.binding.limit));
+  res.setHeader('X-Quota-Remaining', String(quota.binding.remaining));
+  res.setHeader('X-Quota-Reset', String(quota.reset));
+  if (quota.overage) res.setHeader('X-Quota-Overage', 'true');
+  if (quota.exceeded) res.setHeader('Retry-After', String(Math.max(quota.reset - Math.floor(Date.now() / 1000), 1)));
+}
+
+// The highest threshold a counter has reached, with the unit that reached it
+function reachedThreshold(row, limits) {
+  let reached = null;
+  for (const unit of ['requests', 'tokens']) {
+    const limit = limits[unit];
+    if (!limit) continue;
+
+    const percent = (Number(row[unit]) / limit) * 100;
+    const threshold = [...WARNING_THRESHOLDS].reverse().find(value => percent >= value);
+    if (threshold && (!reached || threshold > reached.threshold)) {
+      reached = { threshold, unit, used: Number(row[unit]), limit };
+    }
+  }
+  return reached;
+}
+
+async function sendQuotaNotification(nile, userData, { scope, threshold, unit, used, limit, overage }) {
+  const subject = scope === 'api_key'
+    ? `API key "${userData.name || userData.id}"`
+    : scope === 'organization' ? 'Your organization' : 'Your account';
+  const consequence = overage
+    ? 'Usage past the quota is billed as overage.'
+    : threshold < 100
+      ? 'Requests are rejected once the quota is reached.'
+      : 'Further requests are rejected until the quota resets at the start of next month.';
+
+  // The key owner and the organization's admins
+  await nile.db.query(
+    `INSERT INTO notifications (user_id, organization_id, title, message, type, action_url, created_at)
+     SELECT u.id, $1, $3, $4, $5, $6, NOW()
+     FROM users u
+     WHERE u.id = $2 OR ($1::uuid IS NOT NULL AND u.organization_id = $1 AND u.role = 'org_admin')`,
+    [
+      userData.organization_id || null,
+      userData.user_id,
+      threshold < 100 ? `Monthly ${UNIT_LABELS[unit]} quota ${threshold}% used` : `Monthly ${UNIT_LABELS[unit]} quota reached`,
+      `${subject} has used ${used.toLocaleString('en-US')} of ${limit.toLocaleString('en-US')} ${unit} this month (${threshold}%). ${consequence}`,
+      threshold < 100 ? 'warning' : 'error',
+      scope === 'api_key' ? null : UPGRADE_URL
+    ]
+  );
+}
+
+/**
+ * Add a metered request to this month's counters (organization or user, and
+ * key), and notify when a counter crosses 80% or 100% of its limit.
+ */
+export async function trackQuotaUsage(nile, userData, { requests = 1, tokens = 0 } = {}) {
+  const owner = ownerScope(userData);
+  if (!owner.id) return;
+
+  const result = await nile.db.query(
+    `INSERT INTO quota_usage (scope, scope_id, period, requests, tokens, updated_at)
+     VALUES ($1, $2, $4, $5, $6, NOW()), ('api_key', $3, $4, $5, $6, NOW())
+     ON CONFLICT (scope, scope_id, period) DO UPDATE
+       SET requests = quota_usage.requests + EXCLUDED.requests,
+           tokens = quota_usage.tokens + EXCLUDED.tokens,
+           updated_at = NOW()
+     RETURNING id, scope, requests, tokens, notified_percent`,
+    [owner.scope, owner.id, userData.id, currentPeriod(), requests, tokens]
+  );
+
+  const limits = resolveQuotaLimits(userData);
+  for (const row of result.rows) {
+    const reached = reachedThreshold(row, row.scope === 'api_key' ? limits.key : limits.owner);
+    if (!reached || reached.threshold <= (row.notified_percent || 0)) continue;
+
+    // Claim the threshold first, so concurrent requests notify only once
+    const claimed = await nile.db.query(
+      'UPDATE quota_usage SET notified_percent = $1 WHERE id = $2 AND notified_percent < $1 RETURNING id',
+      [reached.threshold, row.id]
+    );
+    if (claimed.rows.length === 0) continue;
+
+    await sendQuotaNotification(nile, userData, {
+      scope: row.scope,
+      ...reached,
+      overage: row.scope !== 'api_key' && limits.overage
+    });
+  }
+}
+
+/**
+ * This month's usage against the limits of an organization and its keys,
+ * for the organization quota endpoint.
+ */
+export async function getQuotaUsage(nile, organizationId) {
+  const result = await nile.db.query(
+    `SELECT scope, scope_id, requests, tokens FROM quota_usage
+     WHERE period = $1 AND ((scope = 'organization' AND scope_id = $2)
+       OR (scope = 'api_key' AND scope_id IN (
+         SELECT ak.id FROM api_keys ak JOIN users u ON ak.user_id = u.id WHERE u.organization_id = $2)))`,
+    [currentPeriod(), organizationId]
+  );
+
+  const keys = {};
+  let organization = { requests: 0, tokens: 0 };
+  for (const row of result.rows) {
+    const usage = { requests: Number(row.requests), tokens: Number(row.tokens) };
+    if (row.scope === 'organization') organization = usage;
+    else keys[row.scope_id] = usage;
+  }
+
+  return {
+    period: currentPeriod(),
+    reset: monthStart(1).toISOString(),
+    organization,
+    keys
+  };
+}
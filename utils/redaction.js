@@ -0,0 +1,243 @@
+// utils/redaction.js - PII detection and masking for logs, usage records and prompts
+//
+// Organizations configure redaction in `organizations.settings.redaction`:
+//   {
+//     "enabled": true,
+//     "types": ["email", "phone", "card", "iban", "api_key"],
+//     "mask": "label" | "partial" | "hash",
+//     "prompts": false,
+//     "transcripts": false
+//   }
+// Redaction is on by default for usage metadata, audit logs and console
+// output. `prompts` also masks messages before they are sent upstream, and
+// `transcripts` masks messages before they are stored in conversation threads.
+import { createHash } from 'crypto';
+import { format } from 'util';
+
+const MASKS = ['label', 'partial', 'hash'];
+
+function digitsOf(value) {
+  return value.replace(/\D/g, '');
+}
+
+// Luhn checksum, so order numbers and timestamps are not taken for cards
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 check digits: move the first four characters to the end, then mod 97
+function isIbanValid(value) {
+  const iban = value.replace(/ /g, '').toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Visa, Mastercard, Amex, Diners, Discover, JCB and UnionPay
+const CARD_PREFIX = /^(?:4|5[1-5]|2[2-7]|3[0478]|6)/;
+
+// Checked in this order; a match overlapping an earlier type's match is ignored
+const DETECTORS = {
+  api_key: {
+    label: 'API_KEY',
+    pattern: new RegExp([
+      /\b(?:nxq|gsk|ghp|gho|ghs|whsec|rk_live|rk_test|sk_live|sk_test|pk_live|pk_test)_[A-Za-z0-9]{16,}/.source,
+      /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/.source,
+      /\bgithub_pat_[A-Za-z0-9_]{22,}/.source,
+      /\bAKIA[0-9A-Z]{16}\b/.source,
+      /\bAIza[0-9A-Za-z_-]{35}/.source,
+      /\bxox[abposr]-[A-Za-z0-9-]{10,}/.source,
+      /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/.source
+    ].join('|'), 'g')
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: match => isIbanValid(match)
+  },
+  card: {
+    label: 'CARD',
+    pattern: /(?<![\w+-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+    // Known card network prefixes plus Luhn, so millisecond timestamps and ids pass through
+    validate: match => CARD_PREFIX.test(digitsOf(match)) && isLuhnValid(digitsOf(match))
+  },
+  email: {
+    label: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  phone: {
+    label: 'PHONE',
+    // May end a sentence, but not run into a longer dotted token (versions, IPs)
+    pattern: /(?<![\w+.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,5}(?:[ .-]\d{2,5}){1,4}(?![\w-]|\.\w)|(?<![\w+])\+\d{8,15}(?!\w)/g,
+    validate: (match) => {
+      const count = digitsOf(match).length;
+      // IPv4 addresses have the same shape as dotted phone numbers
+      return count >= 9 && count <= 15 && !/^\d{1,3}(\.\d{1,3}){3}$/.test(match);
+    }
+  }
+};
+
+export const PII_TYPES = Object.keys(DETECTORS);
+
+export const DEFAULT_REDACTION_POLICY = Object.freeze({
+  types: PII_TYPES,
+  mask: 'label',
+  prompts: false,
+  transcripts: false
+});
+
+/**
+ * Build a redaction policy from organization settings. Returns null when the
+ * organization turned redaction off; without settings the default applies.
+ */
+export function buildRedactionPolicy(settings) {
+  const config = settings?.redaction;
+  if (!config) return DEFAULT_REDACTION_POLICY;
+  if (config.enabled === false) return null;
+
+  const types = Array.isArray(config.types) ? config.types.filter(type => DETECTORS[type]) : PII_TYPES;
+
+  return {
+    types,
+    mask: MASKS.includes(config.mask) ? config.mask : 'label',
+    prompts: config.prompts === true,
+    transcripts: config.transcripts === true
+  };
+}
+
+function maskValue(type, value, mask) {
+  const { label } = DETECTORS[type];
+
+  if (mask === 'hash') {
+    return `[${label}:${createHash('sha256').update(value).digest('hex').slice(0, 10)}]`;
+  }
+
+  if (mask === 'partial') {
+    if (type === 'email') {
+      const [local, domain] = value.split('@');
+      return `${local[0]}***@${domain}`;
+    }
+    if (type === 'api_key') return `[${label} ${value.slice(0, 4)}...]`;
+    return `[${label} ...${value.replace(/[ .()-]/g, '').slice(-4)}]`;
+  }
+
+  return `[${label}]`;
+}
+
+/**
+ * Mask PII in `text`. Returns `{ text, counts }` where `counts` maps each
+ * detected type to its number of matches.
+ */
+export function redactText(text, policy = DEFAULT_REDACTION_POLICY) {
+  if (typeof text !== 'string' || !text || !policy) return { text, counts: {} };
+
+  const matches = [];
+  for (const type of PII_TYPES) {
+    if (!policy.types.includes(type)) continue;
+    const { pattern, validate } = DETECTORS[type];
+
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (validate && !validate(match[0])) continue;
+      if (matches.some(other => start < other.end && end > other.start)) continue;
+      matches.push({ type, start, end, value: match[0] });
+    }
+  }
+
+  if (matches.length === 0) return { text, counts: {} };
+
+  // Replace right-to-left so earlier offsets stay valid
+  const counts = {};
+  let redacted = text;
+  for (const match of matches.sort((a, b) => b.start - a.start)) {
+    redacted = redacted.slice(0, match.start) + maskValue(match.type, match.value, policy.mask) + redacted.slice(match.end);
+    counts[match.type] = (counts[match.type] || 0) + 1;
+  }
+
+  return { text: redacted, counts };
+}
+
+/**
+ * Mask PII in every string inside `value` (objects and arrays are copied,
+ * keys are kept). Use before writing JSON metadata.
+ */
+export function redactValue(value, policy = DEFAULT_REDACTION_POLICY) {
+  if (!policy) return value;
+  if (typeof value === 'string') return redactText(value, policy).text;
+  if (Array.isArray(value)) return value.map(item => redactValue(item, policy));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, policy)]));
+  }
+  return value;
+}
+
+// Add `counts` into `total`
+function addCounts(total, counts) {
+  for (const [type, count] of Object.entries(counts)) total[type] = (total[type] || 0) + count;
+}
+
+/**
+ * Mask PII in the text of a messages array (string content and text parts
+ * of every role). Returns `{ messages, counts }`.
+ */
+export function redactMessages(messages, policy) {
+  const counts = {};
+  if (!policy) return { messages, counts };
+
+  const redacted = messages.map((message) => {
+    if (typeof message.content === 'string') {
+      const result = redactText(message.content, policy);
+      addCounts(counts, result.counts);
+      return result.text === message.content ? message : { ...message, content: result.text };
+    }
+
+    if (Array.isArray(message.content)) {
+      let changed = false;
+      const content = message.content.map((part) => {
+        if (part?.type !== 'text') return part;
+        const result = redactText(part.text, policy);
+        addCounts(counts, result.counts);
+        if (result.text === part.text) return part;
+        changed = true;
+        return { ...part, text: result.text };
+      });
+      return changed ? { ...message, content } : message;
+    }
+
+    return message;
+  });
+
+  return { messages: redacted, counts };
+}
+
+let consoleRedactionInstalled = false;
+
+/**
+ * Route console.log/info/warn/error/debug through the default redaction
+ * policy. Arguments are formatted first (as console would), so PII inside
+ * error messages and logged objects is masked too. Set LYNXA_REDACT_LOGS=false
+ * to turn this off, e.g. for local debugging.
+ */
+export function installConsoleRedaction() {
+  if (consoleRedactionInstalled || process.env.LYNXA_REDACT_LOGS === 'false') return;
+  consoleRedactionInstalled = true;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactText(format(...args)).text);
+  }
+}
@@ -0,0 +1,196 @@
+// utils/resilience.js - Retries with backoff and per-provider circuit breakers
+//
+// Breakers decide from in-memory state, so each serverless instance keeps its
+// own view of provider health and a cold instance starts with every circuit
+// closed. State changes are also published to the shared cache so health
+// checks running in another function can report them.
+import { cacheGet, cacheSet } from './cache.js';
+
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.LYNXA_RETRY_MAX_ATTEMPTS || '3');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.LYNXA_RETRY_BASE_DELAY_MS || '250');
+const RETRY_MAX_DELAY_MS = parseInt(process.env.LYNXA_RETRY_MAX_DELAY_MS || '4000');
+
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.LYNXA_BREAKER_FAILURE_THRESHOLD || '5');
+const BREAKER_COOLDOWN_MS = parseInt(process.env.LYNXA_BREAKER_COOLDOWN_MS || '30000');
+const BREAKER_STATE_TTL_SECONDS = 3600;
+
+// name -> { state, failures, openedAt, lastFailure, lastError, trialStartedAt }
+const breakers = new Map();
+
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter: random delay in [0, base * 2^attempt]
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Call `fn()` (which resolves with a fetch Response) and retry on 429, 5xx
+ * and network errors, up to LYNXA_RETRY_MAX_ATTEMPTS attempts in total. A
+ * `Retry-After` header sets the wait; when it asks for longer than
+ * LYNXA_RETRY_MAX_DELAY_MS the response is returned instead of waiting.
+ * Timeouts (AbortError) and an aborted `signal` are never retried.
+ * `onAttempt(outcome)` is told about every attempt, for circuit breaking;
+ * retrying stops early once `canRetry()` returns false.
+ */
+export async function withRetry(fn, { signal, onAttempt = () => {}, canRetry = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const lastAttempt = attempt + 1 >= RETRY_MAX_ATTEMPTS;
+    let delay;
+
+    try {
+      const response = await fn();
+      const retryable = isRetryableStatus(response.status);
+      onAttempt({ ok: !retryable, status: response.status });
+
+      if (!retryable || lastAttempt || !canRetry()) return response;
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null && retryAfter > RETRY_MAX_DELAY_MS) return response;
+
+      delay = retryAfter ?? backoffDelay(attempt);
+      await response.body?.cancel().catch(() => {});
+      console.warn(`Upstream returned ${response.status}, retrying in ${Math.round(delay)}ms`);
+    } catch (error) {
+      // The caller hanging up says nothing about the provider's health
+      if (signal?.aborted) throw error;
+
+      onAttempt({ ok: false, error: error.message });
+      if (error.name === 'AbortError' || lastAttempt || !canRetry()) throw error;
+
+      delay = backoffDelay(attempt);
+      console.warn(`Upstream request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+    }
+
+    await sleep(delay, signal);
+  }
+}
+
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { state: 'closed', failures: 0, openedAt: null, lastFailure: null, lastError: null, trialStartedAt: null });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Whether a request to `name` may go out. An open circuit rejects calls until
+ * the cooldown has passed, then lets a single trial request through
+ * (half-open). Returns `{ allowed, retryAfterMs }`.
+ */
+export function checkCircuit(name) {
+  const breaker = getBreaker(name);
+
+  if (breaker.state === 'open') {
+    const remaining = breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+    if (remaining > 0) return { allowed: false, retryAfterMs: remaining };
+
+    breaker.state = 'half_open';
+    breaker.trialStartedAt = null;
+  }
+
+  // One trial at a time; a trial that never reported back is replaced after a cooldown
+  if (breaker.state === 'half_open') {
+    const now = Date.now();
+    if (breaker.trialStartedAt && now - breaker.trialStartedAt < BREAKER_COOLDOWN_MS) {
+      return { allowed: false, retryAfterMs: breaker.trialStartedAt + BREAKER_COOLDOWN_MS - now };
+    }
+    breaker.trialStartedAt = now;
+  }
+
+  return { allowed: true, retryAfterMs: 0 };
+}
+
+export function isCircuitOpen(name) {
+  return getBreaker(name).state === 'open';
+}
+
+function toSnapshot(name, breaker) {
+  return {
+    name,
+    state: breaker.state,
+    consecutive_failures: breaker.failures,
+    opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    last_failure: breaker.lastFailure,
+    last_error: breaker.lastError
+  };
+}
+
+function publishCircuit(name, breaker) {
+  cacheSet(`lynxa:circuit:${name}`, toSnapshot(name, breaker), BREAKER_STATE_TTL_SECONDS)
+    .catch(error => console.warn('Circuit state publish failed:', error.message));
+}
+
+// Feed an attempt outcome into the breaker for `name`
+export function recordCircuitResult(name, { ok, status, error }) {
+  const breaker = getBreaker(name);
+
+  if (ok) {
+    // Healthy calls only cost a cache write when they change something
+    if (breaker.state === 'closed' && breaker.failures === 0) return;
+
+    if (breaker.state !== 'closed') console.info(`Circuit for ${name} closed`);
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.trialStartedAt = null;
+    publishCircuit(name, breaker);
+    return;
+  }
+
+  breaker.failures++;
+  breaker.lastFailure = new Date().toISOString();
+  breaker.lastError = error || `HTTP ${status}`;
+
+  // A failed trial re-opens immediately; otherwise wait for sustained failures
+  if (breaker.state === 'half_open' || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') console.warn(`Circuit for ${name} opened after ${breaker.failures} failure(s)`);
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    breaker.trialStartedAt = null;
+  }
+
+  publishCircuit(name, breaker);
+}
+
+/**
+ * Latest published breaker state for each of `names` (this instance's own
+ * state when nothing was published), for health checks. An open circuit
+ * whose cooldown has passed is reported as half-open.
+ */
+export async function getCircuitStates(names) {
+  return Promise.all(names.map(async (name) => {
+    const snapshot = await cacheGet(`lynxa:circuit:${name}`)
+      || toSnapshot(name, breakers.get(name) || { state: 'closed', failures: 0, openedAt: null, lastFailure: null, lastError: null });
+
+    if (snapshot.state !== 'open') return snapshot;
+
+    const retryAfterMs = Date.parse(snapshot.opened_at) + BREAKER_COOLDOWN_MS - Date.now();
+    return retryAfterMs > 0
+      ? { ...snapshot, retry_after_ms: retryAfterMs }
+      : { ...snapshot, state: 'half_open' };
+  }));
+}
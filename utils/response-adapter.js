@@ -0,0 +1,64 @@
+// utils/response-adapter.js - Rewrite another handler's JSON and SSE output on the fly
+
+/**
+ * Wrap `res` so a handler written for one API shape can serve another.
+ * `translateJson(status, payload)` rewrites `res.json()` bodies;
+ * `translateEvent(data)` receives each parsed SSE `data:` payload (except
+ * `[DONE]`) and returns the text to send instead. `onDone()` returns the text
+ * to send for `[DONE]`. SSE comments and everything else pass through to `res`.
+ */
+export function adaptResponse(res, { translateJson, translateEvent, onDone = () => '' }) {
+  let buffer = '';
+
+  const overrides = {
+    status(code) {
+      res.status(code);
+      return proxy;
+    },
+    json(payload) {
+      return res.json(translateJson(res.statusCode || 200, payload));
+    },
+    write(chunk) {
+      buffer += String(chunk);
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      const out = events
+        .map(event => {
+          const data = event.split('\n').find(line => line.startsWith('data: '))?.slice(6);
+          // Comment-only events (keep-alives) pass through untouched
+          if (data === undefined) return event.startsWith(':') ? `${event}\n\n` : '';
+          return data === '[DONE]' ? onDone() : translateEvent(JSON.parse(data));
+        })
+        .join('');
+
+      return out ? res.write(out) : true;
+    },
+    end(chunk) {
+      if (chunk) overrides.write(chunk);
+      return res.end();
+    }
+  };
+
+  const proxy = new Proxy(res, {
+    get(target, prop) {
+      if (prop in overrides) return overrides[prop];
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  return proxy;
+}
+
+// Present `req` to a handler with a different body and extra headers
+export function adaptRequest(req, { body, headers = {} }) {
+  return new Proxy(req, {
+    get(target, prop) {
+      if (prop === 'body') return body;
+      if (prop === 'headers') return { ...target.headers, ...headers };
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
@@ -0,0 +1,113 @@
+// utils/sampling.js - Sampling parameters for /api/lynxa with organization policy
+//
+// Organizations narrow the allowed ranges and set their own defaults in
+// `organizations.settings.sampling`:
+//   {
+//     "defaults": { "temperature": 0.2, "top_p": 0.9 },
+//     "ranges": { "temperature": { "min": 0, "max": 1 }, "n": { "max": 2 } }
+//   }
+// Ranges can only be narrowed; values outside the built-in range are ignored.
+// The plan caps `n` through `plans.limits.max_choices` (-1 for unlimited).
+
+const NUMERIC_PARAMS = {
+  temperature: { min: 0, max: 2, default: 0.7 },
+  top_p: { min: 0, max: 1 },
+  presence_penalty: { min: -2, max: 2 },
+  frequency_penalty: { min: -2, max: 2 },
+  n: { min: 1, max: 8, default: 1, integer: true },
+  seed: { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER, integer: true },
+  top_logprobs: { min: 0, max: 20, integer: true }
+};
+
+export const MAX_STOP_SEQUENCES = 4;
+
+export const SAMPLING_PARAMS = [...Object.keys(NUMERIC_PARAMS), 'stop', 'logprobs'];
+
+// Built-in range intersected with the organization's and, for `n`, the plan's
+function effectiveRange(name, policy, planLimits) {
+  const base = NUMERIC_PARAMS[name];
+  const override = policy?.ranges?.[name] || {};
+  let min = base.min;
+  let max = base.max;
+
+  if (typeof override.min === 'number' && override.min >= base.min && override.min <= base.max) min = override.min;
+  if (typeof override.max === 'number' && override.max <= base.max && override.max >= min) max = override.max;
+
+  if (name === 'n' && Number.isInteger(planLimits?.max_choices) && planLimits.max_choices > 0) {
+    max = Math.min(max, planLimits.max_choices);
+  }
+
+  return { min, max };
+}
+
+function invalid(field, message, type) {
+  return { field, message, type };
+}
+
+/**
+ * Resolve the sampling parameters to send upstream. Precedence is request,
+ * then persona (temperature only), then organization defaults, then built-in
+ * defaults. Returns `{ params }` or `{ error }` with a VALIDATION_ERROR body.
+ */
+export function resolveSampling(body, { settings, planLimits, personaTemperature } = {}) {
+  const policy = settings?.sampling;
+  const defaults = policy?.defaults || {};
+  const params = {};
+  const details = [];
+
+  for (const [name, spec] of Object.entries(NUMERIC_PARAMS)) {
+    const requested = body[name];
+    const value = requested
+      ?? (name === 'temperature' ? personaTemperature : undefined)
+      ?? defaults[name]
+      ?? spec.default;
+    if (value === undefined || value === null) continue;
+
+    const { min, max } = effectiveRange(name, policy, planLimits);
+    if (typeof value !== 'number' || (spec.integer && !Number.isInteger(value))) {
+      details.push(invalid(name, `${name} must be ${spec.integer ? 'an integer' : 'a number'}`, 'number.base'));
+    } else if (value < min || value > max) {
+      // Only the caller's own value is an error; stored defaults are clamped into range
+      if (requested !== undefined) {
+        details.push(invalid(name, `${name} must be between ${min} and ${max} for your organization`, 'number.range'));
+        continue;
+      }
+      params[name] = Math.min(Math.max(value, min), max);
+    } else {
+      params[name] = value;
+    }
+  }
+
+  const stop = body.stop ?? defaults.stop;
+  if (stop !== undefined && stop !== null) {
+    const sequences = typeof stop === 'string' ? [stop] : stop;
+    if (!Array.isArray(sequences) || sequences.some(seq => typeof seq !== 'string' || seq.length === 0)) {
+      details.push(invalid('stop', 'stop must be a non-empty string or an array of non-empty strings', 'stop.base'));
+    } else if (sequences.length > MAX_STOP_SEQUENCES) {
+      details.push(invalid('stop', `stop accepts at most ${MAX_STOP_SEQUENCES} sequences`, 'array.max'));
+    } else {
+      params.stop = sequences;
+    }
+  }
+
+  const logprobs = body.logprobs ?? defaults.logprobs;
+  if (logprobs !== undefined && logprobs !== null) {
+    if (typeof logprobs !== 'boolean') {
+      details.push(invalid('logprobs', 'logprobs must be a boolean', 'boolean.base'));
+    } else {
+      params.logprobs = logprobs;
+    }
+  }
+  if (params.top_logprobs !== undefined && !params.logprobs) {
+    details.push(invalid('top_logprobs', 'top_logprobs requires logprobs to be true', 'any.dependency'));
+  }
+
+  if (details.length > 0) {
+    return { error: { error: 'Invalid request', code: 'VALIDATION_ERROR', details } };
+  }
+
+  // `n: 1` is the upstream default, so it is left out of the payload
+  if (params.n === 1) delete params.n;
+
+  return { params };
+}
@@ -0,0 +1,48 @@
+// utils/sse.js - Server-sent events parsing for upstream streams
+
+export const SSE_KEEPALIVE_MS = parseInt(process.env.LYNXA_SSE_KEEPALIVE_MS || '15000');
+
+/**
+ * Read an SSE response body and yield the `data` of each complete event.
+ * Lines are buffered across network reads, so an event split over several
+ * chunks is reassembled; multi-line `data:` fields are joined with "\n" and
+ * comment lines (": ...") are skipped. Breaking out of the loop cancels the
+ * underlying stream.
+ */
+export async function* readSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let dataLines = [];
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      // Keep the trailing partial line for the next read; at end of stream it is complete
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+
+      for (const rawLine of lines) {
+        const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+        if (line === '') {
+          if (dataLines.length > 0) yield dataLines.join('\n');
+          dataLines = [];
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+        }
+        // Comments and other fields (event, id, retry) carry nothing we use
+      }
+
+      if (done) {
+        // Upstream closed without the blank line that ends the last event
+        if (dataLines.length > 0) yield dataLines.join('\n');
+        return;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,187 @@
+// utils/structured-output.js - JSON mode and JSON Schema enforcement for chat completions
+import Joi from 'joi';
+
+const DEFAULT_MAX_RETRIES = parseInt(process.env.LYNXA_SCHEMA_MAX_RETRIES || '2');
+const MAX_RETRIES_LIMIT = 5;
+
+function invalidResponseFormat(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_RESPONSE_FORMAT';
+  return error;
+}
+
+/**
+ * Translate a JSON Schema (the subset used for structured output: types,
+ * properties/required, items, enum/const, anyOf/oneOf, string/number bounds
+ * and local $refs) into an equivalent Joi schema.
+ */
+export function jsonSchemaToJoi(schema, root = schema) {
+  if (schema === true || !schema || Object.keys(schema).length === 0) {
+    return Joi.any();
+  }
+
+  if (schema.$ref) {
+    const match = /^#\/(\$defs|definitions)\/(.+)$/.exec(schema.$ref);
+    const target = match && root[match[1]]?.[match[2]];
+    if (!target) {
+      throw invalidResponseFormat(`Unsupported or unresolved $ref: ${schema.$ref}`);
+    }
+    return jsonSchemaToJoi(target, root);
+  }
+
+  if (schema.enum) return Joi.any().valid(...schema.enum);
+  if (schema.const !== undefined) return Joi.any().valid(schema.const);
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (variants) {
+    return Joi.alternatives().try(...variants.map(variant => jsonSchemaToJoi(variant, root)));
+  }
+
+  if (Array.isArray(schema.type)) {
+    return Joi.alternatives().try(...schema.type.map(type => jsonSchemaToJoi({ ...schema, type }, root)));
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      const required = new Set(schema.required || []);
+      const keys = {};
+
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        const property = jsonSchemaToJoi(propertySchema, root);
+        keys[name] = required.has(name) ? property.required() : property;
+      }
+
+      let objectSchema = Joi.object(keys);
+      if (schema.additionalProperties === false) {
+        objectSchema = objectSchema.unknown(false);
+      } else if (typeof schema.additionalProperties === 'object') {
+        objectSchema = objectSchema.pattern(/./, jsonSchemaToJoi(schema.additionalProperties, root));
+      } else {
+        objectSchema = objectSchema.unknown(true);
+      }
+      return objectSchema;
+    }
+
+    case 'array': {
+      let arraySchema = Joi.array();
+      if (schema.items) arraySchema = arraySchema.items(jsonSchemaToJoi(schema.items, root));
+      if (schema.minItems !== undefined) arraySchema = arraySchema.min(schema.minItems);
+      if (schema.maxItems !== undefined) arraySchema = arraySchema.max(schema.maxItems);
+      return arraySchema;
+    }
+
+    case 'string': {
+      let stringSchema = Joi.string().allow('');
+      if (schema.minLength !== undefined) stringSchema = stringSchema.min(schema.minLength);
+      if (schema.maxLength !== undefined) stringSchema = stringSchema.max(schema.maxLength);
+      if (schema.pattern) stringSchema = stringSchema.pattern(new RegExp(schema.pattern));
+      if (schema.format === 'email') stringSchema = stringSchema.email();
+      if (schema.format === 'uri') stringSchema = stringSchema.uri();
+      if (schema.format === 'date-time') stringSchema = stringSchema.isoDate();
+      if (schema.format === 'uuid') stringSchema = stringSchema.guid();
+      return stringSchema;
+    }
+
+    case 'integer':
+    case 'number': {
+      let numberSchema = schema.type === 'integer' ? Joi.number().integer() : Joi.number();
+      if (schema.minimum !== undefined) numberSchema = numberSchema.min(schema.minimum);
+      if (schema.maximum !== undefined) numberSchema = numberSchema.max(schema.maximum);
+      if (schema.exclusiveMinimum !== undefined) numberSchema = numberSchema.greater(schema.exclusiveMinimum);
+      if (schema.exclusiveMaximum !== undefined) numberSchema = numberSchema.less(schema.exclusiveMaximum);
+      return numberSchema;
+    }
+
+    case 'boolean':
+      return Joi.boolean();
+
+    case 'null':
+      return Joi.any().valid(null);
+
+    default:
+      return Joi.any();
+  }
+}
+
+/**
+ * Validate and compile a `response_format` request field.
+ * Returns null for plain text output, otherwise
+ * `{ type, name, schema, validator, maxRetries }`.
+ */
+export function compileResponseFormat(responseFormat, maxRetries) {
+  if (!responseFormat || responseFormat.type === 'text') return null;
+
+  const retries = maxRetries === undefined ? DEFAULT_MAX_RETRIES : maxRetries;
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES_LIMIT) {
+    throw invalidResponseFormat(`"schema_retries" must be an integer between 0 and ${MAX_RETRIES_LIMIT}`);
+  }
+
+  if (responseFormat.type === 'json_object') {
+    return { type: 'json_object', name: null, schema: null, validator: null, maxRetries: retries };
+  }
+
+  if (responseFormat.type !== 'json_schema') {
+    throw invalidResponseFormat('"response_format.type" must be one of "text", "json_object" or "json_schema"');
+  }
+
+  const { name = 'response', schema } = responseFormat.json_schema || {};
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw invalidResponseFormat('"response_format.json_schema.schema" must be a JSON Schema object');
+  }
+
+  return { type: 'json_schema', name, schema, validator: jsonSchemaToJoi(schema), maxRetries: retries };
+}
+
+// System instruction that steers the model towards the requested JSON shape
+export function buildFormatInstruction(format) {
+  if (format.type === 'json_object') {
+    return 'Respond only with a single valid JSON object. Do not include any text outside the JSON.';
+  }
+
+  return `Respond only with a single valid JSON value that conforms to the JSON Schema "${format.name}" below. Do not include any text outside the JSON.\n\n${JSON.stringify(format.schema)}`;
+}
+
+/**
+ * Parse model output and check it against the compiled format.
+ * Returns `{ valid: true, value }` or `{ valid: false, errors: [{ path, message }] }`.
+ */
+export function validateOutput(text, format) {
+  let value;
+  try {
+    // Tolerate a fenced ```json block, which some models emit despite instructions
+    const unfenced = String(text ?? '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    value = JSON.parse(unfenced);
+  } catch (error) {
+    return { valid: false, errors: [{ path: '', message: `Output is not valid JSON: ${error.message}` }] };
+  }
+
+  if (format.type === 'json_object' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+    return { valid: false, errors: [{ path: '', message: 'Output must be a JSON object' }] };
+  }
+
+  if (format.validator) {
+    const { error } = format.validator.validate(value, { abortEarly: false, convert: false });
+    if (error) {
+      return {
+        valid: false,
+        errors: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+      };
+    }
+  }
+
+  return { valid: true, value };
+}
+
+// Follow-up turn asking the model to fix its previous, invalid output
+export function buildCorrectionMessages(previousOutput, errors) {
+  const problems = errors.map(e => `- ${e.path ? `${e.path}: ` : ''}${e.message}`).join('\n');
+
+  return [
+    { role: 'assistant', content: previousOutput ?? '' },
+    {
+      role: 'user',
+      content: `Your previous response did not satisfy the required JSON format:\n${problems}\n\nRespond again with only the corrected JSON.`
+    }
+  ];
+}
@@ -0,0 +1,180 @@
+// utils/templates.js - Organization prompt templates: validation, lookup and rendering
+//
+// A template version holds a list of messages whose content may contain
+// `{{variable}}` placeholders, and the declared variables:
+//   [{ "name": "product", "type": "string", "description": "...", "default": "Lynxa" }]
+// A variable without a `default` must be supplied by the caller.
+import { MAX_MESSAGE_CHARS } from './validation.js';
+
+export const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+export const VARIABLE_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const TEMPLATE_ROLES = ['system', 'user', 'assistant'];
+const MAX_TEMPLATE_MESSAGES = 50;
+const MAX_TEMPLATE_VARIABLES = 50;
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return false;
+  }
+}
+
+// Placeholder names used anywhere in `messages`, in order of first use
+export function extractPlaceholders(messages) {
+  const names = new Set();
+  for (const { content } of messages) {
+    for (const match of String(content).matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+  }
+  return [...names];
+}
+
+/**
+ * Check template fields from a create/update request. `partial` allows
+ * omitting fields (updates); `messages` and `variables` are checked against
+ * each other, so an update that changes one must send both or neither.
+ * Returns a list of `{ field, message }` problems.
+ */
+export function validateTemplateFields({ name, messages, variables }, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+      errors.push({ field: 'name', message: 'Name must be 1-64 letters, digits, "_" or "-"' });
+    }
+  }
+
+  if (partial && messages === undefined && variables === undefined) return errors;
+
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_TEMPLATE_MESSAGES) {
+    errors.push({ field: 'messages', message: `Messages must be an array of 1-${MAX_TEMPLATE_MESSAGES} messages` });
+    return errors;
+  }
+
+  messages.forEach((msg, index) => {
+    if (!msg || !TEMPLATE_ROLES.includes(msg.role)) {
+      errors.push({ field: `messages[${index}].role`, message: `Role must be one of: ${TEMPLATE_ROLES.join(', ')}` });
+    }
+    if (typeof msg?.content !== 'string' || msg.content.trim().length === 0) {
+      errors.push({ field: `messages[${index}].content`, message: 'Content must be a non-empty string' });
+    } else if (msg.content.length > MAX_MESSAGE_CHARS) {
+      errors.push({ field: `messages[${index}].content`, message: `Content must be at most ${MAX_MESSAGE_CHARS} characters` });
+    }
+  });
+
+  const declared = variables ?? [];
+  if (!Array.isArray(declared) || declared.length > MAX_TEMPLATE_VARIABLES) {
+    errors.push({ field: 'variables', message: `Variables must be an array of at most ${MAX_TEMPLATE_VARIABLES} declarations` });
+    return errors;
+  }
+
+  const seen = new Set();
+  declared.forEach((variable, index) => {
+    const field = `variables[${index}]`;
+    if (!variable || typeof variable.name !== 'string' || !VARIABLE_NAME_PATTERN.test(variable.name)) {
+      errors.push({ field: `${field}.name`, message: 'Variable names must start with a letter or "_" and contain only letters, digits and "_"' });
+      return;
+    }
+    if (seen.has(variable.name)) {
+      errors.push({ field: `${field}.name`, message: `Variable ${variable.name} is declared more than once` });
+    }
+    seen.add(variable.name);
+
+    const type = variable.type ?? 'string';
+    if (!VARIABLE_TYPES.includes(type)) {
+      errors.push({ field: `${field}.type`, message: `Type must be one of: ${VARIABLE_TYPES.join(', ')}` });
+    } else if (variable.default !== undefined && !matchesType(variable.default, type)) {
+      errors.push({ field: `${field}.default`, message: `Default for ${variable.name} must be of type ${type}` });
+    }
+  });
+
+  // Every placeholder needs a declaration, so callers know what to send
+  for (const placeholder of extractPlaceholders(messages.filter(msg => typeof msg?.content === 'string'))) {
+    if (!seen.has(placeholder)) {
+      errors.push({ field: 'variables', message: `Placeholder {{${placeholder}}} is not declared` });
+    }
+  }
+
+  return errors;
+}
+
+// Declarations as stored: type defaulted, unknown keys dropped
+export function normalizeVariables(variables = []) {
+  return variables.map(({ name, type = 'string', description, default: defaultValue }) => ({
+    name,
+    type,
+    ...(description !== undefined && { description }),
+    ...(defaultValue !== undefined && { default: defaultValue })
+  }));
+}
+
+/**
+ * Look up a template by id or name within the organization. Returns the
+ * requested version (the current one by default) as
+ * `{ id, name, version, messages, variables }`, or null.
+ */
+export async function resolveTemplate(nile, organizationId, idOrName, version) {
+  if (!organizationId) return null;
+
+  const result = await nile.db.query(
+    `SELECT t.id, t.name, v.version, v.messages, v.variables
+     FROM prompt_templates t
+     JOIN prompt_template_versions v ON v.template_id = t.id AND v.version = COALESCE($3, t.current_version)
+     WHERE t.organization_id = $1 AND (t.id::text = $2 OR t.name = $2)`,
+    [organizationId, idOrName, version ?? null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Substitute `values` into the template's messages. Returns `{ messages }`,
+ * or `{ error }` with a VALIDATION_ERROR body listing every missing,
+ * undeclared or mistyped variable.
+ */
+export function renderTemplate(template, values = {}) {
+  const details = [];
+  const resolved = {};
+  const declared = new Set(template.variables.map(variable => variable.name));
+
+  for (const variable of template.variables) {
+    const value = values[variable.name] ?? variable.default;
+    const field = `variables.${variable.name}`;
+
+    if (value === undefined || value === null) {
+      details.push({ field, message: `Missing value for template variable ${variable.name}`, type: 'any.required' });
+    } else if (!matchesType(value, variable.type)) {
+      details.push({ field, message: `${variable.name} must be of type ${variable.type}`, type: `${variable.type}.base` });
+    } else {
+      resolved[variable.name] = String(value);
+    }
+  }
+
+  for (const name of Object.keys(values)) {
+    if (!declared.has(name)) {
+      details.push({ field: `variables.${name}`, message: `${name} is not a variable of template ${template.name}`, type: 'object.unknown' });
+    }
+  }
+
+  if (details.length === 0) {
+    const messages = template.messages.map(msg => ({
+      role: msg.role,
+      content: msg.content.replace(PLACEHOLDER_PATTERN, (_, name) => resolved[name])
+    }));
+
+    messages.forEach((msg, index) => {
+      if (msg.content.length > MAX_MESSAGE_CHARS) {
+        details.push({ field: 'variables', message: `Rendered message ${index} exceeds ${MAX_MESSAGE_CHARS} characters`, type: 'string.max' });
+      }
+    });
+
+    if (details.length === 0) return { messages };
+  }
+
+  return { error: { error: 'Invalid request', code: 'VALIDATION_ERROR', details } };
+}
@@ -0,0 +1,62 @@
+// utils/threads.js - Conversation thread storage shared by /api/threads and /api/lynxa
+
+// Threads are private to the user that created them, within their organization
+export async function findThread(nile, threadId, userData) {
+  const result = await nile.db.query(
+    `SELECT * FROM conversation_threads
+     WHERE id = $1 AND user_id = $2 AND organization_id IS NOT DISTINCT FROM $3`,
+    [threadId, userData.user_id, userData.organization_id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Stored history in the OpenAI messages format, oldest first
+export async function getThreadMessages(nile, threadId) {
+  const result = await nile.db.query(
+    `SELECT role, content, content_parts, tool_calls, tool_call_id FROM thread_messages
+     WHERE thread_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [threadId]
+  );
+
+  return result.rows.map(row => ({
+    role: row.role,
+    content: row.content_parts ?? row.content,
+    ...(row.tool_calls && { tool_calls: row.tool_calls }),
+    ...(row.tool_call_id && { tool_call_id: row.tool_call_id })
+  }));
+}
+
+/**
+ * Append a completed turn to a thread. `messages` are OpenAI-style
+ * `{ role, content, tool_calls?, tool_call_id? }` objects; `metadata` is
+ * stored with each row.
+ */
+export async function appendThreadMessages(nile, threadId, messages, metadata = {}) {
+  for (const message of messages) {
+    await nile.db.query(
+      `INSERT INTO thread_messages (thread_id, role, content, content_parts, tool_calls, tool_call_id, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, clock_timestamp())`,
+      [
+        threadId,
+        message.role,
+        // Text goes in `content`; part arrays (text + images) keep their shape in `content_parts`
+        Array.isArray(message.content) || message.content == null
+          ? null
+          : typeof message.content === 'string' ? message.content : JSON.stringify(message.content),
+        Array.isArray(message.content) ? JSON.stringify(message.content) : null,
+        message.tool_calls ? JSON.stringify(message.tool_calls) : null,
+        message.tool_call_id || null,
+        JSON.stringify(metadata)
+      ]
+    );
+  }
+
+  await nile.db.query(
+    `UPDATE conversation_threads
+     SET message_count = message_count + $1, last_message_at = NOW()
+     WHERE id = $2`,
+    [messages.length, threadId]
+  );
+}
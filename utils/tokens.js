@@ -0,0 +1,54 @@
+// utils/tokens.js - Local token count estimates for when upstream usage is unavailable
+import { estimateImageTokens } from './images.js';
+
+// Chat formats wrap every message in a few control tokens
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+/**
+ * Approximate the BPE token count of a string. Words count as one token per
+ * ~4 characters, punctuation and symbols as one token each, which tracks
+ * Llama/GPT tokenizers closely enough for metering.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+
+  const pieces = String(text).match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+  return pieces.reduce((sum, piece) => sum + Math.max(1, Math.ceil(piece.length / 4)), 0);
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join(' ');
+  }
+  return content ? JSON.stringify(content) : '';
+}
+
+function contentImageTokens(content) {
+  if (!Array.isArray(content)) return 0;
+  return content.reduce((sum, part) => sum + (part?.type === 'image_url' ? estimateImageTokens(part.image_url) : 0), 0);
+}
+
+// Estimate prompt tokens for an OpenAI-style messages array, images included
+export function estimateMessageTokens(messages = []) {
+  return messages.reduce(
+    (sum, message) => sum + TOKENS_PER_MESSAGE
+      + estimateTokens(contentToText(message.content))
+      + contentImageTokens(message.content)
+      + (message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0),
+    TOKENS_PER_REPLY
+  );
+}
+
+// OpenAI-style usage object estimated from the prompt and the generated text
+export function estimateUsage(promptMessages, completionText) {
+  const promptTokens = estimateMessageTokens(promptMessages);
+  const completionTokens = estimateTokens(completionText);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
@@ -0,0 +1,145 @@
+// utils/tools.js - Normalization of OpenAI-style tool / function calling payloads
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_TOOLS = 128;
+
+function invalidTools(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_TOOLS';
+  return error;
+}
+
+/**
+ * Normalize `tools` to `[{ type: 'function', function: { name, description, parameters } }]`.
+ * Bare `{ name, description, parameters }` definitions are accepted as shorthand.
+ */
+export function normalizeTools(tools) {
+  if (tools === undefined || tools === null) return undefined;
+
+  if (!Array.isArray(tools)) {
+    throw invalidTools('"tools" must be an array');
+  }
+
+  if (tools.length > MAX_TOOLS) {
+    throw invalidTools(`At most ${MAX_TOOLS} tools are supported`);
+  }
+
+  const seen = new Set();
+
+  return tools.map((tool, i) => {
+    const fn = tool?.type === 'function' ? tool.function : tool;
+
+    if (!fn || typeof fn !== 'object' || !TOOL_NAME_PATTERN.test(fn.name || '')) {
+      throw invalidTools(`tools[${i}] must define a function name matching ${TOOL_NAME_PATTERN}`);
+    }
+
+    if (seen.has(fn.name)) {
+      throw invalidTools(`Duplicate tool name: ${fn.name}`);
+    }
+    seen.add(fn.name);
+
+    if (fn.parameters !== undefined && (typeof fn.parameters !== 'object' || Array.isArray(fn.parameters))) {
+      throw invalidTools(`tools[${i}].function.parameters must be a JSON Schema object`);
+    }
+
+    return {
+      type: 'function',
+      function: {
+        name: fn.name,
+        ...(fn.description && { description: fn.description }),
+        parameters: fn.parameters || { type: 'object', properties: {} },
+        ...(fn.strict !== undefined && { strict: fn.strict })
+      }
+    };
+  });
+}
+
+// Accepts 'auto' | 'none' | 'required', { type: 'function', function: { name } } or a bare function name
+export function normalizeToolChoice(toolChoice, tools) {
+  if (toolChoice === undefined || toolChoice === null) return undefined;
+
+  if (['auto', 'none', 'required'].includes(toolChoice)) {
+    if (toolChoice === 'required' && !tools?.length) {
+      throw invalidTools('"tool_choice" is "required" but no tools were provided');
+    }
+    return toolChoice;
+  }
+
+  const name = typeof toolChoice === 'string' ? toolChoice : toolChoice?.function?.name;
+
+  if (!name || !tools?.some(tool => tool.function.name === name)) {
+    throw invalidTools('"tool_choice" must be "auto", "none", "required" or name one of the provided tools');
+  }
+
+  return { type: 'function', function: { name } };
+}
+
+function stringifyArguments(args) {
+  if (args === undefined || args === null) return '{}';
+  return typeof args === 'string' ? args : JSON.stringify(args);
+}
+
+/**
+ * Normalize tool-related fields in a messages array: assistant `tool_calls`
+ * get string `arguments`, and `role: "tool"` results get string content and
+ * must reference the call they answer.
+ */
+export function normalizeToolMessages(messages) {
+  return messages.map((message, i) => {
+    if (message.role === 'tool') {
+      if (!message.tool_call_id) {
+        throw invalidTools(`messages[${i}] with role "tool" requires "tool_call_id"`);
+      }
+
+      return {
+        role: 'tool',
+        tool_call_id: message.tool_call_id,
+        content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? null)
+      };
+    }
+
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      return {
+        ...message,
+        content: message.content ?? null,
+        tool_calls: message.tool_calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.function?.name,
+            arguments: stringifyArguments(call.function?.arguments)
+          }
+        }))
+      };
+    }
+
+    return message;
+  });
+}
+
+/**
+ * Accumulates streamed `delta.tool_calls` fragments (keyed by `index`) into
+ * complete tool calls, as OpenAI-compatible providers split name and
+ * arguments across many chunks.
+ */
+export function createToolCallAccumulator() {
+  const calls = [];
+
+  return {
+    add(deltas) {
+      for (const delta of deltas) {
+        const index = delta.index ?? 0;
+        const call = calls[index] || (calls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.function.name += delta.function.name;
+        if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+      }
+    },
+
+    get calls() {
+      return calls.filter(Boolean);
+    }
+  };
+}
@@ -0,0 +1,216 @@
+// utils/transcripts.js - Opt-in request/response transcripts and replay diffs
+//
+// Organizations opt in with `organizations.settings.transcripts`:
+//   { "enabled": true, "retention_days": 30 }
+// An API key's `store_transcripts` column overrides the organization for that
+// key (true or false); NULL follows it. Transcripts are deleted after
+// `retention_days` (1-365) and are masked like thread messages when the
+// organization's redaction policy has `transcripts` set.
+import { buildRedactionPolicy, redactValue } from './redaction.js';
+
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.LYNXA_TRANSCRIPT_RETENTION_DAYS || '30');
+const MAX_RETENTION_DAYS = 365;
+
+// Word-level diffs beyond this many comparisons fall back to replacing the whole text
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Whether requests made with this key are stored, and for how long.
+ * Returns `{ retentionDays }` or null.
+ */
+export function resolveTranscriptPolicy(userData) {
+  const config = userData.organization_settings?.transcripts;
+  const enabled = userData.store_transcripts ?? config?.enabled === true;
+  if (!enabled) return null;
+
+  const days = parseInt(config?.retention_days);
+  return {
+    retentionDays: Math.min(Math.max(Number.isInteger(days) ? days : DEFAULT_RETENTION_DAYS, 1), MAX_RETENTION_DAYS)
+  };
+}
+
+/**
+ * Store one exchange under its response id. `messages` is the conversation
+ * as sent upstream (rendered template, thread history) minus the persona
+ * system prompt, so a replay can re-run it without the template or thread.
+ */
+export async function saveTranscript(nile, userData, policy, { requestId, endpoint, model, provider, request, messages, response, metadata = {} }) {
+  const redactionPolicy = buildRedactionPolicy(userData.organization_settings);
+  const redact = value => (redactionPolicy?.transcripts ? redactValue(value, redactionPolicy) : value);
+
+  await nile.db.query(
+    `INSERT INTO transcripts (request_id, api_key_id, user_id, organization_id, endpoint, model, provider, request, messages, response, metadata, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW() + make_interval(days => $12), NOW())
+     ON CONFLICT (request_id) DO NOTHING`,
+    [
+      requestId,
+      userData.id,
+      userData.user_id,
+      userData.organization_id,
+      endpoint,
+      model,
+      provider,
+      JSON.stringify(redact(request)),
+      JSON.stringify(redact(messages)),
+      JSON.stringify(redact(response)),
+      JSON.stringify(metadata),
+      policy.retentionDays
+    ]
+  );
+}
+
+// The key owner, their organization's admins and platform admins can read a transcript
+function canViewTranscript(userData, transcript) {
+  if (transcript.user_id === userData.user_id) return true;
+  if (userData.role === 'admin' || userData.role === 'super_admin') return true;
+  return userData.role === 'org_admin' && transcript.organization_id === userData.organization_id;
+}
+
+// An unexpired transcript the caller may read, or null
+export async function findTranscript(nile, requestId, userData) {
+  const result = await nile.db.query(
+    'SELECT * FROM transcripts WHERE request_id = $1 AND expires_at > NOW()',
+    [requestId]
+  );
+
+  const transcript = result.rows[0];
+  return transcript && canViewTranscript(userData, transcript) ? transcript : null;
+}
+
+/**
+ * The /api/lynxa body that re-runs a transcript: the stored conversation
+ * replaces the message, template and thread fields, and the persona is
+ * looked up again by name, so its current version (and model, unless the
+ * request named one) applies. Streaming and the response cache are off.
+ */
+export function buildReplayRequest(transcript) {
+  const {
+    message,
+    messages,
+    template_id,
+    template_version,
+    variables,
+    thread_id,
+    stream,
+    cache,
+    ...rest
+  } = transcript.request;
+
+  return { ...rest, messages: transcript.messages, stream: false, cache: false };
+}
+
+// Words and the whitespace between them, so a diff keeps the original spacing
+function tokenize(text) {
+  return text.match(/\s+|\S+/g) || [];
+}
+
+// Append `text` to `segments`, merging with the previous segment of the same op
+function pushSegment(segments, op, text) {
+  const last = segments[segments.length - 1];
+  if (last?.op === op) last.text += text;
+  else segments.push({ op, text });
+}
+
+/**
+ * Word-level diff of two texts as `[{ op: 'equal' | 'delete' | 'insert', text }]`;
+ * joining the equal and delete segments gives `before`, equal and insert gives `after`.
+ */
+export function diffText(before, after) {
+  const a = tokenize(before ?? '');
+  const b = tokenize(after ?? '');
+  const segments = [];
+
+  // Only the differing middle goes through the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) pushSegment(segments, 'equal', a.slice(0, start).join(''));
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_DIFF_CELLS) {
+    pushSegment(segments, 'delete', a.slice(start, endA).join(''));
+    pushSegment(segments, 'insert', b.slice(start, endB).join(''));
+  } else if (n > 0 || m > 0) {
+    // lcs[i * (m + 1) + j] = longest common subsequence of a[start + i..] and b[start + j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        pushSegment(segments, 'equal', a[start + i]);
+        i++;
+        j++;
+      } else if (j === m || (i < n && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        pushSegment(segments, 'delete', a[start + i]);
+        i++;
+      } else {
+        pushSegment(segments, 'insert', b[start + j]);
+        j++;
+      }
+    }
+  }
+
+  if (endA < a.length) pushSegment(segments, 'equal', a.slice(endA).join(''));
+  return segments;
+}
+
+/**
+ * Compare a stored chat.completion with its replay, choice by choice.
+ * Content is diffed word by word; finish reasons and tool calls are reported
+ * as `{ original, replay }` when they differ.
+ */
+export function diffCompletions(original, replay) {
+  const count = Math.max(original.choices?.length ?? 0, replay.choices?.length ?? 0);
+  const choices = [];
+
+  for (let index = 0; index < count; index++) {
+    const before = original.choices?.[index];
+    const after = replay.choices?.[index];
+    const beforeContent = before?.message?.content ?? '';
+    const afterContent = after?.message?.content ?? '';
+    const beforeTools = JSON.stringify(before?.message?.tool_calls ?? null);
+    const afterTools = JSON.stringify(after?.message?.tool_calls ?? null);
+
+    const choice = {
+      index,
+      identical: beforeContent === afterContent
+        && before?.finish_reason === after?.finish_reason
+        && beforeTools === afterTools,
+      content: diffText(beforeContent, afterContent)
+    };
+    if (before?.finish_reason !== after?.finish_reason) {
+      choice.finish_reason = { original: before?.finish_reason ?? null, replay: after?.finish_reason ?? null };
+    }
+    if (beforeTools !== afterTools) {
+      choice.tool_calls = { original: before?.message?.tool_calls ?? null, replay: after?.message?.tool_calls ?? null };
+    }
+    choices.push(choice);
+  }
+
+  return {
+    identical: choices.every(choice => choice.identical),
+    ...(original.model !== replay.model && { model: { original: original.model, replay: replay.model } }),
+    ...(original.provider !== replay.provider && { provider: { original: original.provider, replay: replay.provider } }),
+    ...(JSON.stringify(original.persona ?? null) !== JSON.stringify(replay.persona ?? null) && {
+      persona: { original: original.persona ?? null, replay: replay.persona ?? null }
+    }),
+    usage: { original: original.usage ?? null, replay: replay.usage ?? null },
+    choices
+  };
+}
@@ -0,0 +1,73 @@
+// utils/usage.js - Per-request usage persistence shared by streaming and non-streaming paths
+import getNile from './nile.js';
+import { buildRedactionPolicy, redactValue } from './redaction.js';
+import { trackQuotaUsage } from './quotas.js';
+
+/**
+ * Persist token usage for a completed request. Writes to `api_usage` (read by
+ * billing and monitoring) and the legacy `api_logs` table (read by analytics).
+ * Metadata is masked with the organization's redaction policy
+ * (`userData.organization_settings`) before it is stored. The request and
+ * its tokens are also added to the monthly quota counters.
+ * Pass `nile` to reuse the caller's connection (the batch worker does).
+ * Failures are logged and swallowed so metering never breaks a response.
+ */
+export async function recordUsage(userData, apiKey, {
+  endpoint = '/api/lynxa',
+  method = 'POST',
+  statusCode = 200,
+  promptTokens = 0,
+  completionTokens = 0,
+  cost = 0,
+  responseTime = null,
+  requestId = null,
+  userAgent = null,
+  ipAddress = null,
+  metadata = {}
+} = {}, nile = null) {
+  try {
+    nile = nile || await getNile();
+
+    await nile.db.query(
+      `INSERT INTO api_usage (
+         api_key_id, endpoint, method, status_code, response_time,
+         input_tokens, output_tokens, total_tokens, cost, user_agent, ip_address,
+         request_id, metadata, created_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())`,
+      [
+        userData.id,
+        endpoint,
+        method,
+        statusCode,
+        responseTime,
+        promptTokens,
+        completionTokens,
+        promptTokens + completionTokens,
+        cost,
+        userAgent,
+        ipAddress,
+        requestId,
+        JSON.stringify(redactValue(metadata, buildRedactionPolicy(userData.organization_settings)))
+      ]
+    );
+
+    await trackQuotaUsage(nile, userData, {
+      // Auxiliary calls (context summaries) add tokens but not a request; failed calls add neither
+      requests: metadata.purpose || metadata.error ? 0 : 1,
+      tokens: promptTokens + completionTokens
+    });
+
+    // `api_logs` is not part of database/schema.sql, so a missing table must not stop the writes above
+    try {
+      await nile.db.query(
+        `INSERT INTO api_logs (user_email, api_key, input_tokens, output_tokens, created_at)
+         VALUES ($1, $2, $3, $4, NOW())`,
+        [userData.email, apiKey, promptTokens, completionTokens]
+      );
+    } catch (legacyErr) {
+      console.warn('Legacy api_logs write failed:', legacyErr.message);
+    }
+  } catch (logErr) {
+    console.warn('Usage log failed:', logErr.message);
+  }
+}
@@ -0,0 +1,147 @@
+// utils/validation.js - Request schema for /api/lynxa
+import Joi from 'joi';
+import { CONTEXT_STRATEGIES } from './context.js';
+
+export const MAX_MESSAGES = parseInt(process.env.LYNXA_MAX_MESSAGES || '256');
+export const MAX_MESSAGE_CHARS = parseInt(process.env.LYNXA_MAX_MESSAGE_CHARS || '100000');
+export const DEFAULT_MAX_TOKENS = 4096;
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+const textPart = Joi.object({
+  type: Joi.string().valid('text').required(),
+  text: Joi.string().allow('').max(MAX_MESSAGE_CHARS).required()
+});
+
+const imagePart = Joi.object({
+  type: Joi.string().valid('image_url').required(),
+  image_url: Joi.object({
+    url: Joi.string().required(),
+    detail: Joi.string().valid('auto', 'low', 'high')
+  }).required()
+});
+
+const contentPart = Joi.alternatives()
+  .conditional('.type', [
+    { is: 'text', then: textPart },
+    { is: 'image_url', then: imagePart }
+  ])
+  .messages({ 'alternatives.any': 'content part type must be "text" or "image_url"' });
+
+const toolCall = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().valid('function'),
+  function: Joi.object({
+    name: Joi.string().required(),
+    arguments: Joi.alternatives().try(Joi.string(), Joi.object())
+  }).required()
+});
+
+const messageSchema = Joi.object({
+  role: Joi.string().valid(...MESSAGE_ROLES).required(),
+  content: Joi.alternatives().conditional('role', [
+    {
+      // Tool results may be any JSON value; it is serialized before sending
+      is: 'tool',
+      then: Joi.alternatives().try(Joi.string().allow('').max(MAX_MESSAGE_CHARS), Joi.array(), Joi.object()).required()
+    },
+    {
+      // Assistant turns that only call tools carry no text
+      is: 'assistant',
+      then: Joi.alternatives().try(
+        Joi.string().allow('').max(MAX_MESSAGE_CHARS),
+        Joi.array().items(textPart).min(1),
+        Joi.valid(null)
+      )
+    },
+    {
+      is: 'user',
+      then: Joi.alternatives().try(
+        Joi.string().max(MAX_MESSAGE_CHARS),
+        Joi.array().items(contentPart).min(1)
+      ).required(),
+      otherwise: Joi.alternatives().try(
+        Joi.string().max(MAX_MESSAGE_CHARS),
+        Joi.array().items(textPart).min(1)
+      ).required()
+    }
+  ]),
+  name: Joi.string().max(64),
+  tool_calls: Joi.when('role', { is: 'assistant', then: Joi.array().items(toolCall), otherwise: Joi.forbidden() }),
+  tool_call_id: Joi.when('role', { is: 'tool', then: Joi.string().required(), otherwise: Joi.forbidden() })
+}).unknown(true);
+
+/**
+ * Body of a POST /api/lynxa request. Unknown top-level fields are ignored so
+ * OpenAI-compatible clients can send extras such as `user`.
+ */
+export const lynxaRequestSchema = Joi.object({
+  model: Joi.string().max(100),
+  persona: Joi.string().max(64),
+  message: Joi.string().min(1).max(MAX_MESSAGE_CHARS),
+  messages: Joi.array().items(messageSchema).min(1).max(MAX_MESSAGES),
+  template_id: Joi.string().max(100),
+  template_version: Joi.number().integer().min(1),
+  variables: Joi.object(),
+  max_tokens: Joi.number().integer().min(1).default(DEFAULT_MAX_TOKENS),
+  stream: Joi.boolean().default(false),
+  thread_id: Joi.string().guid(),
+  tools: Joi.array().items(Joi.object()),
+  tool_choice: Joi.alternatives().try(Joi.string().valid('auto', 'none', 'required'), Joi.object()),
+  parallel_tool_calls: Joi.boolean(),
+  response_format: Joi.object({
+    type: Joi.string().valid('text', 'json_object', 'json_schema').required()
+  }).unknown(true),
+  schema_retries: Joi.number().integer().min(0),
+  cache: Joi.boolean(),
+  context_strategy: Joi.string().valid(...CONTEXT_STRATEGIES),
+  context_keep_last: Joi.number().integer().min(1)
+})
+  .or('message', 'messages', 'template_id')
+  .with('template_version', 'template_id')
+  .with('variables', 'template_id')
+  .messages({ 'object.missing': 'One of "message" string, "messages" array or "template_id" is required' })
+  .unknown(true);
+
+// Joi path ['messages', 0, 'role'] -> "messages[0].role"
+function formatPath(path) {
+  return path.reduce((out, key) => (
+    typeof key === 'number' ? `${out}[${key}]` : out ? `${out}.${key}` : key
+  ), '');
+}
+
+/**
+ * Validate a request body against `schema`. Returns `{ value }` with defaults
+ * applied, or `{ error }` holding the 400 response body with one entry per
+ * invalid field.
+ */
+export function validateRequest(schema, body) {
+  const { value, error } = schema.validate(body ?? {}, { abortEarly: false, convert: false });
+  if (!error) return { value };
+
+  return {
+    error: {
+      error: 'Invalid request',
+      code: 'VALIDATION_ERROR',
+      details: error.details.map(detail => ({
+        field: formatPath(detail.path) || null,
+        message: detail.message.replace(/"/g, ''),
+        type: detail.type
+      }))
+    }
+  };
+}
+
+/**
+ * Cap `max_tokens` at the plan limit (`plans.limits.max_tokens_per_request`,
+ * -1 for unlimited) and the model's output limit.
+ */
+export function clampMaxTokens(requested, { planLimits, modelMaxOutput } = {}) {
+  const planMax = planLimits?.max_tokens_per_request;
+  const caps = [
+    Number.isInteger(planMax) && planMax > 0 ? planMax : Infinity,
+    Number.isInteger(modelMaxOutput) && modelMaxOutput > 0 ? modelMaxOutput : Infinity
+  ];
+
+  return Math.min(requested, ...caps);
+}